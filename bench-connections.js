@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * 近傍接続のベンチマーク
+ * 実際のログから境界点を集め、総当たり（以前の connectNearestNeighbor）とグリッドバケット探索（src/neighbors.js）の
+ * 時間を用紙サイズと k ごとに比べる。結果の辺が総当たりと完全に一致することも確かめる
+ * ほかの接続方法（src/connections.js の mst, delaunay, rng, tour）の時間と辺の数も測る
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { PAPER_SIZES, CANVAS_WIDTH, CANVAS_HEIGHT, LEWITT_CONFIG } from './src/config.js';
+import { parseJsonl } from './src/helpers.js';
+import { drawLeWittGrid, SeededRandom } from './src/lewitt.js';
+import { registerPreset, getPreset } from './src/presets/index.js';
+import { RecordingGraphics } from './src/recorder.js';
+import { createRenderSession } from './src/session.js';
+import { findNeighborEdges } from './src/neighbors.js';
+import { CONNECTIONS, findConnectionEdges, getConnectionEdges } from './src/connections.js';
+
+/**
+ * コマンドライン引数の値を取得する
+ */
+function getArg(args, name) {
+  return args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+}
+
+/**
+ * 比較の基準: 点ごとに全点への距離を測ってソートする（以前の実装と同じ順序で辺を返す）
+ */
+function bruteForceEdges(points, k) {
+  const drawn = new Set();
+  const edges = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const distances = [];
+    for (let j = 0; j < points.length; j++) {
+      if (i === j) continue;
+      const dx = points[j].x - points[i].x;
+      const dy = points[j].y - points[i].y;
+      distances.push({ index: j, dist: Math.sqrt(dx * dx + dy * dy) });
+    }
+    distances.sort((a, b) => a.dist - b.dist);
+
+    for (const neighbor of distances.slice(0, k)) {
+      const key = `${Math.min(i, neighbor.index)}-${Math.max(i, neighbor.index)}`;
+      if (!drawn.has(key)) {
+        drawn.add(key);
+        edges.push([i, neighbor.index]);
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * 用紙サイズで描いたときの境界点を集める（オーバーレイを差し替えたプリセットで描画する）
+ */
+function collectBoundaryPoints(session, paper) {
+  const points = [];
+  const base = getPreset(session.config.preset);
+  registerPreset({ ...base, name: 'bench_connections', drawOverlay: (g, overlayPoints) => points.push(...overlayPoints) });
+
+  const scale = Math.max(paper.width / CANVAS_WIDTH, paper.height / CANVAS_HEIGHT);
+  const g = new RecordingGraphics(paper.width, paper.height);
+  drawLeWittGrid(g, session.events, paper.width, paper.height, { ...session.config, preset: 'bench_connections' }, scale);
+  return points;
+}
+
+/**
+ * 用紙いっぱいに散らばった n 個の点（実データより多い点数での比較用、シード固定）
+ */
+function randomPoints(n, paper) {
+  const rng = new SeededRandom(LEWITT_CONFIG.seed || 1);
+  return Array.from({ length: n }, () => ({ x: rng.range(0, paper.width), y: rng.range(0, paper.height) }));
+}
+
+/**
+ * 実行時間の中央値（ミリ秒）と最後の結果
+ */
+function time(fn, runs) {
+  const times = [];
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    result = fn();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], result };
+}
+
+function sameEdges(a, b) {
+  return a.length === b.length && a.every(([i, j], n) => b[n][0] === i && b[n][1] === j);
+}
+
+function printUsage() {
+  console.log('Usage: bench-connections [input.jsonl] [options]');
+  console.log('');
+  console.log('Times the nearest-neighbor connection of boundary points on a real log:');
+  console.log('brute force (every pair, sorted) against the grid-bucket search in src/neighbors.js.');
+  console.log('Also times the other pointConnection strategies in src/connections.js.');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --sizes <list>       Paper sizes to draw the points at (${Object.keys(PAPER_SIZES).join(', ')}), default: B6,B1`);
+  console.log(`  --k <list>           Neighbors per point, default: ${LEWITT_CONFIG.neighborCount},4,8`);
+  console.log('  --runs <n>           Runs per measurement (median is reported), default: 5');
+  console.log('  --tiles <n>          Tiles that reuse one computation (getConnectionEdges cache), default: 8');
+  console.log('  --points <n>         Also time n random points spread over each paper (e.g. 6360 = 12 points x 530 cells)');
+  console.log('');
+  console.log('Example:');
+  console.log('  bench-connections .craftlog/merged.jsonl --sizes B1 --k 2 --runs 3 --points 6360');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  const inputPath = path.resolve(args[0] && !args[0].startsWith('--') ? args[0] : '.craftlog/merged.jsonl');
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+
+  const sizes = (getArg(args, '--sizes') || 'B6,B1').split(',');
+  const ks = (getArg(args, '--k') || `${LEWITT_CONFIG.neighborCount},4,8`).split(',').map(Number);
+  const runs = Number(getArg(args, '--runs') || 5);
+  const tiles = Number(getArg(args, '--tiles') || 8);
+  const randomCount = Number(getArg(args, '--points') || 0);
+  for (const size of sizes) {
+    if (!PAPER_SIZES[size]) throw new Error(`Unknown size: ${size} (available: ${Object.keys(PAPER_SIZES).join(', ')})`);
+  }
+
+  const { events } = parseJsonl(fs.readFileSync(inputPath, 'utf8'));
+  const session = createRenderSession(events, LEWITT_CONFIG);
+  console.log(`Loaded ${events.length} events from ${inputPath}, preset ${session.config.preset}, ${runs} runs each\n`);
+
+  let ok = true;
+  const pointSets = sizes.flatMap(size => [
+    { label: `${size}: boundary points`, points: collectBoundaryPoints(session, PAPER_SIZES[size]) },
+    ...(randomCount > 0 ? [{ label: `${size}: random points`, points: randomPoints(randomCount, PAPER_SIZES[size]) }] : [])
+  ]);
+
+  for (const { label, points } of pointSets) {
+    console.log(`${label} (${points.length})`);
+
+    for (const k of ks) {
+      const brute = time(() => bruteForceEdges(points, k), runs);
+      const grid = time(() => findNeighborEdges(points, k), runs);
+      // Every tile asks for the same points; only the first computes them
+      const shared = time(() => {
+        for (let t = 0; t < tiles; t++) getConnectionEdges(points.map(p => ({ ...p })), 'knn', k);
+      }, 1);
+
+      const same = sameEdges(brute.result, grid.result);
+      ok = ok && same;
+      console.log(
+        `  k=${String(k).padEnd(3)} brute force ${brute.ms.toFixed(1).padStart(8)} ms   grid ${grid.ms.toFixed(1).padStart(7)} ms` +
+        `   x${(brute.ms / grid.ms).toFixed(1).padEnd(6)} ${tiles} tiles ${shared.ms.toFixed(1).padStart(7)} ms` +
+        `   ${grid.result.length} edges ${same ? 'identical' : 'DIFFERENT'}`
+      );
+    }
+
+    // knn は上で測った。symmetric はセルごとの描画なので全体の辺はない
+    for (const strategy of Object.keys(CONNECTIONS).filter(s => s !== 'knn' && s !== 'symmetric')) {
+      const result = time(() => findConnectionEdges(points, strategy), runs);
+      console.log(`  ${strategy.padEnd(9)} ${result.ms.toFixed(1).padStart(8)} ms   ${result.result.length} edges`);
+    }
+    console.log('');
+  }
+
+  if (!ok) {
+    console.log('Grid search edges differ from brute force');
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
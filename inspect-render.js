@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * 書き出したPNG/GIF/SVG/PDF（WebMは .provenance.json）の来歴を読むツール
+ * render-craftlog やブラウザの書き出しが埋め込んだ来歴（シード・設定・ログのハッシュ・セッション）を表示し、
+ * どのログとパラメータで描いたものかを確かめる
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { LEWITT_CONFIG, DEFAULT_SEED } from './src/config.js';
+import { parseJsonl } from './src/helpers.js';
+import { hashLog } from './src/session.js';
+import { readProvenance } from './src/provenance.js';
+
+/**
+ * コマンドライン引数の値を取得する
+ */
+function getArg(args, name) {
+  return args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+}
+
+/**
+ * 来歴の設定のうち、現在の LEWITT_CONFIG と違う項目（シード0は DEFAULT_SEED として比べる）
+ */
+function diffConfig(config) {
+  const current = { ...LEWITT_CONFIG, seed: LEWITT_CONFIG.seed || DEFAULT_SEED };
+  const keys = new Set([...Object.keys(config), ...Object.keys(current)]);
+  return [...keys]
+    .filter(key => JSON.stringify(config[key]) !== JSON.stringify(current[key]))
+    .map(key => ({ key, value: config[key], current: current[key] }));
+}
+
+/**
+ * 来歴を読みやすく表示する
+ */
+function printProvenance(filePath, { format, provenance, text }) {
+  console.log(`${filePath} (${format})`);
+
+  if (!provenance) {
+    console.log('  No provenance record');
+    Object.entries(text).forEach(([key, value]) => console.log(`  ${key}: ${value}`));
+    return;
+  }
+
+  const sessions = provenance.session_ids;
+  console.log(`  Artifact:    ${provenance.artifact}`);
+  console.log(`  Rendered:    ${provenance.rendered_at} by ${provenance.generator}`);
+  console.log(`  Source:      ${provenance.source ?? 'unknown'}`);
+  // 来歴の古い書き出しには入力ファイルのSHA-256がない
+  (provenance.source_sha256 ?? []).forEach(hash => console.log(`    sha256 ${hash}`));
+  console.log(`  Log hash:    ${provenance.log_hash}`);
+  console.log(`  Config hash: ${provenance.config_hash}`);
+  console.log(`  Seed:        ${provenance.seed}`);
+  console.log(`  Preset:      ${provenance.preset}`);
+  console.log(`  Events:      ${provenance.event_count}`);
+  console.log(`  Log span:    ${provenance.log_start} - ${provenance.log_end}`);
+  console.log(`  Sessions:    ${sessions.length}`);
+  sessions.forEach(id => console.log(`    ${id}`));
+
+  const changed = diffConfig(provenance.config);
+  if (changed.length === 0) {
+    console.log('  Config:      same as the current LEWITT_CONFIG');
+  } else {
+    console.log('  Config (differs from the current LEWITT_CONFIG):');
+    changed.forEach(({ key, value, current }) => {
+      console.log(`    ${key}: ${JSON.stringify(value)} (current: ${JSON.stringify(current)})`);
+    });
+  }
+}
+
+function printUsage() {
+  console.log('Usage: inspect-render <file.png|gif|svg|pdf|provenance.json>... [options]');
+  console.log('');
+  console.log('Reads the provenance that render-craftlog and the browser exports embed:');
+  console.log('PNG iTXt chunk, GIF comment, SVG <metadata>, PDF info dictionary,');
+  console.log('or the .provenance.json sidecar written next to a WebM time-lapse.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --json               Print the records as JSON (with the full config)');
+  console.log('  --log <file>         Check that the files were rendered from this JSONL log (compares the log hash,');
+  console.log('                       and reports whether the file bytes match a recorded source SHA-256)');
+  console.log('');
+  console.log('Exits with 1 when a file has no record or does not match --log.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  inspect-render craftlog_B1_tiles.pdf');
+  console.log('  inspect-render out/B6.png out/B6.svg --log .craftlog/merged.jsonl');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const logPath = getArg(args, '--log');
+  const files = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--log');
+
+  // 照合するログのハッシュ（描画と同じく生のエントリから）とファイルのSHA-256
+  let logHash = null;
+  let logSha256 = null;
+  if (logPath) {
+    const bytes = fs.readFileSync(path.resolve(logPath));
+    logHash = hashLog(parseJsonl(bytes.toString('utf8')).events);
+    logSha256 = createHash('sha256').update(bytes).digest('hex');
+  }
+
+  const records = [];
+  let ok = true;
+
+  for (const file of files) {
+    const result = readProvenance(fs.readFileSync(path.resolve(file)));
+    const matchesLog = logHash && result.provenance ? result.provenance.log_hash === logHash : null;
+    ok = ok && !!result.provenance && matchesLog !== false;
+    records.push({ file, format: result.format, provenance: result.provenance, matches_log: matchesLog });
+
+    if (!args.includes('--json')) {
+      printProvenance(file, result);
+      if (matchesLog !== null) {
+        const sameBytes = result.provenance.source_sha256?.includes(logSha256);
+        console.log(matchesLog
+          ? `  Log check:   matches ${logPath}${sameBytes ? ' (same file bytes)' : ''}`
+          : `  Log check:   DOES NOT match ${logPath} (log hash ${logHash})`);
+      }
+      console.log('');
+    }
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(records, null, 2));
+  }
+
+  if (!ok) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
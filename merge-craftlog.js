@@ -2,11 +2,16 @@
 /**
  * .craftlog マージツール
  * 複数のJSONLファイルをelapsed_msを連続させながらマージする
+ * マージのルール（重複除去・elapsed_msの再計算）は src/merge.js でブラウザと共有
+ * --validate / --repair はマージ済みファイルを検査・修復し、JSONのレポートを標準出力に書く
  */
 
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { deduplicateEntries, recalculateElapsedMs, validateEntries, repairEntries, toJsonl } from './src/merge.js';
+import { IDLE_MODES } from './src/idle.js';
+import { LEWITT_CONFIG } from './src/config.js';
 
 const CRAFTLOG_DIR = '.craftlog';
 const OUTPUT_FILE = path.join(CRAFTLOG_DIR, 'merged.jsonl');
@@ -69,107 +74,11 @@ function getSessionFiles() {
     .sort(); // ファイル名でソート（日付順）
 }
 
-/**
- * エントリをタイムスタンプでソートする
- */
-function sortByTimestamp(entries) {
-  return entries.sort((a, b) => a.ts - b.ts);
-}
-
-/**
- * 重複エントリを除去する（tsをキーとして使用）
- */
-function deduplicateEntries(entries) {
-  const seen = new Map();
-  for (const entry of entries) {
-    const key = `${entry.ts}_${entry.session_id}_${entry.event}`;
-    // 既に存在する場合は、original_elapsed_msを持つ方を優先（新しいセッションファイルから）
-    if (!seen.has(key) || !entry.merged_at) {
-      seen.set(key, entry);
-    }
-  }
-  return Array.from(seen.values());
-}
-
-/**
- * セッション内の元のelapsed_msを取得
- * original_elapsed_msがあればそれを使用、なければtsから計算
- */
-function getOriginalElapsedMs(entry, sessionStartTs) {
-  if (entry.original_elapsed_ms !== undefined) {
-    return entry.original_elapsed_ms;
-  }
-  // merged.jsonlから読み込んだデータで、セッション開始からのtsの差分で計算
-  return entry.ts - sessionStartTs;
-}
-
-/**
- * elapsed_msを連続的に再計算する
- * 各セッションの開始時点を起点として、全体で連続したelapsed_msを付与
- */
-function recalculateElapsedMs(entries) {
-  if (entries.length === 0) return entries;
-
-  // セッションごとにグループ化
-  const sessionMap = new Map();
-  for (const entry of entries) {
-    const sessionId = entry.session_id;
-    if (!sessionMap.has(sessionId)) {
-      sessionMap.set(sessionId, []);
-    }
-    sessionMap.get(sessionId).push(entry);
-  }
-
-  // 各セッション内でtsでソート（元のelapsed_msは既にマージされている可能性があるため）
-  for (const [sessionId, sessionEntries] of sessionMap) {
-    sessionEntries.sort((a, b) => a.ts - b.ts);
-  }
-
-  // セッションを開始タイムスタンプでソート
-  const sessions = Array.from(sessionMap.entries())
-    .map(([sessionId, sessionEntries]) => ({
-      sessionId,
-      entries: sessionEntries,
-      startTs: sessionEntries[0]?.ts || 0
-    }))
-    .sort((a, b) => a.startTs - b.startTs);
-
-  // マージされたエントリを作成（elapsed_msを連続させる）
-  const result = [];
-  let cumulativeElapsedMs = 0;
-
-  for (const session of sessions) {
-    const sessionStartElapsed = cumulativeElapsedMs;
-    let maxElapsedInSession = 0;
-
-    const sessionStartTs = session.entries[0]?.ts || 0;
-
-    for (const entry of session.entries) {
-      const newEntry = { ...entry };
-      // セッション内の元のelapsed_msを取得
-      const origElapsed = getOriginalElapsedMs(entry, sessionStartTs);
-      // 累積値を加算
-      newEntry.elapsed_ms = sessionStartElapsed + origElapsed;
-      newEntry.original_elapsed_ms = origElapsed; // 元の値を保持
-      newEntry.merged_at = new Date().toISOString();
-      result.push(newEntry);
-
-      maxElapsedInSession = Math.max(maxElapsedInSession, entry.elapsed_ms);
-    }
-
-    // 次のセッション用に累積時間を更新
-    cumulativeElapsedMs = sessionStartElapsed + maxElapsedInSession;
-  }
-
-  return result;
-}
-
 /**
  * エントリをJSONLファイルに書き出す
  */
 function writeJsonlFile(filePath, entries) {
-  const content = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
-  fs.writeFileSync(filePath, content, 'utf8');
+  fs.writeFileSync(filePath, toJsonl(entries), 'utf8');
 }
 
 /**
@@ -204,6 +113,102 @@ function printStats(sessions, mergedEntries) {
   for (const [sessionId, stats] of sessionMap) {
     console.log(`  ${sessionId}: ${stats.count} entries, elapsed_ms range: ${stats.minElapsed} - ${stats.maxElapsed}`);
   }
+
+  // マージ結果の検査（詳細は --validate で）
+  const validation = validateEntries(mergedEntries);
+  const problems = Object.entries(validation.counts).map(([type, count]) => `${type}: ${count}`);
+  console.log(`\nValidation: ${validation.ok ? 'ok' : 'failed'}${problems.length > 0 ? ` (${problems.join(', ')})` : ''}`);
+}
+
+/**
+ * モード引数の直後にファイルが指定されていればそれを、なければmerged.jsonlを対象にする
+ */
+function getTargetFile(args, flag) {
+  const value = args[args.indexOf(flag) + 1];
+  return value && !value.startsWith('-') ? value : OUTPUT_FILE;
+}
+
+/**
+ * アイドル時間の圧縮設定を決定する（--idle none または未指定なら null）
+ * しきい値は秒で指定、既定はレンダラーと同じ LEWITT_CONFIG.idleThresholdMs
+ */
+function resolveIdle(args) {
+  const mode = args.includes('--idle') ? args[args.indexOf('--idle') + 1] : 'none';
+  if (!IDLE_MODES[mode]) {
+    throw new Error(`Unknown idle mode: ${mode} (available: ${Object.keys(IDLE_MODES).join(', ')})`);
+  }
+
+  const thresholdArg = args.includes('--idle-threshold') ? args[args.indexOf('--idle-threshold') + 1] : undefined;
+  const thresholdMs = thresholdArg === undefined ? LEWITT_CONFIG.idleThresholdMs : Number(thresholdArg) * 1000;
+  if (!(thresholdMs >= 0)) {
+    throw new Error(`--idle-threshold must be 0 or more seconds: ${thresholdArg}`);
+  }
+
+  return mode === 'none' ? null : { mode, thresholdMs };
+}
+
+/**
+ * レポートをJSONとして標準出力に書く（ログは標準エラー出力）
+ */
+function printReport(report) {
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+/**
+ * --validate: elapsed_msの逆行・水増し、重複イベント、ts範囲が重なるセッションを検査する
+ * エラーがあれば終了コード1
+ */
+async function validateFile(filePath) {
+  const entries = await readJsonlFile(filePath);
+  const validation = validateEntries(entries);
+  printReport({ mode: 'validate', file: filePath, ...validation });
+  if (!validation.ok) process.exitCode = 1;
+}
+
+/**
+ * --repair: 生のtsからelapsed_msを作り直し、重複と不正なエントリを取り除いて書き出す
+ * 出力先は -o（省略時は入力ファイルを上書き）、--dry-run では書き出さない
+ */
+async function repairFile(filePath, outputPath, { keepOriginalElapsed, dryRun, idle }) {
+  const entries = await readJsonlFile(filePath);
+  const before = validateEntries(entries);
+  const { entries: repaired, duplicateCount, droppedCount } = repairEntries(entries, { keepOriginalElapsed, idle });
+  const after = validateEntries(repaired);
+
+  if (!dryRun) {
+    writeJsonlFile(outputPath, repaired);
+    console.error(`Repaired output written to: ${outputPath}`);
+  }
+
+  const summarize = ({ ok, entryCount, totalElapsedMs, wallClockMs, counts }) => ({ ok, entryCount, totalElapsedMs, wallClockMs, counts });
+  printReport({
+    mode: 'repair',
+    file: filePath,
+    output: dryRun ? null : outputPath,
+    idle,
+    removed: { duplicates: duplicateCount, invalid: droppedCount },
+    before: summarize(before),
+    after
+  });
+  if (!after.ok) process.exitCode = 1;
+}
+
+function printUsage() {
+  console.log('Usage: node merge-craftlog.js [options]');
+  console.log('');
+  console.log(`Merges merged.jsonl and the session files in ${CRAFTLOG_DIR}/ into one file with continuous elapsed_ms.`);
+  console.log('');
+  console.log('Options:');
+  console.log(`  -o <file>           Output file, default: ${OUTPUT_FILE}`);
+  console.log('  --keep-original     Keep original_elapsed_ms (each entry\'s elapsed time within its session)');
+  console.log('  --dry-run           Do not write the output');
+  console.log(`  --validate [file]   Check a merged file (default: ${OUTPUT_FILE}) and print a JSON report;`);
+  console.log('                      exits with 1 on non-monotonic or inflated elapsed_ms, duplicates or invalid entries');
+  console.log('  --repair [file]     Rebuild elapsed_ms from raw ts, drop duplicates and invalid entries,');
+  console.log('                      write to -o (default: the input file) and print a JSON report');
+  console.log('  --idle <mode>       Cap idle gaps so elapsed_ms is active work time (merge and --repair), default: none');
+  Object.entries(IDLE_MODES).forEach(([mode, description]) => console.log(`                        ${mode}: ${description}`));
+  console.log(`  --idle-threshold <sec> Longest idle gap kept, default: ${LEWITT_CONFIG.idleThresholdMs / 1000}`);
 }
 
 async function main() {
@@ -214,6 +219,24 @@ async function main() {
     : OUTPUT_FILE;
   const keepOriginalElapsed = args.includes('--keep-original');
   const dryRun = args.includes('--dry-run');
+  const idle = resolveIdle(args);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  if (args.includes('--validate')) {
+    await validateFile(getTargetFile(args, '--validate'));
+    return;
+  }
+
+  if (args.includes('--repair')) {
+    const inputPath = getTargetFile(args, '--repair');
+    const outputPath = args.includes('-o') ? outputFile : inputPath;
+    await repairFile(inputPath, outputPath, { keepOriginalElapsed, dryRun, idle });
+    return;
+  }
 
   console.log('Craftlog Merge Tool');
   console.log('===================\n');
@@ -245,7 +268,10 @@ async function main() {
 
   // elapsed_msを再計算してマージ
   console.log('\nMerging with elapsed_ms recalculation...');
-  let mergedEntries = recalculateElapsedMs(uniqueEntries);
+  if (idle) {
+    console.log(`  Idle gaps (${idle.mode}) capped at ${idle.thresholdMs / 1000}s`);
+  }
+  let mergedEntries = recalculateElapsedMs(uniqueEntries, undefined, { idle });
 
   // --keep-originalオプションが指定されていない場合、original_elapsed_msを削除
   if (!keepOriginalElapsed) {
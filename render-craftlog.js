@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+/**
+ * Craftlog ヘッドレスレンダラー
+ * JSONLファイルを読み込み、ブラウザを使わずにLeWittグリッドをPNG/SVG/PDFとして書き出す
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import PDFDocument from 'pdfkit';
+import { PAPER_SIZES, CANVAS_WIDTH, CANVAS_HEIGHT, LEWITT_CONFIG, ANIMATION_CONFIG, TILE_CONFIG, DEFAULT_SEED, DPI, colors } from './src/config.js';
+import { parseJsonl } from './src/helpers.js';
+import { drawLeWittGrid } from './src/lewitt.js';
+import { listPresets } from './src/presets/index.js';
+import { TRAVERSALS } from './src/traversal.js';
+import { RecordingGraphics } from './src/recorder.js';
+import { displayListToSvg } from './src/svg.js';
+import { drawDisplayListToPdf, getPaperSizePt } from './src/pdf.js';
+import { ANIMATION_STEPS, planAnimation, drawAnimationFrame, getFrameFileName, toFfconcat } from './src/animation.js';
+import { listPaperNames } from './src/paper.js';
+import { IDLE_MODES } from './src/idle.js';
+import { CONNECTIONS } from './src/connections.js';
+import { createRenderSession } from './src/session.js';
+import { createProvenance, addPngProvenance, toPdfInfo } from './src/provenance.js';
+import { TILE_MARKS, validateTileSpec, computeTileLayout, writeTilePages, createDisplayListDrawers } from './src/tiles.js';
+
+const FORMATS = ['png', 'svg', 'pdf'];
+
+/**
+ * コマンドライン引数の値を取得する
+ */
+function getArg(args, name) {
+  return args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+}
+
+// 値を取らないオプション（ほかのオプションは次の引数を値として取る）
+const FLAGS = ['--tiles', '--verify', '--help', '-h'];
+
+/**
+ * 入力ファイル（先頭の引数）以外の位置引数を返す（オプションの値は除く）
+ */
+function findExtraPositionals(args) {
+  const extra = [];
+  for (let i = 1; i < args.length; i++) {
+    if (!args[i].startsWith('-')) extra.push(args[i]);
+    else if (!FLAGS.includes(args[i])) i++;
+  }
+  return extra;
+}
+
+/**
+ * 出力する用紙サイズを決定する
+ * --width/--height が指定されていればカスタムサイズ（300DPIのピクセル値）、なければPAPER_SIZESから
+ */
+function resolvePaper(args) {
+  const width = getArg(args, '--width');
+  const height = getArg(args, '--height');
+  if (width && height) {
+    return { name: `${width}x${height}`, paper: { width: Number(width), height: Number(height) } };
+  }
+
+  const name = getArg(args, '--size') || 'B1';
+  if (!PAPER_SIZES[name]) {
+    throw new Error(`Unknown paper size: ${name} (available: ${Object.keys(PAPER_SIZES).join(', ')})`);
+  }
+  return { name, paper: PAPER_SIZES[name] };
+}
+
+/**
+ * 出力フォーマットを決定する
+ * --format で複数指定可能（カンマ区切り）、なければ出力ファイルの拡張子から判定
+ */
+function resolveFormats(args, outputFile) {
+  const formatArg = getArg(args, '--format');
+  const formats = formatArg
+    ? formatArg.split(',').map(f => f.trim().toLowerCase())
+    : [outputFile ? path.extname(outputFile).slice(1).toLowerCase() : 'png'];
+
+  for (const format of formats) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format: ${format} (available: ${FORMATS.join(', ')})`);
+    }
+  }
+  return formats;
+}
+
+/**
+ * LeWittグリッドをベクター描画リストとして記録する（シード・設定・ログはレンダーセッションのもの）
+ */
+function recordGrid(session, paper) {
+  const { width, height } = paper;
+  const g = new RecordingGraphics(width, height);
+  g.background(colors.background);
+
+  // プレビューに対する倍率（ブラウザのタイル描画と同じ）
+  const scale = Math.max(width / CANVAS_WIDTH, height / CANVAS_HEIGHT);
+
+  const result = drawLeWittGrid(g, session.events, width, height, session.config, scale);
+  return { ops: g.ops, result };
+}
+
+/**
+ * SVGをラスタライズしてPNGにする（DPI指定でピクセルサイズを合わせる）
+ */
+function renderPng(svg, paper) {
+  return sharp(Buffer.from(svg), { density: DPI, limitInputPixels: false })
+    .resize(paper.width, paper.height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * ベクターパスのままPDFにする
+ * 作成日時はセッションの日時（ログの最後の時刻）に固定し、同じ入力なら同じバイト列になる
+ */
+function renderPdf(ops, paper, session, provenance) {
+  const size = getPaperSizePt(paper);
+  const doc = new PDFDocument({ size: [size.width, size.height], margin: 0, info: toPdfInfo(provenance, session) });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', resolve));
+
+  drawDisplayListToPdf(doc, ops, paper);
+  doc.end();
+
+  return finished.then(() => Buffer.concat(chunks));
+}
+
+/**
+ * 記録した描画リストから各フォーマットの出力をバイト列として作る
+ * どの出力にも来歴（シード・設定・ログのハッシュなど、src/provenance.js）を埋め込む
+ * @param stamp - { name: 用紙名, source: 入力ファイル名, sourceSha256: [入力ファイルのSHA-256], renderedAt: Date }
+ * @returns {Promise<Map<string, Buffer>>}
+ */
+async function renderFormats(formats, ops, paper, session, stamp) {
+  const provenanceFor = format => createProvenance(session, { ...stamp, artifact: `${stamp.name} ${format}` });
+
+  const outputs = new Map();
+  for (const format of formats) {
+    const provenance = provenanceFor(format);
+    if (format === 'svg') {
+      outputs.set(format, Buffer.from(displayListToSvg(ops, paper, provenance), 'utf8'));
+    }
+    if (format === 'png') {
+      const png = await renderPng(displayListToSvg(ops, paper), paper);
+      outputs.set(format, Buffer.from(addPngProvenance(png, provenance)));
+    }
+    if (format === 'pdf') {
+      outputs.set(format, await renderPdf(ops, paper, session, provenance));
+    }
+  }
+  return outputs;
+}
+
+/**
+ * 来歴に記録する描画日時
+ * SOURCE_DATE_EPOCH（秒）があればその時刻にして、出力をバイト単位で再現できるようにする
+ */
+function getRenderedAt() {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  return epoch ? new Date(Number(epoch) * 1000) : new Date();
+}
+
+/**
+ * タイムラプスのフレームをPNG連番として書き出す（各フレームに来歴を埋め込む）
+ * 同じ絵のフレーム（一時停止）は1枚にまとめ、表示時間は frames.ffconcat に記録する
+ */
+async function writeAnimationFrames(dir, session, paper, options, stamp) {
+  const { width, height } = paper;
+  const scale = Math.max(width / CANVAS_WIDTH, height / CANVAS_HEIGHT);
+  const plan = planAnimation(session.events, width, height, session.config, scale, options);
+
+  console.log(`\nTime-lapse (${options.step}): ${plan.schedule.length} distinct frames, ${plan.frameCount} frames at ${options.fps} fps (${plan.durationSec.toFixed(1)}s)`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (let i = 0; i < plan.schedule.length; i++) {
+    const g = new RecordingGraphics(width, height);
+    drawAnimationFrame(g, session.events, width, height, plan.config, plan.schedule[i].reveal, scale);
+    const png = await renderPng(displayListToSvg(g.ops, paper), paper);
+    const provenance = createProvenance(session, { ...stamp, artifact: `${stamp.name} time-lapse ${getFrameFileName(i)}` });
+    fs.writeFileSync(path.join(dir, getFrameFileName(i)), addPngProvenance(png, provenance));
+    process.stdout.write(`\r  Frame ${i + 1} / ${plan.schedule.length}`);
+  }
+
+  const concatPath = path.join(dir, 'frames.ffconcat');
+  fs.writeFileSync(concatPath, toFfconcat(plan.schedule, options.fps), 'utf8');
+  console.log(`\n  Written: ${dir}`);
+  console.log(`  Encode: ffmpeg -f concat -i ${concatPath} -vf fps=${options.fps} -pix_fmt yuv420p timelapse.mp4`);
+}
+
+/**
+ * タイル分割の設定を決定する（指定がなければ TILE_CONFIG）
+ */
+function resolveTileSpec(args) {
+  const number = (name, fallback) => {
+    const value = getArg(args, name);
+    return value === undefined ? fallback : Number(value);
+  };
+
+  const marksArg = getArg(args, '--marks');
+  const marks = marksArg === undefined ? TILE_CONFIG.marks
+    : marksArg === 'none' ? []
+      : marksArg.split(',').map(m => m.trim());
+
+  return validateTileSpec({
+    ...TILE_CONFIG,
+    paper: getArg(args, '--tile-paper') || TILE_CONFIG.paper,
+    orientation: getArg(args, '--orientation') || TILE_CONFIG.orientation,
+    cols: number('--cols', TILE_CONFIG.cols),
+    rows: number('--rows', TILE_CONFIG.rows),
+    overlapMm: number('--overlap', TILE_CONFIG.overlapMm),
+    marginMm: number('--margin', TILE_CONFIG.marginMm),
+    marks
+  });
+}
+
+/**
+ * 用紙の縦横比の図をタイルに分割し、1タイル1ページのベクターPDFとして書き出す
+ * 図はポスターの実寸（DPIのピクセル値）で描き直すので、巨大な中間画像は作らない
+ */
+async function writeTiledPdf(filePath, session, paper, spec, stamp) {
+  const layout = computeTileLayout(paper.width, paper.height, spec);
+  const pxPerMm = DPI / 25.4;
+  const poster = {
+    width: Math.round(layout.posterWidth * pxPerMm),
+    height: Math.round(layout.posterHeight * pxPerMm),
+    widthMm: layout.posterWidth,
+    heightMm: layout.posterHeight
+  };
+
+  console.log(`\nTiles: ${spec.cols}x${spec.rows} ${layout.paper.name} ${spec.orientation} sheets, poster ${layout.posterWidth.toFixed(1)} x ${layout.posterHeight.toFixed(1)} mm, overlap ${spec.overlapMm} mm`);
+  const { ops } = recordGrid(session, poster);
+
+  const provenance = createProvenance(session, { ...stamp, artifact: `${stamp.name} tiles ${spec.cols}x${spec.rows} ${layout.paper.name}` });
+  const doc = new PDFDocument({ autoFirstPage: false, info: toPdfInfo(provenance, session) });
+  const writeStream = fs.createWriteStream(filePath);
+  doc.pipe(writeStream);
+
+  const { marksSkipped } = await writeTilePages(doc, layout, spec, createDisplayListDrawers(ops, poster), (current, total) => {
+    process.stdout.write(`\r  Tile ${current} / ${total}`);
+  });
+  if (marksSkipped) {
+    console.warn('\n  Marks skipped: they need a margin of 7 mm or more');
+  }
+  doc.end();
+
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+  });
+  console.log(`\n  Written: ${filePath} (${layout.tiles.length + 1} pages, the first is the page map)`);
+}
+
+/**
+ * SHA-256（入力ファイルの来歴、出力とベースラインの比較用）
+ */
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 再現性の検証: 同じ入力から独立した2つのセッションで描画し、出力がバイト単位で一致するかを確かめる
+ * 描画でイベントが書き換わっていないことも確認する
+ * baselinePath があれば保存済みのハッシュと比較し（なければ書き出す）、コード変更による差分も検出する
+ * 来歴の描画日時はセッションの日時に固定する
+ * @returns {Promise<boolean>} すべて一致すれば true
+ */
+async function verifyRenders(text, config, paper, { name, source, sourceSha256 }, formats, baselinePath) {
+  const snapshot = events => sha256(JSON.stringify(events.map(({ raw, ...e }) => e)));
+  const runs = [];
+
+  for (let run = 0; run < 2; run++) {
+    const { events } = parseJsonl(text);
+    const before = snapshot(events);
+    const session = createRenderSession(events, config);
+    const { ops } = recordGrid(session, paper);
+    const outputs = await renderFormats(formats, ops, paper, session, { name, source, sourceSha256, renderedAt: session.date });
+    runs.push({ session, outputs, eventsUnchanged: snapshot(events) === before });
+  }
+
+  const [first, second] = runs;
+  console.log(`\nVerify ${name}: 2 independent renders, seed ${first.session.seed}, log ${first.session.logHash}, config ${first.session.configHash}`);
+
+  let ok = true;
+  const hashes = {};
+  for (const format of formats) {
+    const a = first.outputs.get(format);
+    const b = second.outputs.get(format);
+    const same = a.equals(b);
+    hashes[format] = sha256(a);
+    ok = ok && same;
+    console.log(`  ${format.padEnd(4)} ${same ? 'identical' : 'DIFFERENT'}  ${a.length} bytes  sha256 ${hashes[format]}`);
+  }
+
+  const eventsUnchanged = runs.every(r => r.eventsUnchanged);
+  ok = ok && eventsUnchanged;
+  console.log(`  events ${eventsUnchanged ? 'unchanged by drawing' : 'CHANGED by drawing'}`);
+
+  if (baselinePath) {
+    const current = { size: name, logHash: first.session.logHash, configHash: first.session.configHash, sha256: hashes };
+    if (!fs.existsSync(baselinePath)) {
+      fs.writeFileSync(baselinePath, JSON.stringify(current, null, 2) + '\n', 'utf8');
+      console.log(`  Baseline written: ${baselinePath}`);
+    } else {
+      const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+      if (baseline.size !== name || baseline.logHash !== current.logHash || baseline.configHash !== current.configHash) {
+        ok = false;
+        console.log(`  Baseline ${baselinePath} was made from other inputs (size ${baseline.size}, log ${baseline.logHash}, config ${baseline.configHash})`);
+      } else {
+        for (const format of formats) {
+          const expected = baseline.sha256?.[format];
+          const same = expected === undefined || expected === hashes[format];
+          ok = ok && same;
+          console.log(`  ${format.padEnd(4)} ${expected === undefined ? 'not in baseline' : same ? 'matches baseline' : `DIFFERS from baseline (${expected})`}`);
+        }
+      }
+    }
+  }
+
+  console.log(ok ? '\nVerify: ok' : '\nVerify: FAILED');
+  return ok;
+}
+
+function printUsage() {
+  console.log('Usage: render-craftlog <input.jsonl> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --size <name>        Paper size (${Object.keys(PAPER_SIZES).join(', ')}), default: B1`);
+  console.log(`  --width <px>         Custom width in pixels at ${DPI} DPI (use with --height)`);
+  console.log(`  --height <px>        Custom height in pixels at ${DPI} DPI (use with --width)`);
+  console.log('  --format <list>      png, svg, pdf (comma separated), default: from -o extension or png');
+  console.log(`  --seed <n>           Random seed, default: LEWITT_CONFIG.seed or ${DEFAULT_SEED}`);
+  console.log(`  --preset <name>      Visual preset (${listPresets().map(p => p.name).join(', ')})`);
+  console.log('  --aggregation <mode> none, duration, activity (one time bin per cell)');
+  console.log('  --grid-shape <shape> square (N x N), aspect (square cells following the paper aspect)');
+  console.log(`  --traversal <name>   Cell visiting order (${Object.keys(TRAVERSALS).join(', ')})`);
+  console.log('  --panels <mode>      none, session, day (one labelled sub-grid per session or calendar day)');
+  console.log('  --growth <mode>      none, contour, ruler (workspace LOC from snapshots, commit ticks)');
+  console.log(`  --idle <mode>        ${Object.keys(IDLE_MODES).join(', ')} (cap idle gaps for ai_prompt matching and bins), default: ${LEWITT_CONFIG.idleGaps}`);
+  console.log(`  --idle-threshold <sec> Longest idle gap kept, default: ${LEWITT_CONFIG.idleThresholdMs / 1000}`);
+  console.log(`  --connect <name>     How boundary points are joined (${Object.keys(CONNECTIONS).join(', ')}), default: ${LEWITT_CONFIG.pointConnection}`);
+  console.log(`  --neighbors <k>      Nearest neighbors each boundary point is connected to (knn), default: ${LEWITT_CONFIG.neighborCount}`);
+  console.log('  -o <file>            Output file (extension is replaced per format)');
+  console.log('');
+  console.log('Time-lapse (PNG frame sequence instead of a single image):');
+  console.log('  --frames <dir>       Write frame_00001.png... and frames.ffconcat (frame durations for ffmpeg)');
+  console.log(`  --step <mode>        ${Object.keys(ANIMATION_STEPS).join(', ')}, default: ${ANIMATION_CONFIG.step}`);
+  console.log(`  --cells-per-frame <n> Cells revealed per step (cell, elapsed), default: ${ANIMATION_CONFIG.cellsPerFrame}`);
+  console.log(`  --fps <n>            Frame rate, default: ${ANIMATION_CONFIG.fps}`);
+  console.log(`  --duration <sec>     Length the elapsed time is mapped onto (elapsed, time), default: ${ANIMATION_CONFIG.durationSec}`);
+  console.log(`  --frame-width <px>   Frame width (height follows the paper aspect), default: ${ANIMATION_CONFIG.frameWidth}`);
+  console.log('');
+  console.log('Tiled print (one tile per PDF page, first page is a page map; defaults from TILE_CONFIG):');
+  console.log('  --tiles              Write <output>_tiles.pdf for the --size aspect instead of a single image');
+  console.log(`  --tile-paper <name>  Sheet size (${listPaperNames().join(', ')}, <w>x<h>mm), default: ${TILE_CONFIG.paper}`);
+  console.log(`  --orientation <o>    portrait, landscape, default: ${TILE_CONFIG.orientation}`);
+  console.log(`  --cols <n> --rows <n> Sheets across and down, default: ${TILE_CONFIG.cols}x${TILE_CONFIG.rows}`);
+  console.log(`  --overlap <mm>       Overlap with the neighbouring tile, default: ${TILE_CONFIG.overlapMm}`);
+  console.log(`  --margin <mm>        Unprinted sheet margin (marks need 7 or more), default: ${TILE_CONFIG.marginMm}`);
+  console.log(`  --marks <list>       ${TILE_MARKS.join(', ')} (comma separated) or none, default: ${TILE_CONFIG.marks.join(',') || 'none'}`);
+  console.log('');
+  console.log('Reproducibility check:');
+  console.log('  --verify             Render twice from independent sessions and compare the outputs byte for byte');
+  console.log('                       (formats from --format, default: all); exits with 1 on any difference');
+  console.log('  --baseline <file>    With --verify, also compare against output hashes stored in <file> (written if missing)');
+  console.log('');
+  console.log('Every PNG, SVG and PDF carries its provenance (seed, config, log hash, sessions); read it with inspect-render.');
+  console.log('The render time in it is the current time, or SOURCE_DATE_EPOCH (seconds) when set.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  render-craftlog .craftlog/merged.jsonl --size B1 --format png,pdf');
+  console.log('  render-craftlog .craftlog/merged.jsonl --size B6 --seed 42 -o out/poster.svg');
+  console.log('  render-craftlog .craftlog/merged.jsonl --frames out/frames --step elapsed --duration 30');
+  console.log('  render-craftlog .craftlog/merged.jsonl --size B6 --verify --baseline render-baseline.json');
+  console.log('  render-craftlog .craftlog/merged.jsonl --size B1 --tiles --tile-paper A3 --cols 3 --rows 3 --overlap 10 --margin 10 --marks crop');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    process.exit(args.length === 0 ? 1 : 0);
+  }
+
+  const extra = findExtraPositionals(args);
+  if (extra.length > 0) {
+    throw new Error(`Unexpected argument: ${extra.join(' ')} (only one input file is read; set the output file with -o <file>)`);
+  }
+
+  const inputPath = path.resolve(args[0]);
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+
+  const outputFile = getArg(args, '-o');
+  const { name, paper } = resolvePaper(args);
+  const formats = args.includes('--tiles') ? [] : resolveFormats(args, outputFile);
+  const seedArg = getArg(args, '--seed');
+  const seed = seedArg !== undefined ? Number(seedArg) : LEWITT_CONFIG.seed;
+  const config = {
+    ...LEWITT_CONFIG,
+    seed,
+    preset: getArg(args, '--preset') || LEWITT_CONFIG.preset,
+    aggregation: getArg(args, '--aggregation') || LEWITT_CONFIG.aggregation,
+    gridShape: getArg(args, '--grid-shape') || LEWITT_CONFIG.gridShape,
+    traversal: getArg(args, '--traversal') || LEWITT_CONFIG.traversal,
+    panels: getArg(args, '--panels') || LEWITT_CONFIG.panels,
+    growthOverlay: getArg(args, '--growth') || LEWITT_CONFIG.growthOverlay,
+    idleGaps: getArg(args, '--idle') || LEWITT_CONFIG.idleGaps,
+    idleThresholdMs: getArg(args, '--idle-threshold') !== undefined ? Number(getArg(args, '--idle-threshold')) * 1000 : LEWITT_CONFIG.idleThresholdMs,
+    pointConnection: getArg(args, '--connect') || LEWITT_CONFIG.pointConnection,
+    neighborCount: getArg(args, '--neighbors') !== undefined ? Number(getArg(args, '--neighbors')) : LEWITT_CONFIG.neighborCount
+  };
+  if (!IDLE_MODES[config.idleGaps]) {
+    throw new Error(`Unknown idle mode: ${config.idleGaps} (available: ${Object.keys(IDLE_MODES).join(', ')})`);
+  }
+  if (!CONNECTIONS[config.pointConnection]) {
+    throw new Error(`Unknown point connection: ${config.pointConnection} (available: ${Object.keys(CONNECTIONS).join(', ')})`);
+  }
+  if (!Number.isInteger(config.neighborCount) || config.neighborCount < 1) {
+    throw new Error(`--neighbors must be a positive integer: ${getArg(args, '--neighbors')}`);
+  }
+
+  console.log('Craftlog Headless Renderer');
+  console.log('==========================\n');
+
+  // JSONLを読み込んでパース
+  const bytes = fs.readFileSync(inputPath);
+  const text = bytes.toString('utf8');
+  const source = path.basename(inputPath);
+  const sourceSha256 = [sha256(bytes)];
+  const { events, warnings, sessionId } = parseJsonl(text);
+  console.log(`Loaded ${events.length} events from ${inputPath} (${warnings.length} warnings)`);
+  if (warnings.length > 0) {
+    warnings.forEach(w => console.warn(`  ${w}`));
+  }
+
+  // 再現性の検証（ファイルは書き出さない）
+  if (args.includes('--verify')) {
+    const verifyFormats = getArg(args, '--format') ? formats : FORMATS;
+    const baselinePath = getArg(args, '--baseline');
+    const ok = await verifyRenders(text, config, paper, { name, source, sourceSha256 }, verifyFormats, baselinePath && path.resolve(baselinePath));
+    if (!ok) process.exitCode = 1;
+    return;
+  }
+
+  // シード・設定・ログのハッシュを固定したレンダーセッション（すべての出力で共有）
+  const session = createRenderSession(events, config);
+  console.log(`Render session: seed ${session.seed}, log ${session.logHash}, config ${session.configHash}`);
+  const stamp = { name, source, sourceSha256, renderedAt: getRenderedAt() };
+
+  // タイムラプス: 用紙の縦横比のままフレーム幅に縮小して連番を書き出す
+  const framesDir = getArg(args, '--frames');
+  if (framesDir) {
+    const frameWidth = Number(getArg(args, '--frame-width') || ANIMATION_CONFIG.frameWidth);
+    const framePaper = { width: frameWidth, height: Math.round(frameWidth * paper.height / paper.width) };
+    const options = {
+      ...ANIMATION_CONFIG,
+      step: getArg(args, '--step') || ANIMATION_CONFIG.step,
+      cellsPerFrame: Number(getArg(args, '--cells-per-frame') || ANIMATION_CONFIG.cellsPerFrame),
+      fps: Number(getArg(args, '--fps') || ANIMATION_CONFIG.fps),
+      durationSec: Number(getArg(args, '--duration') || ANIMATION_CONFIG.durationSec)
+    };
+    if (!ANIMATION_STEPS[options.step]) {
+      throw new Error(`Unknown step: ${options.step} (available: ${Object.keys(ANIMATION_STEPS).join(', ')})`);
+    }
+    await writeAnimationFrames(path.resolve(framesDir), session, framePaper, options, stamp);
+    return;
+  }
+
+  // 出力パスのベース（拡張子なし）
+  const basePath = outputFile
+    ? path.resolve(outputFile).replace(/\.[^./\\]+$/, '')
+    : path.resolve(`craftlog_${sessionId || 'render'}_${name}`);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+  // タイル分割: 用紙の縦横比のポスターを1タイル1ページのPDFに書き出す
+  if (args.includes('--tiles')) {
+    const spec = resolveTileSpec(args);
+    await writeTiledPdf(`${basePath}_tiles.pdf`, session, paper, spec, stamp);
+    return;
+  }
+
+  // 描画
+  console.log(`\nRendering ${name} (${paper.width} x ${paper.height} px), preset: ${config.preset}, seed: ${session.seed}...`);
+  const { ops, result } = recordGrid(session, paper);
+  console.log(`  Grid: ${result.cols}x${result.rows} (${result.traversal}), ${result.eventCount} events, ${result.boundaryPointCount} boundary points`);
+  if (config.growthOverlay !== 'none') {
+    console.log(`  Growth overlay: ${config.growthOverlay}, ${result.commitCount} commit ticks`);
+  }
+  if (result.panels) {
+    result.panels.forEach(panel => console.log(`  Panel ${panel.label}: ${panel.eventCount} events, ${panel.cols}x${panel.rows}`));
+  }
+  if (config.aggregation !== 'none') {
+    console.log(`  Aggregation: ${config.aggregation}, ${result.eventCount} bins`);
+  } else {
+    console.log(`  Sampling: ${result.sampling.method}, ${result.sampling.droppedCount} of ${result.sampling.candidateCount} candidate events dropped`);
+  }
+
+  const outputs = await renderFormats(formats, ops, paper, session, stamp);
+  for (const [format, buffer] of outputs) {
+    const filePath = `${basePath}.${format}`;
+    fs.writeFileSync(filePath, buffer);
+    console.log(`  Written: ${filePath}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
@@ -1,111 +1,109 @@
 #!/usr/bin/env node
+/**
+ * ポスター分割印刷ツール
+ * 画像を任意の用紙・向き・枚数のタイルに分割し、貼り合わせ用のPDFとして書き出す
+ * のりしろ（重なり）、トンボ、見当合わせマーク、1ページ目のページマップに対応
+ */
 
 import sharp from 'sharp';
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// A4サイズ (ポイント単位: 1pt = 1/72 inch)
-const A4_WIDTH_PT = 595.28;  // 210mm
-const A4_HEIGHT_PT = 841.89; // 297mm
-
-// A4サイズ (ピクセル単位: 300dpi)
-const DPI = 300;
-const A4_WIDTH_PX = Math.round(210 * DPI / 25.4);  // 2480px
-const A4_HEIGHT_PX = Math.round(297 * DPI / 25.4); // 3508px
-
-// 分割数
-const COLS = 4;
-const ROWS = 4;
-const TOTAL_TILES = COLS * ROWS;
-
-async function splitImageToPDF(inputPath, outputPath) {
-  console.log(`入力画像: ${inputPath}`);
-  console.log(`出力PDF: ${outputPath}`);
-  console.log(`分割数: ${COLS}x${ROWS} = ${TOTAL_TILES}枚`);
-  console.log(`A4サイズ: ${A4_WIDTH_PX}x${A4_HEIGHT_PX}px (${DPI}dpi)`);
-  console.log('');
-
-  // 画像を読み込んでメタデータを取得
-  const image = sharp(inputPath);
-  const metadata = await image.metadata();
-
-  console.log(`元画像サイズ: ${metadata.width}x${metadata.height}px`);
-
-  // 分割後のサイズを計算（実寸印刷のため、A4の印刷可能領域に合わせる）
-  // 16分割した全体サイズ = A4 x 16枚
-  const totalPrintWidth = A4_WIDTH_PX * COLS;   // 4枚横に並べた幅
-  const totalPrintHeight = A4_HEIGHT_PX * ROWS; // 4枚縦に並べた高さ
+import { listPaperNames } from './src/paper.js';
+import { TILE_FITS, TILE_MARKS, validateTileSpec, computeTileLayout, writeTilePages } from './src/tiles.js';
+
+// 既定の分割設定（会場のプリンターに合わせてオプションで上書きする）
+const DEFAULTS = {
+  paper: 'A4',
+  orientation: 'portrait',
+  cols: 4,
+  rows: 4,
+  overlapMm: 10,   // のりしろ: 隣のタイルと重なる幅
+  marginMm: 10,    // 用紙の余白（プリンターの印刷できない領域＋マーク用）
+  marks: ['crop', 'registration'],
+  fit: 'contain',  // 'contain' | 'cover' | 'fill'
+  dpi: 300
+};
+
+/**
+ * コマンドライン引数の値を取得する
+ */
+function getArg(args, name) {
+  return args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+}
 
-  console.log(`印刷全体サイズ: ${totalPrintWidth}x${totalPrintHeight}px`);
+/**
+ * 画像をポスターの解像度に合わせ、非圧縮のピクセル列として返す
+ */
+async function rasterizePoster(inputPath, layout, spec) {
+  const width = Math.round(layout.posterWidth * spec.dpi / 25.4);
+  const height = Math.round(layout.posterHeight * spec.dpi / 25.4);
+
+  return sharp(inputPath, { limitInputPixels: false })
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: spec.fit === 'cover' ? 'cover' : 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
 
-  // 元画像を印刷サイズにリサイズ
-  const resizedBuffer = await image
-    .resize(totalPrintWidth, totalPrintHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
+/**
+ * タイル1枚分をPNGとして切り出す
+ */
+function extractTile(poster, layout, tile) {
+  const { width, height } = poster.info;
+  const pxPerMm = width / layout.posterWidth;
+
+  const left = Math.round(tile.x * pxPerMm);
+  const top = Math.round(tile.y * pxPerMm);
+  const right = Math.min(width, Math.round((tile.x + layout.tileWidth) * pxPerMm));
+  const bottom = Math.min(height, Math.round((tile.y + layout.tileHeight) * pxPerMm));
+
+  return sharp(poster.data, { raw: poster.info })
+    .extract({ left, top, width: right - left, height: bottom - top })
+    .png()
     .toBuffer();
+}
 
-  const resizedImage = sharp(resizedBuffer);
-  const resizedMetadata = await resizedImage.metadata();
-  console.log(`リサイズ後: ${resizedMetadata.width}x${resizedMetadata.height}px`);
-  console.log('');
+async function splitImageToPDF(inputPath, outputPath, spec) {
+  const metadata = await sharp(inputPath, { limitInputPixels: false }).metadata();
+  const layout = computeTileLayout(metadata.width, metadata.height, spec);
+  const { paper, tiles } = layout;
 
-  // タイルのサイズ
-  const tileWidth = Math.floor(resizedMetadata.width / COLS);
-  const tileHeight = Math.floor(resizedMetadata.height / ROWS);
+  console.log(`入力画像: ${inputPath} (${metadata.width}x${metadata.height}px)`);
+  console.log(`出力PDF: ${outputPath}`);
+  console.log(`用紙: ${paper.name} ${spec.orientation} (${paper.width}x${paper.height}mm), 余白 ${spec.marginMm}mm`);
+  console.log(`分割数: ${spec.cols}x${spec.rows} = ${tiles.length}枚, のりしろ ${spec.overlapMm}mm`);
+  console.log(`ポスターサイズ: ${layout.posterWidth.toFixed(1)}x${layout.posterHeight.toFixed(1)}mm (fit: ${spec.fit})`);
+  console.log(`タイルサイズ: ${layout.tileWidth.toFixed(1)}x${layout.tileHeight.toFixed(1)}mm`);
 
-  console.log(`タイルサイズ: ${tileWidth}x${tileHeight}px`);
+  const poster = await rasterizePoster(inputPath, layout, spec);
+  console.log(`ラスタライズ: ${poster.info.width}x${poster.info.height}px (${spec.dpi}dpi)`);
   console.log('');
 
-  // PDFドキュメントを作成
-  const doc = new PDFDocument({
-    size: 'A4',
-    margin: 0
-  });
-
+  const doc = new PDFDocument({ autoFirstPage: false });
   const writeStream = fs.createWriteStream(outputPath);
   doc.pipe(writeStream);
 
-  // 各タイルを処理
-  for (let row = 0; row < ROWS; row++) {
-    for (let col = 0; col < COLS; col++) {
-      const tileIndex = row * COLS + col + 1;
-      console.log(`タイル ${tileIndex}/${TOTAL_TILES} を処理中... (row=${row}, col=${col})`);
-
-      // 切り取り位置
-      const left = col * tileWidth;
-      const top = row * tileHeight;
-
-      // タイルを切り出し
-      const tileBuffer = await sharp(resizedBuffer)
-        .extract({
-          left: left,
-          top: top,
-          width: tileWidth,
-          height: tileHeight
-        })
+  // ページマップ（1ページ目）とタイルのページは src/tiles.js で描く
+  const { marksSkipped } = await writeTilePages(doc, layout, spec, {
+    // ページマップ用の縮小画像（150dpi相当）
+    async drawPoster(doc, x, y, width, height) {
+      const thumbnail = await sharp(poster.data, { raw: poster.info })
+        .resize(Math.max(1, Math.round(width / 72 * 150)))
         .png()
         .toBuffer();
+      doc.image(thumbnail, x, y, { width, height });
+    },
 
-      // 最初のページ以外は新しいページを追加
-      if (tileIndex > 1) {
-        doc.addPage();
-      }
-
-      // A4ページにタイルを配置（フルページ）
-      doc.image(tileBuffer, 0, 0, {
-        width: A4_WIDTH_PT,
-        height: A4_HEIGHT_PT
-      });
-
-      // ページ番号とガイドを追加（オプション）
-      doc.fontSize(8)
-         .fillColor('#999999')
-         .text(`${tileIndex}/${TOTAL_TILES} (row:${row+1}, col:${col+1})`, 10, A4_HEIGHT_PT - 20);
+    async drawTile(doc, tile, x, y, width, height) {
+      console.log(`タイル ${tile.index}/${tiles.length} を処理中... (row=${tile.row}, col=${tile.col})`);
+      doc.image(await extractTile(poster, layout, tile), x, y, { width, height });
     }
+  });
+
+  // マークは余白に描くので、余白が足りなければ省略される
+  if (marksSkipped) {
+    console.warn('警告: 余白が 7mm 未満のため、マークを省略しました');
   }
 
   doc.end();
@@ -114,33 +112,84 @@ async function splitImageToPDF(inputPath, outputPath) {
     writeStream.on('finish', () => {
       console.log('');
       console.log(`PDF生成完了: ${outputPath}`);
-      console.log(`${TOTAL_TILES}ページのPDFファイルが作成されました。`);
+      console.log(`${tiles.length + 1}ページのPDFファイルが作成されました（1ページ目はページマップ）。`);
       console.log('');
       console.log('印刷時の注意:');
       console.log('- 実際のサイズで印刷してください（拡大縮小なし）');
-      console.log('- 余白を最小に設定してください');
-      console.log('- ページ番号を参考に並べてください');
+      console.log('- 1ページ目のページマップを参考に並べてください');
+      if (spec.overlapMm > 0) {
+        console.log('- 2列目以降・2行目以降のタイルは左・上のトンボで切り、前のタイルののりしろに重ねてください');
+      }
       resolve();
     });
     writeStream.on('error', reject);
   });
 }
 
+/**
+ * コマンドライン引数から分割設定を作る
+ */
+function parseSpec(args) {
+  const number = (name, fallback) => {
+    const value = getArg(args, name);
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`${name} には0以上の数値を指定してください: ${value}`);
+    return n;
+  };
+
+  const marksArg = getArg(args, '--marks');
+  const marks = marksArg === undefined ? DEFAULTS.marks
+    : marksArg === 'none' ? []
+      : marksArg.split(',').map(m => m.trim());
+
+  const spec = {
+    paper: getArg(args, '--paper') || DEFAULTS.paper,
+    orientation: getArg(args, '--orientation') || DEFAULTS.orientation,
+    cols: Math.round(number('--cols', DEFAULTS.cols)),
+    rows: Math.round(number('--rows', DEFAULTS.rows)),
+    overlapMm: number('--overlap', DEFAULTS.overlapMm),
+    marginMm: number('--margin', DEFAULTS.marginMm),
+    marks,
+    fit: getArg(args, '--fit') || DEFAULTS.fit,
+    dpi: number('--dpi', DEFAULTS.dpi)
+  };
+
+  // 用紙名・向き・分割数・fit・マークの確認
+  return validateTileSpec(spec);
+}
+
+function printUsage() {
+  console.log('使用方法: node split-image.js <入力画像> [出力PDF] [オプション]');
+  console.log('');
+  console.log('オプション:');
+  console.log(`  --paper <name>         用紙 (${listPaperNames().join(', ')}, <w>x<h>mm), 既定: ${DEFAULTS.paper}`);
+  console.log(`  --orientation <o>      portrait, landscape, 既定: ${DEFAULTS.orientation}`);
+  console.log(`  --cols <n> --rows <n>  分割数, 既定: ${DEFAULTS.cols}x${DEFAULTS.rows}`);
+  console.log(`  --overlap <mm>         のりしろ（隣のタイルと重なる幅）, 既定: ${DEFAULTS.overlapMm}`);
+  console.log(`  --margin <mm>          用紙の余白（印刷できない領域とマーク用）, 既定: ${DEFAULTS.marginMm}`);
+  console.log(`  --marks <list>         ${TILE_MARKS.join(', ')}（カンマ区切り）または none, 既定: ${DEFAULTS.marks.join(',')}`);
+  console.log(`  --fit <mode>           contain（全体を収め、タイルを画像の比率に合わせる）, cover（切り抜いて埋める）, fill（引き伸ばす）, 既定: ${DEFAULTS.fit}`);
+  console.log(`  --dpi <n>              ラスタライズ解像度, 既定: ${DEFAULTS.dpi}`);
+  console.log('');
+  console.log('例:');
+  console.log('  node split-image.js poster.png');
+  console.log('  node split-image.js poster.png out.pdf --paper A3 --orientation landscape --cols 3 --rows 5');
+  console.log('  node split-image.js poster.png --paper B4 --cols 2 --rows 4 --overlap 0 --marks none');
+  console.log('');
+  console.log('説明:');
+  console.log('  入力画像をタイルに分割し、1ページ目にページマップ、以降に1タイル1ページのPDFを出力します。');
+  console.log('  各ページを実寸印刷し、トンボで切ってのりしろに重ねることで大きなポスターを作成できます。');
+  console.log('  B0〜B6 はJIS B列（PAPER_SIZES と同じ）です。ISO B列は ISO-B4 のように指定します。');
+}
+
 // メイン処理
 async function main() {
   const args = process.argv.slice(2);
 
-  if (args.length === 0) {
-    console.log('使用方法: node split-image.js <入力画像> [出力PDF]');
-    console.log('');
-    console.log('例:');
-    console.log('  node split-image.js poster.png');
-    console.log('  node split-image.js poster.jpg output.pdf');
-    console.log('');
-    console.log('説明:');
-    console.log('  入力画像を4x4=16枚に分割し、A4サイズのPDFとして出力します。');
-    console.log('  各ページをA4用紙に実寸印刷し、貼り合わせることで大きなポスターを作成できます。');
-    process.exit(1);
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    printUsage();
+    process.exit(args.length === 0 ? 1 : 0);
   }
 
   const inputPath = path.resolve(args[0]);
@@ -151,13 +200,14 @@ async function main() {
     process.exit(1);
   }
 
-  // 出力パスを決定
-  const outputPath = args[1]
+  // 出力パスを決定（2番目の引数がオプションでなければ出力PDF）
+  const outputPath = args[1] && !args[1].startsWith('--')
     ? path.resolve(args[1])
     : inputPath.replace(/\.[^.]+$/, '_split.pdf');
 
   try {
-    await splitImageToPDF(inputPath, outputPath);
+    const spec = parseSpec(args);
+    await splitImageToPDF(inputPath, outputPath, spec);
   } catch (error) {
     console.error('エラーが発生しました:', error.message);
     process.exit(1);
@@ -0,0 +1,148 @@
+/**
+ * Time-lapse Animation Module
+ * Shows the figure being drawn: every frame redraws the grid with the same seed and config.revealCount set,
+ * so cells appear in draw order and each one looks exactly as it does in the finished figure.
+ * Shared by the browser export (visualization.js) and the headless frame writer (render-craftlog.js)
+ */
+
+import { ANIMATION_CONFIG, DEFAULT_SEED, colors } from './config.js';
+import { drawLeWittGrid } from './lewitt.js';
+import { RecordingGraphics } from './recorder.js';
+
+// What one frame advances by (ANIMATION_CONFIG.step)
+export const ANIMATION_STEPS = {
+  cell: 'cellsPerFrame cells per frame, evenly paced',
+  elapsed: 'cellsPerFrame cells per step, each step held for its real elapsed_ms gap',
+  time: 'fixed slice of elapsed_ms per frame, cells appear once their time is reached'
+};
+
+/**
+ * Time at which each cell (in draw order) appears
+ * A cell never appears before the cells drawn ahead of it, so orders other than 'time' stay a prefix;
+ * empty cells appear together with the cell before them
+ */
+export function getRevealTimes(cells) {
+  let time = null;
+  return cells.map(cell => {
+    if (cell.event) {
+      const elapsed = cell.event.elapsed_ms || 0;
+      time = time === null ? elapsed : Math.max(time, elapsed);
+    }
+    return time ?? 0;
+  });
+}
+
+/**
+ * Build the frame schedule for a drawn grid
+ * Each segment draws the first `reveal` cells and is shown for `frames` frames, so pauses cost no extra drawing
+ * @param cells - drawLeWittGrid result.cells
+ * @returns {Array<{ reveal: number, frames: number }>}
+ */
+export function buildFrameSchedule(cells, options = ANIMATION_CONFIG) {
+  const { step, cellsPerFrame, fps, durationSec, maxPauseSec, holdEndSec } = { ...ANIMATION_CONFIG, ...options };
+  const times = getRevealTimes(cells);
+  const maxPause = Math.max(1, Math.round(maxPauseSec * fps));
+  const holdEnd = Math.max(1, Math.round(holdEndSec * fps));
+
+  // Reveal points: just after each cell that has an event
+  const ends = [];
+  cells.forEach((cell, i) => {
+    if (cell.event) ends.push(i + 1);
+  });
+
+  if (ends.length === 0) {
+    return [{ reveal: cells.length, frames: holdEnd }];
+  }
+
+  const startTime = times[ends[0] - 1];
+  const span = times[ends[ends.length - 1] - 1] - startTime;
+  const frameTotal = Math.max(1, Math.round(durationSec * fps));
+  const mode = span > 0 ? step : 'cell';
+  const schedule = [];
+
+  if (mode === 'time') {
+    // Fixed time slices; consecutive frames with nothing new become one held segment
+    let next = 0;
+    for (let k = 1; k <= frameTotal; k++) {
+      const t = startTime + span * k / frameTotal;
+      while (next < ends.length && times[ends[next] - 1] <= t) next++;
+
+      const reveal = ends[next - 1];
+      const last = schedule[schedule.length - 1];
+      if (last && last.reveal === reveal) {
+        last.frames = Math.min(last.frames + 1, maxPause);
+      } else {
+        schedule.push({ reveal, frames: 1 });
+      }
+    }
+  } else {
+    const perStep = Math.max(1, Math.round(cellsPerFrame));
+    const steps = [];
+    for (let i = perStep - 1; i < ends.length + perStep - 1; i += perStep) {
+      steps.push(ends[Math.min(i, ends.length - 1)]);
+    }
+
+    const msPerFrame = span / frameTotal;
+    steps.forEach((reveal, i) => {
+      let frames = 1;
+      if (mode === 'elapsed' && i < steps.length - 1) {
+        // Hold this step until the next one's time, in frames of the mapped duration
+        const gap = times[steps[i + 1] - 1] - times[reveal - 1];
+        frames = Math.min(Math.max(1, Math.round(gap / msPerFrame)), maxPause);
+      }
+      schedule.push({ reveal, frames });
+    });
+  }
+
+  // The last segment shows the finished figure (trailing empty cells included)
+  const last = schedule[schedule.length - 1];
+  last.reveal = cells.length;
+  last.frames = Math.max(last.frames, holdEnd);
+
+  return schedule;
+}
+
+/**
+ * Plan a time-lapse: one recorded draw for the cell list, then the frame schedule
+ * The seed is fixed here so every frame reuses the same random sequence
+ * @returns {{ config: object, result: object, schedule: object[], frameCount: number, durationSec: number }}
+ */
+export function planAnimation(events, width, height, config, scale = 1, options = ANIMATION_CONFIG) {
+  const frameConfig = { ...config, seed: config.seed || DEFAULT_SEED };
+  const result = drawLeWittGrid(new RecordingGraphics(width, height), events, width, height, frameConfig, scale);
+  const schedule = buildFrameSchedule(result.cells, options);
+  const frameCount = schedule.reduce((sum, segment) => sum + segment.frames, 0);
+  const fps = options.fps ?? ANIMATION_CONFIG.fps;
+
+  return { config: frameConfig, result, schedule, frameCount, durationSec: frameCount / fps };
+}
+
+/**
+ * Draw one time-lapse frame: background, then the first `reveal` cells and the overlays for them
+ */
+export function drawAnimationFrame(g, events, width, height, config, reveal, scale = 1) {
+  g.background(colors.background);
+  return drawLeWittGrid(g, events, width, height, { ...config, revealCount: reveal }, scale);
+}
+
+/**
+ * File name of a frame in a PNG sequence (1-based, zero padded)
+ */
+export function getFrameFileName(index) {
+  return `frame_${String(index + 1).padStart(5, '0')}.png`;
+}
+
+/**
+ * ffmpeg concat list for a PNG sequence with one file per segment, so held frames keep their duration
+ *   ffmpeg -f concat -i frames.ffconcat -vf fps=30 -pix_fmt yuv420p timelapse.mp4
+ */
+export function toFfconcat(schedule, fps) {
+  const lines = ['ffconcat version 1.0'];
+  schedule.forEach((segment, i) => {
+    lines.push(`file '${getFrameFileName(i)}'`);
+    lines.push(`duration ${(segment.frames / fps).toFixed(4)}`);
+  });
+  // The concat demuxer ignores the last duration unless the file is repeated
+  lines.push(`file '${getFrameFileName(schedule.length - 1)}'`);
+  return lines.join('\n') + '\n';
+}
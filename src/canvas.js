@@ -0,0 +1,78 @@
+/**
+ * Canvas Export Module
+ * Draws a recorded display list (see recorder.js) onto a Canvas 2D context, the raster counterpart of svg.js and pdf.js
+ * Needs no p5 or DOM, so it also draws on an OffscreenCanvas inside a worker (see render-worker.js)
+ */
+
+/**
+ * Convert a recorded color to a CSS color
+ */
+function cssColor(color) {
+  return `rgba(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)},${color.a / 255})`;
+}
+
+// p5 text baseline -> canvas textBaseline (p5 CENTER is the middle of the line)
+const TEXT_BASELINE = { top: 'top', center: 'middle', bottom: 'bottom', alphabetic: 'alphabetic' };
+
+/**
+ * Fill and stroke the current path the way p5 does (fill first, stroke on top)
+ */
+function paint(ctx, op) {
+  if (op.fill) {
+    ctx.fillStyle = cssColor(op.fill);
+    ctx.fill();
+  }
+  if (op.stroke) {
+    ctx.strokeStyle = cssColor(op.stroke);
+    ctx.lineWidth = op.weight;
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draw a display list onto a canvas context in display list pixels
+ * Apply a transform first to draw at another density or only one tile (e.g. ctx.translate(-tileX, -tileY))
+ * Lines are stroked one by one, so crossing translucent lines darken where they cross, as in the p5 preview
+ * @param ctx - CanvasRenderingContext2D or OffscreenCanvasRenderingContext2D
+ * @param ops - Display list from RecordingGraphics (or a slice of one)
+ */
+export function drawDisplayListToCanvas(ctx, ops) {
+  for (const op of ops) {
+    switch (op.type) {
+      case 'background':
+        // Cover the whole canvas, whatever the transform
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = cssColor(op.fill);
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.restore();
+        break;
+      case 'line':
+        ctx.beginPath();
+        ctx.moveTo(op.x1, op.y1);
+        ctx.lineTo(op.x2, op.y2);
+        ctx.strokeStyle = cssColor(op.stroke);
+        ctx.lineWidth = op.weight;
+        ctx.lineCap = op.cap;
+        ctx.stroke();
+        break;
+      case 'rect':
+        ctx.beginPath();
+        ctx.rect(op.x, op.y, op.w, op.h);
+        paint(ctx, op);
+        break;
+      case 'ellipse':
+        ctx.beginPath();
+        ctx.ellipse(op.x, op.y, op.w / 2, op.h / 2, 0, 0, Math.PI * 2);
+        paint(ctx, op);
+        break;
+      case 'text':
+        ctx.font = `${op.size}px sans-serif`;
+        ctx.textAlign = op.align;
+        ctx.textBaseline = TEXT_BASELINE[op.baseline] || 'alphabetic';
+        ctx.fillStyle = cssColor(op.fill);
+        ctx.fillText(op.text, op.x, op.y);
+        break;
+    }
+  }
+}
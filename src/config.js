@@ -13,29 +13,34 @@ export const colors = {
   policy_violation_fill: 'rgba(255, 0, 0, 0.08)'
 };
 
-// Paper sizes at 300 DPI (in pixels)
+// Print resolution used for PAPER_SIZES
+export const DPI = 300;
+
+// Paper sizes at 300 DPI (in pixels), with physical size in mm for vector output
 export const PAPER_SIZES = {
-  B6: { width: 1512, height: 2150 },   // 128mm × 182mm
-  B5: { width: 2150, height: 3035 },   // 182mm × 257mm
-  B4: { width: 3035, height: 4299 },   // 257mm × 364mm
-  B3: { width: 4299, height: 6071 },   // 364mm × 514mm
-  B2: { width: 6071, height: 8598 },   // 514mm × 728mm
-  B1: { width: 8598, height: 12165 },  // 728mm × 1030mm
-  B0: { width: 12165, height: 17197 }, // 1030mm × 1456mm
+  B6: { width: 1512, height: 2150, widthMm: 128, heightMm: 182 },
+  B5: { width: 2150, height: 3035, widthMm: 182, heightMm: 257 },
+  B4: { width: 3035, height: 4299, widthMm: 257, heightMm: 364 },
+  B3: { width: 4299, height: 6071, widthMm: 364, heightMm: 514 },
+  B2: { width: 6071, height: 8598, widthMm: 514, heightMm: 728 },
+  B1: { width: 8598, height: 12165, widthMm: 728, heightMm: 1030 },
+  B0: { width: 12165, height: 17197, widthMm: 1030, heightMm: 1456 },
 };
 
-// Tile configuration for B1 rendering (8 B4 tiles)
+// Tiled print output: the figure drawn for targetSize, split into sheets with one tile per PDF page
+// The layout (tiles.js) is shared by the browser export, render-craftlog.js --tiles and split-image.js
 export const TILE_CONFIG = {
-  targetSize: 'B1',
-  tileSize: 'B4',
-  cols: 2,  // 2 columns
-  rows: 4,  // 4 rows
-  // Each tile is B4 rotated (landscape): 4299 × 3035
-  tileWidth: PAPER_SIZES.B4.height,   // 4299px (364mm)
-  tileHeight: PAPER_SIZES.B4.width,   // 3035px (257mm)
-  // Final combined size: 8598 × 12140 (close to B1)
-  get finalWidth() { return this.tileWidth * this.cols; },
-  get finalHeight() { return this.tileHeight * this.rows; }
+  targetSize: 'B1',         // Paper size the figure is drawn for (its aspect ratio)
+  paper: 'B4',              // Sheet each tile is printed on (see paper.js)
+  orientation: 'landscape', // B4 landscape: 364 × 257 mm
+  cols: 2,
+  rows: 4,                  // 2 × 4 sheets: 728 × 1028 mm (close to B1)
+  overlapMm: 0,             // Overlap with the neighbouring tile, for gluing
+  marginMm: 0,              // Unprinted sheet margin (crop / registration marks need 7mm or more)
+  marks: [],                // 'crop', 'registration'
+  fit: 'contain',           // 'contain' | 'cover' | 'fill'
+  output: 'vector',         // 'vector' (PDF paths) | 'raster' (one PNG per tile at dpi)
+  dpi: 300
 };
 
 // Current paper size setting (change this to resize)
@@ -83,10 +88,25 @@ export const LEWITT_CONFIG = {
 
   // Grid
   maxEvents: 530,
+  drawnEvents: ['edit', 'workspace_diff', 'file_create', 'file_delete', 'session_end'],  // event types that get a cell
   sampling: 'uniform',  // 'uniform' | 'weighted'
+  samplingWeightExponent: 3,  // 'weighted': selection weight = severity^exponent
   order: 'time',        // 'time' | 'severity' | 'type_blocks'
+  traversal: 'serpentine',  // 'serpentine' | 'column_serpentine' | 'spiral' | 'hilbert' | 'diagonal'
+  aggregation: 'none',  // 'none' | 'duration' | 'activity' - one time bin per cell instead of sampling
   minGridSize: 5,
   maxGridSize: 27,
+  gridShape: 'square',  // 'square' (N×N) | 'aspect' (square cells, rows/cols follow the paper aspect)
+  growthOverlay: 'none',  // 'none' | 'contour' | 'ruler' - workspace LOC and commits from snapshots
+  panels: 'none',       // 'none' | 'session' | 'day' - one labelled sub-grid per session or calendar day
+  idleGaps: 'none',     // 'none' | 'pause' | 'edits' - cap idle stretches for ai_prompt matching, bins and durations (idle.js)
+  idleThresholdMs: 5 * 60 * 1000,  // Longest idle stretch kept (also the merge-craftlog.js --idle default)
+  pointConnection: 'knn',  // 'knn' | 'mst' | 'delaunay' | 'rng' | 'tour' | 'symmetric' - graph over the boundary points (connections.js)
+  neighborCount: 2,     // 'knn': each boundary point is connected to this many nearest neighbors
+  panelOptions: {
+    labelSize: 18,  // Label text size (px at preview scale)
+    gap: 30         // Vertical space between panels (px at preview scale)
+  },
 
   // Hatching
   hatching: {
@@ -97,6 +117,10 @@ export const LEWITT_CONFIG = {
       snapshot: 0,
       mode_change: 90,
       policy_violation: [45, 135],  // cross-hatch
+      workspace_diff: 0,
+      file_create: [0, 90],         // grid
+      file_delete: [0, 90],         // grid
+      session_end: 90,
       default: [0, 45, 90, 135]     // hash-based selection
     },
     // Spacing range (pixels) - lerp(max, min, severity)
@@ -125,9 +149,80 @@ export const LEWITT_CONFIG = {
     // Undo perpendicular line
     undoLineAlpha: 80,
     // Paste thick line
-    pasteLineWeightMultiplier: 2.5
+    pasteLineWeightMultiplier: 2.5,
+    // workspace_diff LOC bars
+    locBarReference: 2000,  // LOC at full cell height (log scale)
+    locBarWidth: 0.25,      // fraction of cell width
+    // file_create / file_delete inset frame
+    fileFrameInset: 0.15,   // fraction of cell size
+    // session_end closing bar
+    sessionEndBarWeightMultiplier: 2.5
   },
 
-  // Random seed (0 = use timestamp)
+  // Growth overlay (snapshot LOC contour / margin ruler, commit ticks)
+  growth: {
+    color: [30, 90, 200],
+    alpha: 180,
+    weight: 1.5,
+    commitWeight: 3
+  },
+
+  // Options for the non-default presets (see src/presets/)
+  presetOptions: {
+    concentric_circles: {
+      minRings: 1,
+      maxRings: 8
+    },
+    stripe_bars: {
+      barAspect: 8  // bar height / bar width
+    }
+  },
+
+  // Random seed (0 = DEFAULT_SEED)
   seed: 0
 };
+
+// Seed used when LEWITT_CONFIG.seed is 0, so every render is reproducible (see session.js)
+export const DEFAULT_SEED = 12345;
+
+// Pen plotter export configuration (HPGL / G-code)
+export const PLOTTER_CONFIG = {
+  // Paper size the plot is scaled to (key of PAPER_SIZES)
+  paperSize: 'B2',
+
+  // Pen layer grouping - strokes are quantized into layers by weight and alpha
+  weightStepMm: 0.25,
+  alphaLevels: 4,
+
+  // Segments used to approximate stroked ellipses
+  ellipseSegments: 24,
+
+  // HPGL resolution
+  hpglUnitsPerMm: 40,
+
+  // G-code pen control and feed rates (mm/min)
+  gcode: {
+    penUp: 'G0 Z5',
+    penDown: 'G1 Z0 F1000',
+    travelFeed: 3000,
+    drawFeed: 1500
+  }
+};
+
+// Live mode: tail a session file through the dev-server SSE endpoint (vite-plugin-craftlog-live.js)
+export const LIVE_CONFIG = {
+  endpoint: '/__craftlog',
+  redrawIntervalMs: 1000  // At most one preview redraw per interval while events stream in
+};
+
+// Time-lapse animation export (see animation.js)
+export const ANIMATION_CONFIG = {
+  step: 'cell',        // 'cell' | 'elapsed' | 'time' - what one frame advances by (ANIMATION_STEPS)
+  cellsPerFrame: 1,    // 'cell' / 'elapsed': cells revealed per step
+  fps: 30,
+  durationSec: 20,     // 'elapsed' / 'time': the whole log's elapsed_ms is mapped onto this length
+  maxPauseSec: 2,      // Cap for a single real-time gap shown as a pause
+  holdEndSec: 3,       // Final (complete) frame is held this long
+  frameWidth: 720,     // Frame width in px; height follows the preview aspect
+  format: 'webm'       // Browser export: 'webm' | 'gif' | 'png'
+};
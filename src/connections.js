@@ -0,0 +1,336 @@
+/**
+ * Point Connection Module
+ * Graphs drawn over the boundary points of the whole grid (LEWITT_CONFIG.pointConnection).
+ * Every strategy depends only on the points and their order (cell order, i.e. time order),
+ * so with a fixed seed the same points give the same lines; ties are broken by point index
+ */
+
+import { createBucketGrid, findNearest, forEachPointNear, findNeighborEdges } from './neighbors.js';
+
+// Connection strategies (LEWITT_CONFIG.pointConnection), also listed in instructions.txt
+export const CONNECTIONS = {
+  knn: 'Each point is joined to its k nearest points (k = neighborCount)',
+  mst: 'Minimum spanning tree: the shortest set of lines that joins every point, without loops',
+  delaunay: 'Delaunay triangulation: points are joined into triangles whose circumcircles hold no other point',
+  rng: 'Relative neighbourhood graph: two points are joined unless a third point is closer to both of them',
+  tour: 'One line through every point, starting at the earliest: always to the nearest unvisited point, then crossings undone (2-opt)',
+  symmetric: 'No lines across cells: each cell draws its own points (the default preset joins each one through the cell center)'
+};
+
+// Nearest candidates tried for each point when undoing crossings
+const TOUR_CANDIDATES = 8;
+const TOUR_MAX_PASSES = 50;
+
+/**
+ * POINT CONNECTIONS section of instructions.txt, for presets that draw drawPointConnections
+ */
+export function connectionInstructions({ pointConnection, neighborCount }) {
+  const strategy = CONNECTIONS[pointConnection] ? pointConnection : 'knn';
+  const details = {
+    knn: `k = ${neighborCount}; each pair is drawn once. Ties go to the earlier point.`,
+    mst: 'Built from the first point outward, always adding the shortest line to a new point. Ties go to the earlier point.',
+    delaunay: 'Points at the same position are drawn once. Points all on one line are joined along it.',
+    rng: 'Subset of the Delaunay lines; always contains the minimum spanning tree.',
+    tour: `Starts at the first point of the first cell. 2-opt tries the ${TOUR_CANDIDATES} nearest points of each point, at most ${TOUR_MAX_PASSES} passes.`,
+    symmetric: 'See SPECIAL RULES for what each cell draws.'
+  };
+
+  return `POINT CONNECTIONS
+-----------------
+Strategy: ${strategy}
+  ${CONNECTIONS[strategy]}
+  ${details[strategy]}
+${strategy === 'symmetric' ? '' : `Points: all boundary points of the grid, in cell order (time order), as 4px dots (alpha 200).
+Lines: weight 1.2, alpha 150, drawn after every cell.
+`}The lines depend only on the points, and the points on the seed: the same seed draws the same lines.
+`;
+}
+
+function distance(points, i, j) {
+  const dx = points[j].x - points[i].x;
+  const dy = points[j].y - points[i].y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Minimum spanning tree (Prim, O(n²)); edges in the order they join the tree, starting from the first point
+ */
+function minimumSpanningTree(points) {
+  const n = points.length;
+  const inTree = new Uint8Array(n);
+  const bestDist = new Float64Array(n).fill(Infinity);
+  const bestFrom = new Int32Array(n).fill(-1);
+  const edges = [];
+
+  let current = 0;
+  for (let step = 1; step < n; step++) {
+    inTree[current] = 1;
+    let next = -1;
+    for (let j = 0; j < n; j++) {
+      if (inTree[j]) continue;
+      const dist = distance(points, current, j);
+      if (dist < bestDist[j]) {
+        bestDist[j] = dist;
+        bestFrom[j] = current;
+      }
+      if (next < 0 || bestDist[j] < bestDist[next]) next = j;
+    }
+    edges.push([bestFrom[next], next]);
+    current = next;
+  }
+
+  return edges;
+}
+
+/**
+ * Circumcircle of a triangle; degenerate (collinear) triangles get an infinite circle,
+ * so the next inserted point always replaces them
+ */
+function circumcircle(xs, ys, a, b, c) {
+  const bx = xs[b] - xs[a], by = ys[b] - ys[a];
+  const cx = xs[c] - xs[a], cy = ys[c] - ys[a];
+  const d = 2 * (bx * cy - by * cx);
+  if (Math.abs(d) < 1e-12) return { a, b, c, x: xs[a], y: ys[a], r2: Infinity };
+
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  const ux = (cy * b2 - by * c2) / d;
+  const uy = (bx * c2 - cx * b2) / d;
+  return { a, b, c, x: xs[a] + ux, y: ys[a] + uy, r2: ux * ux + uy * uy };
+}
+
+/**
+ * Delaunay triangulation edges (Bowyer-Watson, inserting points left to right)
+ * Triangles whose circumcircle lies left of the current point are final and leave the search
+ * Points at the same position as an earlier point are skipped
+ */
+function delaunayEdges(points) {
+  const n = points.length;
+  const order = points.map((_, i) => i).sort((i, j) => points[i].x - points[j].x || points[i].y - points[j].y || i - j);
+
+  // Coordinates, with a large enclosing triangle at n, n+1, n+2
+  const xs = new Float64Array(n + 3);
+  const ys = new Float64Array(n + 3);
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  points.forEach(({ x, y }, i) => {
+    xs[i] = x;
+    ys[i] = y;
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  const span = Math.max(maxX - minX, maxY - minY, 1);
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
+  [[midX - 20 * span, midY - span], [midX, midY + 20 * span], [midX + 20 * span, midY - span]].forEach(([x, y], i) => {
+    xs[n + i] = x;
+    ys[n + i] = y;
+  });
+
+  let open = [circumcircle(xs, ys, n, n + 1, n + 2)];
+  const closed = [];
+
+  for (let o = 0; o < n; o++) {
+    const p = order[o];
+    if (o > 0 && xs[p] === xs[order[o - 1]] && ys[p] === ys[order[o - 1]]) continue;
+
+    const stillOpen = [];
+    const cavity = new Map();
+    const addEdge = (u, v) => {
+      const key = u < v ? `${u}-${v}` : `${v}-${u}`;
+      if (cavity.has(key)) cavity.delete(key);
+      else cavity.set(key, [u, v]);
+    };
+
+    for (const tri of open) {
+      const dx = xs[p] - tri.x;
+      const dy = ys[p] - tri.y;
+      if (dx > 0 && dx * dx > tri.r2) {
+        closed.push(tri);
+      } else if (dx * dx + dy * dy <= tri.r2) {
+        addEdge(tri.a, tri.b);
+        addEdge(tri.b, tri.c);
+        addEdge(tri.c, tri.a);
+      } else {
+        stillOpen.push(tri);
+      }
+    }
+
+    for (const [u, v] of cavity.values()) {
+      stillOpen.push(circumcircle(xs, ys, u, v, p));
+    }
+    open = stillOpen;
+  }
+
+  // Edges of the final triangles, without the enclosing triangle
+  const seen = new Set();
+  const edges = [];
+  for (const tri of [...closed, ...open]) {
+    if (tri.r2 === Infinity) continue;
+    for (const [u, v] of [[tri.a, tri.b], [tri.b, tri.c], [tri.c, tri.a]]) {
+      if (u >= n || v >= n) continue;
+      const key = Math.min(u, v) * n + Math.max(u, v);
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push([Math.min(u, v), Math.max(u, v)]);
+      }
+    }
+  }
+
+  // Collinear points form no triangle: join them in order along the line
+  if (edges.length === 0) {
+    for (let o = 1; o < n; o++) edges.push([order[o - 1], order[o]]);
+  }
+
+  return edges.sort((e, f) => e[0] - f[0] || e[1] - f[1]);
+}
+
+/**
+ * Relative neighbourhood graph: Delaunay edges p–q with no point r where both |pr| and |qr| are shorter than |pq|
+ */
+function relativeNeighborhoodEdges(points) {
+  const grid = createBucketGrid(points);
+
+  return delaunayEdges(points).filter(([p, q]) => {
+    const length = distance(points, p, q);
+    let blocked = false;
+    forEachPointNear(grid, points[p].x, points[p].y, length, r => {
+      if (!blocked && r !== p && r !== q && distance(points, p, r) < length && distance(points, q, r) < length) {
+        blocked = true;
+      }
+    });
+    return !blocked;
+  });
+}
+
+/**
+ * Open tour from the first point: nearest unvisited point next (ties by index), then 2-opt moves
+ * between nearby points until no move shortens it. The first point stays first
+ * @returns {number[]} point indices in tour order
+ */
+function buildTour(points) {
+  const n = points.length;
+  const visited = new Uint8Array(n);
+  const path = [0];
+  visited[0] = 1;
+
+  for (let step = 1; step < n; step++) {
+    const last = path[path.length - 1];
+    let next = -1;
+    let nextDist = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (visited[j]) continue;
+      const dist = distance(points, last, j);
+      if (dist < nextDist) {
+        next = j;
+        nextDist = dist;
+      }
+    }
+    visited[next] = 1;
+    path.push(next);
+  }
+
+  // 2-opt on the open path; a missing neighbor (past the end) is at distance 0
+  const grid = createBucketGrid(points);
+  const candidates = points.map((_, i) => findNearest(points, grid, i, Math.min(TOUR_CANDIDATES, n - 1)).map(c => c.index));
+  const position = new Int32Array(n);
+  const dist = (i, j) => (i < 0 || j < 0 ? 0 : distance(points, i, j));
+  const at = (pos) => (pos < n ? path[pos] : -1);
+  const reverse = (from, to) => {
+    for (let lo = from, hi = to; lo < hi; lo++, hi--) {
+      [path[lo], path[hi]] = [path[hi], path[lo]];
+    }
+    for (let pos = from; pos <= to; pos++) position[path[pos]] = pos;
+  };
+  path.forEach((point, pos) => { position[point] = pos; });
+
+  for (let pass = 0; pass < TOUR_MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < n; i++) {
+      const a = path[i];
+      const b = at(i + 1);
+      for (const c of candidates[a]) {
+        const j = position[c];
+        if (j > i + 1) {
+          // a-b ... c-d  →  a-c ... b-d
+          const d = at(j + 1);
+          if (dist(a, b) + dist(c, d) - dist(a, c) - dist(b, d) > 1e-9) {
+            reverse(i + 1, j);
+            improved = true;
+            break;
+          }
+        } else if (j < i - 1) {
+          // c-e ... a-b  →  c-a ... e-b
+          const e = path[j + 1];
+          if (dist(c, e) + dist(a, b) - dist(c, a) - dist(e, b) > 1e-9) {
+            reverse(j + 1, i);
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return path;
+}
+
+/**
+ * Edges of a connection strategy over the points
+ * @param strategy - Key of CONNECTIONS ('symmetric' has no edges)
+ * @param k - Neighbors per point for 'knn'
+ * @returns {Array<[number, number]>} index pairs
+ */
+export function findConnectionEdges(points, strategy, k) {
+  if (points.length < 2) return [];
+
+  switch (strategy) {
+    case 'mst':
+      return minimumSpanningTree(points);
+    case 'delaunay':
+      return delaunayEdges(points);
+    case 'rng':
+      return relativeNeighborhoodEdges(points);
+    case 'tour': {
+      const path = buildTour(points);
+      return path.slice(1).map((point, i) => [path[i], point]);
+    }
+    case 'symmetric':
+      return [];
+    default:
+      return findNeighborEdges(points, k);
+  }
+}
+
+// Last result, reused while the same points come back (raster tiles redraw the whole figure per tile)
+let cache = null;
+
+function samePoints(coords, points) {
+  if (coords.length !== points.length * 2) return false;
+  for (let i = 0; i < points.length; i++) {
+    if (coords[2 * i] !== points[i].x || coords[2 * i + 1] !== points[i].y) return false;
+  }
+  return true;
+}
+
+/**
+ * findConnectionEdges, computed once per render: the result is kept and returned again
+ * while the same point set (same coordinates in the same order) is asked for with the same strategy and k
+ */
+export function getConnectionEdges(points, strategy, k) {
+  if (cache && cache.strategy === strategy && cache.k === k && samePoints(cache.coords, points)) {
+    return cache.edges;
+  }
+
+  const coords = new Float64Array(points.length * 2);
+  points.forEach(({ x, y }, i) => {
+    coords[2 * i] = x;
+    coords[2 * i + 1] = y;
+  });
+  cache = { strategy, k, coords, edges: findConnectionEdges(points, strategy, k) };
+  return cache.edges;
+}
@@ -0,0 +1,176 @@
+/**
+ * Growth Overlay Module
+ * Shows project size over time from snapshot events on top of the cells:
+ * a LOC contour following the cell traversal, or a LOC ruler in the margin,
+ * with commit ticks wherever git HEAD changes
+ */
+
+import { LEWITT_CONFIG } from './config.js';
+import { clamp } from './helpers.js';
+
+// Overlay modes and their descriptions (used in instructions.txt)
+export const GROWTH_OVERLAYS = {
+  none: 'No growth overlay',
+  contour: 'LOC contour: a line through the cells in traversal order, higher in the cell = more lines of code',
+  ruler: 'LOC ruler: one bar per grid row in the left margin, commit ticks in the right margin'
+};
+
+/**
+ * Time of an event on the same clock as ai_prompt matching (elapsed_ms, falling back to ts)
+ */
+function getGrowthTime(event) {
+  return event.elapsed_ms ?? event.ts ?? 0;
+}
+
+/**
+ * Workspace size and git HEAD at each drawn event
+ * Uses the latest snapshot at or before the event; a HEAD change since the previous event is a commit
+ * @param events - Prepared events in cell order
+ * @param snapshots - Snapshot events in time order
+ * @returns {Array<{ loc: number, files: number, head: string|null, commit: boolean }>}
+ */
+export function computeGrowthSeries(events, snapshots) {
+  const timed = snapshots
+    .filter(s => s.workspace)
+    .map(s => ({ time: getGrowthTime(s), loc: s.workspace.total_loc, files: s.workspace.files_count, head: s.git_head }));
+
+  // Latest snapshot index at or before a time (binary search)
+  const findSnapshot = time => {
+    let lo = 0, hi = timed.length - 1, found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (timed[mid].time <= time) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  };
+
+  let prevIndex = -1;
+  return events.map(event => {
+    if (!event) return null;
+    const index = findSnapshot(getGrowthTime(event));
+    const snapshot = index >= 0 ? timed[index] : null;
+
+    // Any HEAD change between the previous cell's snapshot and this one
+    let commit = false;
+    if (index > prevIndex && prevIndex >= 0) {
+      for (let i = prevIndex + 1; i <= index; i++) {
+        if (timed[i].head && timed[i - 1].head && timed[i].head !== timed[i - 1].head) {
+          commit = true;
+          break;
+        }
+      }
+    }
+    prevIndex = Math.max(prevIndex, index);
+
+    return {
+      loc: snapshot ? snapshot.loc : 0,
+      files: snapshot ? snapshot.files : 0,
+      head: snapshot ? snapshot.head : null,
+      commit
+    };
+  });
+}
+
+/**
+ * Largest total_loc across snapshots (shared scale for the overlay)
+ */
+export function getMaxLoc(snapshots) {
+  return snapshots.reduce((max, s) => Math.max(max, s.workspace?.total_loc || 0), 0);
+}
+
+function setGrowthStroke(g, weight, scale) {
+  const { color, alpha } = LEWITT_CONFIG.growth;
+  g.stroke(color[0], color[1], color[2], alpha);
+  g.strokeWeight(Math.max(0.5, weight * scale));
+  g.noFill();
+}
+
+/**
+ * LOC contour through the cells in traversal order
+ * Consecutive cells are joined only when they share an edge; commit ticks cross the line
+ */
+function drawContour(g, cells, series, maxLoc, scale) {
+  const { weight, commitWeight } = LEWITT_CONFIG.growth;
+  let prev = null;
+
+  for (let i = 0; i < cells.length; i++) {
+    const point = series[i];
+    if (!point) break;
+    const cell = cells[i];
+    const ratio = clamp(point.loc / maxLoc, 0, 1);
+    const x = cell.x + cell.w / 2;
+    const y = cell.y + cell.h * (0.95 - 0.9 * ratio);
+
+    setGrowthStroke(g, weight, scale);
+    if (prev && Math.abs(prev.cell.col - cell.col) + Math.abs(prev.cell.row - cell.row) === 1) {
+      g.line(prev.x, prev.y, x, y);
+    } else {
+      // Traversal jump: short stub so isolated cells still show their level
+      g.line(cell.x + cell.w * 0.25, y, cell.x + cell.w * 0.75, y);
+    }
+
+    if (point.commit) {
+      setGrowthStroke(g, commitWeight, scale);
+      g.line(x, y - cell.h * 0.25, x, y + cell.h * 0.25);
+    }
+
+    prev = { cell, x, y };
+  }
+}
+
+/**
+ * LOC ruler in the margins: left bar length = largest LOC reached in the row,
+ * right tick = the row contains a commit
+ */
+function drawRuler(g, cells, series, maxLoc, area, scale) {
+  const { weight, commitWeight } = LEWITT_CONFIG.growth;
+  const margin = area.x;
+  const rows = new Map();
+
+  for (let i = 0; i < cells.length; i++) {
+    if (!series[i]) break;
+    const cell = cells[i];
+    const row = rows.get(cell.row) || { y: cell.y, h: cell.h, loc: 0, commit: false };
+    row.loc = Math.max(row.loc, series[i].loc);
+    row.commit = row.commit || series[i].commit;
+    rows.set(cell.row, row);
+  }
+
+  for (const row of rows.values()) {
+    const centerY = row.y + row.h / 2;
+    const length = margin * 0.7 * clamp(row.loc / maxLoc, 0, 1);
+
+    if (length > 0) {
+      setGrowthStroke(g, weight, scale);
+      g.fill(...LEWITT_CONFIG.growth.color, LEWITT_CONFIG.growth.alpha / 2);
+      g.rect(area.x - margin * 0.1 - length, centerY - row.h * 0.3, length, row.h * 0.6);
+    }
+    if (row.commit) {
+      setGrowthStroke(g, commitWeight, scale);
+      const x = area.x + area.width + margin * 0.1;
+      g.line(x, centerY, x + margin * 0.4, centerY);
+    }
+  }
+  g.noFill();
+}
+
+/**
+ * Draw the growth overlay for one grid
+ * @param mode - 'contour' | 'ruler'
+ * @returns {{ commitCount: number }}
+ */
+export function drawGrowthOverlay(g, mode, cells, events, snapshots, maxLoc, area, scale = 1) {
+  const series = computeGrowthSeries(events, snapshots);
+  const commitCount = series.filter(p => p && p.commit).length;
+  if (maxLoc <= 0) return { commitCount };
+
+  if (mode === 'contour') drawContour(g, cells, series, maxLoc, scale);
+  if (mode === 'ruler') drawRuler(g, cells, series, maxLoc, area, scale);
+
+  return { commitCount };
+}
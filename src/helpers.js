@@ -1,4 +1,9 @@
-import { colors } from './config.js';
+import { colors, LEWITT_CONFIG } from './config.js';
+import { getPreset } from './presets/registry.js';
+import { TRAVERSALS } from './traversal.js';
+import { PANEL_MODES, splitIntoPanels } from './panels.js';
+import { GROWTH_OVERLAYS } from './growth.js';
+import { IDLE_MODES, getActiveDurationMs } from './idle.js';
 
 /**
  * Clamp value between min and max
@@ -61,6 +66,16 @@ export function calculateSeverity(event) {
   if (event.event === 'session_pause') return 0.3;
   if (event.event === 'session_resume') return 0.35;
   if (event.event === 'mode_change') return 0.3;
+  if (event.event === 'session_end') return 0.4;
+
+  // workspace/file events: structural changes
+  if (event.event === 'workspace_diff') {
+    const loc = (event.diff?.added_loc || 0) + (event.diff?.removed_loc || 0);
+    // Same log reference as the LOC bars
+    return clamp(0.2 + 0.7 * Math.log1p(loc) / Math.log1p(LEWITT_CONFIG.motifs.locBarReference), 0.2, 0.9);
+  }
+  if (event.event === 'file_create') return 0.6;
+  if (event.event === 'file_delete') return 0.7;
 
   // default
   return 0.5;
@@ -89,6 +104,24 @@ export function normalizeEvent(raw) {
       is_undo_like: raw.flags.is_undo_like || false,
       is_redo_like: raw.flags.is_redo_like || false
     } : null,
+    diff: raw.event === 'workspace_diff' ? {
+      added_files: raw.added_files || 0,
+      removed_files: raw.removed_files || 0,
+      added_loc: raw.added_loc || 0,
+      removed_loc: raw.removed_loc || 0,
+      added_bytes: raw.added_bytes || 0,
+      removed_bytes: raw.removed_bytes || 0
+    } : null,
+    file_stats: raw.stats ? {
+      loc: raw.stats.loc || 0,
+      bytes: raw.stats.bytes || 0
+    } : null,
+    workspace: raw.workspace ? {
+      files_count: raw.workspace.files_count || 0,
+      total_loc: raw.workspace.total_loc || 0,
+      total_bytes: raw.workspace.total_bytes || 0
+    } : null,
+    git_head: raw.git?.head ?? null,
     detail: raw.detail ?? null,
     session_id: raw.session_id ?? null,
     workspace_id: raw.workspace_id ?? null,
@@ -98,13 +131,13 @@ export function normalizeEvent(raw) {
 
 /**
  * Parse JSONL data with proper normalization and severity calculation
- * @returns {{ events: NormalizedEvent[], warnings: string[], sessionId: string }}
+ * @returns {{ events: NormalizedEvent[], warnings: string[], sessionId: string, sessionIds: string[] }}
  */
 export function parseJsonl(jsonlText) {
   const lines = jsonlText.trim().split('\n');
   const events = [];
   const warnings = [];
-  let sessionId = '';
+  const sessionIds = [];
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -116,21 +149,108 @@ export function parseJsonl(jsonlText) {
       normalized.severity = calculateSeverity(normalized);
       events.push(normalized);
 
-      if (!sessionId && raw.session_id) {
-        sessionId = raw.session_id;
+      if (raw.session_id && !sessionIds.includes(raw.session_id)) {
+        sessionIds.push(raw.session_id);
       }
     } catch (e) {
       warnings.push(`Line ${i + 1}: Parse error - ${e.message}`);
     }
   }
 
-  return { events, warnings, sessionId };
+  // sessionId is the first session (merged logs keep every id in sessionIds)
+  return { events, warnings, sessionId: sessionIds[0] || '', sessionIds };
+}
+
+/**
+ * Summarize the events that sampling left out of the figure
+ * @param report - { events, dropped, candidateCount, sampling } from prepareEventsWithReport
+ */
+export function summarizeSampling(report) {
+  const result = {
+    method: report.sampling,
+    aggregation: report.aggregation,
+    candidate_count: report.candidateCount,
+    selected_count: report.events.length,
+    dropped_count: report.dropped.length,
+    dropped_by_event: {},
+    dropped_by_origin_mode: {},
+    dropped_flags: { paste_like: 0, undo_like: 0, redo_like: 0 },
+    dropped_severity: { mean: 0, max: 0 },
+    dropped_events: []
+  };
+
+  let severityTotal = 0;
+  for (const e of report.dropped) {
+    result.dropped_by_event[e.event] = (result.dropped_by_event[e.event] || 0) + 1;
+    if (e.origin_mode) {
+      result.dropped_by_origin_mode[e.origin_mode] = (result.dropped_by_origin_mode[e.origin_mode] || 0) + 1;
+    }
+    if (e.flags?.is_paste_like) result.dropped_flags.paste_like++;
+    if (e.flags?.is_undo_like) result.dropped_flags.undo_like++;
+    if (e.flags?.is_redo_like) result.dropped_flags.redo_like++;
+
+    severityTotal += e.severity || 0;
+    result.dropped_severity.max = Math.max(result.dropped_severity.max, e.severity || 0);
+
+    result.dropped_events.push({
+      ts: e.ts,
+      event: e.event,
+      origin_mode: e.origin_mode,
+      file_path: e.file_path,
+      severity: e.severity
+    });
+  }
+
+  if (report.dropped.length > 0) {
+    result.dropped_severity.mean = Math.round(severityTotal / report.dropped.length * 1000) / 1000;
+  }
+
+  return result;
+}
+
+/**
+ * Per-panel stats for summary.json (one session or one calendar day)
+ * @param idle - { mode, thresholdMs }: duration_ms is active time when idle gaps are capped
+ */
+function summarizePanel(panel, idle) {
+  const stats = {
+    event_count: panel.events.length,
+    session_ids: panel.sessionIds,
+    edits: { human: 0, ai: 0, added_chars: 0, deleted_chars: 0 },
+    ai_prompt_count: 0,
+    policy_violation_count: 0,
+    time_span: {
+      min_ts: panel.startTs,
+      max_ts: panel.endTs,
+      duration_ms: getActiveDurationMs(panel.events, idle)
+    }
+  };
+
+  for (const e of panel.events) {
+    if (e.event === 'edit') {
+      if (e.origin_mode === 'human') stats.edits.human++;
+      if (e.origin_mode === 'ai') stats.edits.ai++;
+      if (e.delta) {
+        stats.edits.added_chars += e.delta.added_chars;
+        stats.edits.deleted_chars += e.delta.deleted_chars;
+      }
+    }
+    if (e.event === 'ai_prompt') stats.ai_prompt_count++;
+    if (e.event === 'policy_violation') stats.policy_violation_count++;
+  }
+
+  return stats;
 }
 
 /**
  * Generate summary statistics from events
+ * @param samplingReports - optional `samplingReports` of a drawLeWittGrid result, adds a `sampling` section
+ *   (with one entry per panel under `panels` when the figure has panels)
+ * @param config - idleGaps / idleThresholdMs: durations are active time when idle gaps are capped
  */
-export function generateSummary(events, sessionId) {
+export function generateSummary(events, sessionId, samplingReports = null, config = LEWITT_CONFIG) {
+  const idle = { mode: config.idleGaps || 'none', thresholdMs: config.idleThresholdMs };
+
   const summary = {
     session_id: sessionId,
     counts: {
@@ -211,9 +331,13 @@ export function generateSummary(events, sessionId) {
     summary.edits.deleted_chars.mean = Math.round(summary.edits.deleted_chars.total / editCount);
   }
 
-  // Calculate duration
+  // Calculate duration (active time when idle gaps are capped, with the wall-clock span kept beside it)
   if (summary.time_span.min_ts && summary.time_span.max_ts) {
-    summary.time_span.duration_ms = summary.time_span.max_ts - summary.time_span.min_ts;
+    summary.time_span.duration_ms = getActiveDurationMs(events, idle);
+    if (idle.mode !== 'none') {
+      summary.time_span.wall_clock_ms = summary.time_span.max_ts - summary.time_span.min_ts;
+      summary.time_span.idle = { mode: idle.mode, threshold_ms: idle.thresholdMs };
+    }
   }
 
   // Top 10 file paths
@@ -222,14 +346,78 @@ export function generateSummary(events, sessionId) {
     .slice(0, 10)
     .map(([path, count]) => ({ path, count }));
 
+  // Per-session and per-day stats (merged logs contain several sessions)
+  const sessions = splitIntoPanels(events, 'session');
+  summary.session_ids = sessions.map(panel => panel.key).filter(key => key !== 'unknown');
+  summary.sessions = sessions.map(panel => ({ session_id: panel.key, ...summarizePanel(panel, idle) }));
+  summary.days = splitIntoPanels(events, 'day').map(panel => ({ day: panel.key, ...summarizePanel(panel, idle) }));
+
+  if (samplingReports) {
+    // Panels are sampled with their own budgets; the totals add them up
+    const [first] = samplingReports;
+    summary.sampling = summarizeSampling({
+      events: samplingReports.flatMap(report => report.events),
+      dropped: samplingReports.flatMap(report => report.dropped),
+      candidateCount: samplingReports.reduce((sum, report) => sum + report.candidateCount, 0),
+      sampling: first.sampling,
+      aggregation: first.aggregation
+    });
+    if (first.panel !== undefined) {
+      summary.sampling.panels = samplingReports.map(report => ({ panel: report.panel, ...summarizeSampling(report) }));
+    }
+  }
+
   return summary;
 }
 
+/**
+ * Maximum events and sampling lines, shared by every preset's layout section
+ */
+export function samplingInstructions({ maxEvents, sampling }) {
+  return `Maximum events: ${maxEvents}
+Sampling method: ${sampling}
+`;
+}
+
+/**
+ * GRID section of instructions.txt, for presets that draw on the cell grid
+ */
+export function gridInstructions(config) {
+  const { cols, rows, gridShape } = config;
+  return `GRID
+----
+Grid: ${cols} columns × ${rows} rows
+Cell shape: ${gridShape === 'aspect' ? 'square (rows and columns follow the paper aspect ratio)' : 'N × N grid stretched to the drawing area'}
+${samplingInstructions(config)}`;
+}
+
+/**
+ * Severity-driven line rules of instructions.txt (LEWITT_CONFIG.hatching), shared by the presets
+ * @param options - { spacing: list the line spacing, policyViolation: list the policy_violation weight bonus }
+ */
+export function severityInstructions(hatching, { spacing = true, policyViolation = false } = {}) {
+  return `${spacing ? `Density (spacing) by severity:
+  spacing = lerp(${hatching.spacingMax}, ${hatching.spacingMin}, severity) pixels
+  (higher severity = denser lines)
+  Range: ${hatching.spacingClampMin}px to ${hatching.spacingClampMax}px
+
+` : ''}Stroke weight by severity:
+  weight = lerp(${hatching.weightMin}, ${hatching.weightMax}, severity)
+${policyViolation ? `  policy_violation: +${hatching.policyViolationWeightBonus}
+` : ''}
+Stroke alpha by severity:
+  alpha = lerp(${hatching.alphaMin}, ${hatching.alphaMax}, severity)
+`;
+}
+
 /**
  * Generate instructions text (LeWitt style)
+ * Grid and rule sections come from the preset named by config.preset
  */
 export function generateInstructions(config, summary, events) {
-  const { sessionId, seed, preset, canvasWidth, canvasHeight, marginRatio, gridSize, order, maxEvents, sampling } = config;
+  const { sessionId, seed, logHash, configHash, logEnd, preset, canvasWidth, canvasHeight, marginRatio, order, traversal, aggregation, panels, growthOverlay, idleGaps, idleThresholdMs } = config;
+  // Presets with a fixed visiting order ignore config.traversal
+  const cellTraversal = getPreset(preset).traversal || traversal;
 
   const editEvents = events.filter(e => e.event === 'edit');
   const humanEdits = editEvents.filter(e => e.origin_mode === 'human').length;
@@ -239,55 +427,64 @@ export function generateInstructions(config, summary, events) {
 Session: ${sessionId}
 Preset: ${preset}
 Seed: ${seed}
-
+${logHash ? `Log hash: ${logHash}\nConfig hash: ${configHash}\n` : ''}
 CANVAS
 ------
 Dimensions: ${canvasWidth} × ${canvasHeight} pixels
 Margin ratio: ${marginRatio * 100}%
 Drawing area: inner ${Math.round(canvasWidth * (1 - 2 * marginRatio))} × ${Math.round(canvasHeight * (1 - 2 * marginRatio))} pixels
 
-GRID
-----
-Grid: ${gridSize} × ${gridSize} cells
-Cell assignment order: ${order}
-Maximum events: ${maxEvents}
-Sampling method: ${sampling}
+${getPreset(preset).instructions(config)}
+CELL ASSIGNMENT
+---------------
+Event order: ${order}
+Traversal: ${cellTraversal}
+  ${TRAVERSALS[cellTraversal] || ''}
+Event i is drawn in the i-th cell of the traversal.
 
-HATCHING RULES
+${aggregation && aggregation !== 'none' ? `AGGREGATION
+-----------
+Mode: ${aggregation} (${aggregation === 'duration' ? 'equal elapsed time' : 'equal number of edits'} per bin)
+The whole session is split into one time bin per cell, in time order.
+Each bin is drawn from aggregated stats:
+  - severity from the summed delta (1.0 if the bin contains a policy_violation)
+  - human / ai edits → 45° / 135° hatching, alpha weighted by their share
+  - bins without edits → 0° hatching
+  - any paste_like / undo_like edit → paste mark / undo mark
+  - summed added + deleted chars → boundary points
+
+` : ''}${panels && panels !== 'none' ? `PANELS
+------
+Mode: ${panels} (${PANEL_MODES[panels] || ''})
+One sub-grid per panel, stacked top to bottom.
+All panels share the same column count and cell size.
+Maximum events are split between panels in proportion to their event counts.
+Each panel is labelled with its ${panels === 'day' ? 'date, session ids' : 'session id'} and wall-clock duration.${idleGaps && idleGaps !== 'none' ? '\nDurations listed below are active time (see IDLE GAPS).' : ''}
+${(summary[panels === 'day' ? 'days' : 'sessions'] || []).map(s =>
+  `  - ${s.session_id || s.day}: ${s.event_count} events, ${Math.round(s.time_span.duration_ms / 1000 / 60)} minutes`
+).join('\n')}
+
+` : ''}${growthOverlay && growthOverlay !== 'none' ? `GROWTH OVERLAY
 --------------
-Each cell contains parallel lines (hatching). Parameters determined by log data:
-
-Direction (angle) by event and origin_mode:
-  - edit + human     → 45°
-  - edit + ai        → 135°
-  - snapshot         → 0° (horizontal)
-  - mode_change      → 90° (vertical)
-  - policy_violation → 45° + 135° (cross-hatch)
-  - other            → hash(event) % 4 × 45°
-
-Density (spacing) by severity:
-  spacing = lerp(18, 4, severity) pixels
-  (higher severity = denser lines)
-  Range: 3px to 24px
-
-Stroke weight by severity:
-  weight = lerp(0.6, 3.0, severity)
-  policy_violation: +1.0
-
-Stroke alpha by severity:
-  alpha = lerp(40, 200, severity)
-
-SPECIAL RULES
--------------
-- policy_violation: Red fill (255,0,0,20), then cross-hatch
-- undo_like flag: One perpendicular line (cancellation mark)
-- paste_like flag: One thick line (block indicator)
-- edit added_chars: Radial lines from center
-  count = clamp(round(log1p(added_chars)/1.6), 0, 12)
-
-STATISTICS
+Mode: ${growthOverlay}
+  ${GROWTH_OVERLAYS[growthOverlay] || ''}
+Each drawn cell takes the workspace size from the latest snapshot at or before its event.
+LOC is scaled to the largest total_loc in the log.
+Commit ticks mark cells where git HEAD changed since the previous cell.
+Drawn in rgb(${LEWITT_CONFIG.growth.color.join(',')}) on top of the hatching.
+
+` : ''}${idleGaps && idleGaps !== 'none' ? `IDLE GAPS
+---------
+Mode: ${idleGaps}
+  ${IDLE_MODES[idleGaps] || ''}
+Threshold: ${Math.round(idleThresholdMs / 1000)} seconds
+Time is active time: every idle stretch counts at most the threshold.
+ai_prompt matching, aggregation bins and durations all use active time.
+
+` : ''}STATISTICS
 ----------
 Total events: ${summary.total_events}
+Sessions: ${summary.session_ids.length}
 Edit events: ${editEvents.length} (human: ${humanEdits}, ai: ${aiEdits})
 Snapshots: ${summary.counts.by_event['snapshot'] || 0}
 Policy violations: ${summary.policy_violation.count}
@@ -302,7 +499,7 @@ All randomness derived from this seed for reproducibility.
 Micro-jitter (≤1px) permitted per seed.
 
 ---
-Generated: ${new Date().toISOString()}
+Log end: ${logEnd ? logEnd.toISOString() : 'unknown'}
 `;
 }
 
@@ -325,8 +522,12 @@ export function getEventColor(eventType) {
 export function formatTime(ms) {
   const seconds = Math.floor(ms / 1000);
   const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
   const remainingSeconds = seconds % 60;
 
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
   if (minutes > 0) {
     return `${minutes}m ${remainingSeconds}s`;
   }
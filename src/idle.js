@@ -0,0 +1,90 @@
+/**
+ * Idle Gap Module
+ * Caps idle stretches of a log at a threshold, so elapsed time reflects active work.
+ * merge-craftlog.js --idle writes the result into elapsed_ms; the renderer applies the same mapping
+ * in memory (LEWITT_CONFIG.idleGaps) for ai_prompt matching, aggregation bins and summary durations
+ */
+
+// Where idle stretches come from (LEWITT_CONFIG.idleGaps, merge-craftlog.js --idle)
+export const IDLE_MODES = {
+  none: 'Real time: pauses are kept as logged (merging glues sessions end to start)',
+  pause: 'session_pause / session_end to the next event, and the time between sessions, count at most the threshold',
+  edits: 'Any stretch between consecutive edits counts at most the threshold'
+};
+
+/**
+ * Idle stretches of a log, as ts ranges longer than thresholdMs (sorted, non-overlapping)
+ * @param options - { mode: keyof IDLE_MODES, thresholdMs: number }
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function findIdleGaps(entries, { mode, thresholdMs }) {
+  const sorted = entries.filter(e => Number.isFinite(e.ts)).sort((a, b) => a.ts - b.ts);
+  const gaps = [];
+
+  if (mode === 'pause') {
+    // Last ts of each session, so a stretch no session spans counts as between sessions
+    const sessionEnds = new Map();
+    for (const e of sorted) sessionEnds.set(e.session_id, e.ts);
+
+    let openUntil = -Infinity;
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const e = sorted[i];
+      openUntil = Math.max(openUntil, sessionEnds.get(e.session_id));
+      const paused = e.event === 'session_pause' || e.event === 'session_end';
+      if (paused || openUntil <= e.ts) {
+        gaps.push({ start: e.ts, end: sorted[i + 1].ts });
+      }
+    }
+  } else if (mode === 'edits') {
+    const edits = sorted.filter(e => e.event === 'edit');
+    for (let i = 0; i < edits.length - 1; i++) {
+      gaps.push({ start: edits[i].ts, end: edits[i + 1].ts });
+    }
+  }
+
+  return gaps.filter(gap => gap.end - gap.start > thresholdMs);
+}
+
+/**
+ * Clock mapping ts to active time: ms since the first entry, with every idle gap shortened to thresholdMs
+ * Time inside a gap is scaled linearly, so events keep their order
+ * @returns {(ts: number) => number}
+ */
+export function createIdleClock(entries, options) {
+  const gaps = findIdleGaps(entries, options);
+  const firstTs = entries.reduce((min, e) => (Number.isFinite(e.ts) ? Math.min(min, e.ts) : min), Infinity);
+
+  return ts => {
+    let removed = 0;
+    for (const gap of gaps) {
+      if (ts <= gap.start) break;
+      const length = gap.end - gap.start;
+      const excess = length - options.thresholdMs;
+      removed += ts >= gap.end ? excess : (ts - gap.start) * excess / length;
+    }
+    return ts - firstTs - removed;
+  };
+}
+
+/**
+ * Copies of the events with elapsed_ms replaced by active time (events without ts keep theirs)
+ * With mode 'none' the events are returned as they are
+ */
+export function applyIdleGaps(events, options) {
+  if (!options.mode || options.mode === 'none') return events;
+
+  const clock = createIdleClock(events, options);
+  return events.map(e => (Number.isFinite(e.ts) ? { ...e, elapsed_ms: Math.round(clock(e.ts)) } : e));
+}
+
+/**
+ * Time from the first to the last event, with idle gaps capped (wall-clock time for mode 'none')
+ */
+export function getActiveDurationMs(events, options) {
+  const times = events.map(e => e.ts).filter(Number.isFinite);
+  if (times.length === 0) return 0;
+
+  const lastTs = Math.max(...times);
+  if (!options.mode || options.mode === 'none') return lastTs - Math.min(...times);
+  return Math.round(createIdleClock(events, options)(lastTs));
+}
@@ -0,0 +1,155 @@
+/**
+ * Cell Inspector Module
+ * Hover or click a cell in the preview canvas to see the event drawn in it
+ */
+
+import { CANVAS_WIDTH, CANVAS_HEIGHT, CURRENT_PAPER_SIZE } from './config.js';
+import { formatTime } from './helpers.js';
+
+/**
+ * Escape text for innerHTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Label / value rows describing the event in a cell
+ */
+export function describeCell(cell) {
+  const rows = [['Cell', `#${cell.index} (col ${cell.col}, row ${cell.row})${cell.panel ? ` in ${cell.panel}` : ''}`]];
+  const e = cell.event;
+
+  if (!e) {
+    rows.push(['Event', '(empty cell)']);
+    return rows;
+  }
+
+  rows.push(['Event', e.event]);
+  if (e.ts) rows.push(['Time', new Date(e.ts).toLocaleString()]);
+  if (e.elapsed_ms !== null && e.elapsed_ms !== undefined) rows.push(['Elapsed', formatTime(e.elapsed_ms)]);
+  if (e.file_path) rows.push(['File', e.lang ? `${e.file_path} (${e.lang})` : e.file_path]);
+  if (e.origin_mode) rows.push(['Origin', e.origin_mode]);
+  if (e.kind) rows.push(['Kind', e.kind]);
+
+  if (e.delta) {
+    const { added_chars, deleted_chars, added_lines, deleted_lines } = e.delta;
+    rows.push(['Delta', `+${added_chars} / -${deleted_chars} chars, +${added_lines} / -${deleted_lines} lines`]);
+  }
+
+  if (e.flags) {
+    const flags = [
+      e.flags.is_paste_like && 'paste',
+      e.flags.is_undo_like && 'undo',
+      e.flags.is_redo_like && 'redo'
+    ].filter(Boolean);
+    rows.push(['Flags', flags.length > 0 ? flags.join(', ') : 'none']);
+  }
+
+  if (e.diff) {
+    const { added_files, removed_files, added_loc, removed_loc } = e.diff;
+    rows.push(['Diff', `+${added_files} / -${removed_files} files, +${added_loc} / -${removed_loc} LOC`]);
+  }
+  if (e.file_stats) {
+    rows.push(['File size', `${e.file_stats.loc} LOC, ${e.file_stats.bytes} bytes`]);
+  }
+
+  if (e.bin) {
+    const { event_count, human_edits, ai_edits, paste_count, undo_count, policy_violation_count } = e.bin;
+    rows.push(['Bin', `${event_count} events, ${human_edits} human / ${ai_edits} ai edits`]);
+    rows.push(['Bin marks', `${paste_count} paste, ${undo_count} undo, ${policy_violation_count} policy violations`]);
+  }
+
+  rows.push(['Severity', (e.severity ?? 0).toFixed(3)]);
+  rows.push(['AI prompt', cell.aiPromptLength > 0 ? `${cell.aiPromptLength} chars` : '—']);
+
+  return rows;
+}
+
+function renderRows(rows) {
+  return `<table>${rows.map(([label, value]) =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+  ).join('')}</table>`;
+}
+
+/**
+ * Update the canvas summary in the info panel after a preview draw
+ */
+export function updateCanvasInfo(element, result) {
+  if (!element) return;
+  element.innerHTML = renderRows([
+    ['Canvas', `${CANVAS_WIDTH} × ${CANVAS_HEIGHT} px (${CURRENT_PAPER_SIZE})`],
+    ['Grid', `${result.cols} × ${result.rows}, ${result.eventCount} events`],
+    ['Seed', result.seed]
+  ]);
+}
+
+/**
+ * Wire hover / click inspection on the preview canvas
+ * Hover shows the cell under the pointer; click pins it until the next click or Escape
+ * @param container - Element that contains the p5 canvas
+ * @param getCellAt - (x, y) in canvas pixels -> cell entry or null
+ * @param infoElement - Element that receives the event description
+ * @param highlight - Absolutely positioned element outlining the inspected cell
+ */
+export function setupCellInspector(container, getCellAt, infoElement, highlight) {
+  let pinned = null;
+
+  // Pointer position in canvas pixels (the canvas is scaled down by CSS)
+  const toCanvas = (evt) => {
+    const canvas = container.querySelector('canvas');
+    if (!canvas) return null;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      rect,
+      x: (evt.clientX - rect.left) * CANVAS_WIDTH / rect.width,
+      y: (evt.clientY - rect.top) * CANVAS_HEIGHT / rect.height
+    };
+  };
+
+  const show = (cell, rect) => {
+    if (!cell) {
+      infoElement.innerHTML = '';
+      highlight.style.display = 'none';
+      return;
+    }
+    infoElement.innerHTML = renderRows(describeCell(cell));
+
+    const sx = rect.width / CANVAS_WIDTH;
+    const sy = rect.height / CANVAS_HEIGHT;
+    highlight.style.display = 'block';
+    highlight.style.left = `${rect.left + cell.x * sx}px`;
+    highlight.style.top = `${rect.top + cell.y * sy}px`;
+    highlight.style.width = `${cell.w * sx}px`;
+    highlight.style.height = `${cell.h * sy}px`;
+  };
+
+  container.addEventListener('mousemove', (evt) => {
+    if (pinned) return;
+    const pos = toCanvas(evt);
+    if (pos) show(getCellAt(pos.x, pos.y), pos.rect);
+  });
+
+  container.addEventListener('mouseleave', () => {
+    if (!pinned) show(null);
+  });
+
+  container.addEventListener('click', (evt) => {
+    const pos = toCanvas(evt);
+    if (!pos) return;
+    const cell = getCellAt(pos.x, pos.y);
+    pinned = cell && (!pinned || pinned.index !== cell.index || pinned.panel !== cell.panel) ? cell : null;
+    show(cell, pos.rect);
+  });
+
+  document.addEventListener('keydown', (evt) => {
+    if (evt.key === 'Escape' && pinned) {
+      pinned = null;
+      show(null);
+    }
+  });
+}
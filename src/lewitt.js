@@ -3,8 +3,14 @@
  * Translates craftlog events into Sol LeWitt-style hatching patterns
  */
 
-import { colors, LEWITT_CONFIG } from './config.js';
-import { clamp, lerp, hashString } from './helpers.js';
+import { colors, LEWITT_CONFIG, DEFAULT_SEED } from './config.js';
+import { clamp, lerp, hashString, calculateSeverity, formatTime, gridInstructions, severityInstructions } from './helpers.js';
+import { registerPreset, getPreset, DEFAULT_PRESET } from './presets/registry.js';
+import { getCellOrder, TRAVERSALS } from './traversal.js';
+import { splitIntoPanels, allocatePanelBudgets, layoutPanels } from './panels.js';
+import { drawGrowthOverlay, getMaxLoc } from './growth.js';
+import { applyIdleGaps } from './idle.js';
+import { getConnectionEdges, connectionInstructions } from './connections.js';
 
 /**
  * Seeded random number generator (Mulberry32)
@@ -41,6 +47,49 @@ export function calculateGridSize(eventCount, config = LEWITT_CONFIG) {
   return clamp(n, config.minGridSize, config.maxGridSize);
 }
 
+/**
+ * Calculate column and row counts for the grid
+ * - gridShape 'square': N × N (calculateGridSize)
+ * - gridShape 'aspect': cells stay square for the drawing area's aspect ratio;
+ *   the shorter side is clamped to [minGridSize, maxGridSize], the longer side follows the aspect
+ * @param aspect - drawing area height / width
+ * @returns {{ cols: number, rows: number }}
+ */
+export function calculateGridDimensions(eventCount, aspect = 1, config = LEWITT_CONFIG) {
+  // Panels share one column count (set by drawLeWittGrid), rows follow the event count
+  if (config.fixedCols) {
+    const k = Math.min(eventCount, config.maxEvents);
+    return { cols: config.fixedCols, rows: Math.max(1, Math.ceil(k / config.fixedCols)) };
+  }
+
+  if (config.gridShape !== 'aspect') {
+    const n = calculateGridSize(eventCount, config);
+    return { cols: n, rows: n };
+  }
+
+  const k = Math.min(eventCount, config.maxEvents);
+  const ratio = aspect >= 1 ? aspect : 1 / aspect; // long side / short side
+  const short = clamp(Math.round(Math.sqrt(k / ratio)), config.minGridSize, config.maxGridSize);
+  const long = Math.max(Math.round(short * ratio), Math.ceil(k / short));
+
+  return aspect >= 1
+    ? { cols: short, rows: long }
+    : { cols: long, rows: short };
+}
+
+/**
+ * Drawing area inside the margin (margin is relative to canvas width)
+ */
+export function getDrawArea(canvasWidth, canvasHeight, config = LEWITT_CONFIG) {
+  const margin = canvasWidth * config.marginRatio;
+  return {
+    x: margin,
+    y: margin,
+    width: canvasWidth - 2 * margin,
+    height: canvasHeight - 2 * margin
+  };
+}
+
 /**
  * Get hatching angle for an event
  */
@@ -54,6 +103,10 @@ export function getHatchAngle(event, rng) {
   if (event.event === 'snapshot') return angles.snapshot;
   if (event.event === 'mode_change') return angles.mode_change;
   if (event.event === 'policy_violation') return angles.policy_violation; // Array for cross-hatch
+  if (event.event === 'workspace_diff') return angles.workspace_diff;
+  if (event.event === 'file_create') return angles.file_create; // Array for grid hatch
+  if (event.event === 'file_delete') return angles.file_delete; // Array for grid hatch
+  if (event.event === 'session_end') return angles.session_end;
 
   // Default: hash-based selection
   const hash = hashString(event.event);
@@ -81,7 +134,7 @@ export function getHatchParams(severity) {
  * Clip a line segment to a rectangle using Liang-Barsky algorithm
  * Returns null if line is completely outside, or clipped [x1,y1,x2,y2]
  */
-function clipLineToRect(x1, y1, x2, y2, rx, ry, rw, rh) {
+export function clipLineToRect(x1, y1, x2, y2, rx, ry, rw, rh) {
   const dx = x2 - x1;
   const dy = y2 - y1;
 
@@ -285,8 +338,7 @@ function drawLineWithRectHole(g, x1, y1, x2, y2, rect) {
  * Draw radial lines from center (for added_chars visualization)
  * Original mode - draws lines from center
  */
-export function drawRadialLines(g, cellX, cellY, cellW, cellH, count, rng, scale = 1) {
-  const { motifs } = LEWITT_CONFIG;
+export function drawRadialLines(g, cellX, cellY, cellW, cellH, count, rng, scale = 1, motifs = LEWITT_CONFIG.motifs) {
   const centerX = cellX + cellW / 2;
   const centerY = cellY + cellH / 2;
   const cellSize = Math.min(cellW, cellH);
@@ -410,8 +462,7 @@ export function drawPointSymmetricLines(g, cellX, cellY, cellW, cellH, count, rn
 /**
  * Draw undo mark (perpendicular line)
  */
-export function drawUndoMark(g, cellX, cellY, cellW, cellH, hatchAngle, scale = 1) {
-  const { motifs } = LEWITT_CONFIG;
+export function drawUndoMark(g, cellX, cellY, cellW, cellH, hatchAngle, scale = 1, motifs = LEWITT_CONFIG.motifs) {
   const perpAngle = hatchAngle + 90;
   const centerX = cellX + cellW / 2;
   const centerY = cellY + cellH / 2;
@@ -437,8 +488,7 @@ export function drawUndoMark(g, cellX, cellY, cellW, cellH, hatchAngle, scale =
 /**
  * Draw paste mark (thick line)
  */
-export function drawPasteMark(g, cellX, cellY, cellW, cellH, hatchAngle, weight, scale = 1) {
-  const { motifs } = LEWITT_CONFIG;
+export function drawPasteMark(g, cellX, cellY, cellW, cellH, hatchAngle, weight, scale = 1, motifs = LEWITT_CONFIG.motifs) {
   const centerX = cellX + cellW / 2;
   const centerY = cellY + cellH / 2;
   const length = Math.min(cellW, cellH) * 0.7;
@@ -480,14 +530,104 @@ export function drawPolicyViolationCell(g, cellX, cellY, cellW, cellH, severity,
 }
 
 /**
- * Draw a single cell with hatching based on event
- * Returns collected boundary points if collectPoints is true
+ * Bar height ratio (0..1) for a line count, log scale up to motifs.locBarReference
  */
-export function drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, collectPoints = false) {
-  const { hatching } = LEWITT_CONFIG;
-  const collectedPoints = [];
+function getLocRatio(loc, motifs) {
+  return clamp(Math.log1p(loc) / Math.log1p(motifs.locBarReference), 0, 1);
+}
 
-  // Draw cell border - thicker/darker for events following ai_prompt
+/**
+ * Draw LOC bars for a workspace_diff, standing on the bottom edge of the cell
+ * - left bar: added_loc (filled)
+ * - right bar: removed_loc (outline)
+ * - one short tick on the top edge per added or removed file
+ */
+export function drawLocBars(g, event, cellX, cellY, cellW, cellH, scale = 1, motifs = LEWITT_CONFIG.motifs) {
+  const diff = event.diff;
+  if (!diff) return;
+
+  const barW = cellW * motifs.locBarWidth;
+  const gap = (cellW - 2 * barW) / 3;
+  const bottom = cellY + cellH;
+  const addedH = cellH * 0.9 * getLocRatio(diff.added_loc, motifs);
+  const removedH = cellH * 0.9 * getLocRatio(diff.removed_loc, motifs);
+
+  g.strokeWeight(Math.max(0.5, 1 * scale));
+  if (addedH > 0) {
+    g.stroke(0, 180);
+    g.fill(0, 120);
+    g.rect(cellX + gap, bottom - addedH, barW, addedH);
+  }
+  if (removedH > 0) {
+    g.stroke(0, 180);
+    g.noFill();
+    g.rect(cellX + 2 * gap + barW, bottom - removedH, barW, removedH);
+  }
+  g.noFill();
+
+  // File count ticks (added left to right, removed right to left)
+  const tickLength = cellH * 0.12;
+  const tickStep = cellW / (diff.added_files + diff.removed_files + 1);
+  g.stroke(0, 200);
+  g.strokeWeight(Math.max(0.5, 1.5 * scale));
+  for (let i = 0; i < diff.added_files; i++) {
+    const x = cellX + tickStep * (i + 1);
+    g.line(x, cellY, x, cellY + tickLength);
+  }
+  for (let i = 0; i < diff.removed_files; i++) {
+    const x = cellX + cellW - tickStep * (i + 1);
+    g.line(x, cellY + tickLength * 0.5, x, cellY + tickLength * 1.5);
+  }
+}
+
+/**
+ * Draw the structural mark for file_create / file_delete: an inset frame
+ * file_delete also crosses the frame out with both diagonals
+ */
+export function drawFileMark(g, event, cellX, cellY, cellW, cellH, weight, scale = 1, motifs = LEWITT_CONFIG.motifs) {
+  const inset = Math.min(cellW, cellH) * motifs.fileFrameInset;
+  const x1 = cellX + inset;
+  const y1 = cellY + inset;
+  const x2 = cellX + cellW - inset;
+  const y2 = cellY + cellH - inset;
+
+  g.stroke(0, 200);
+  g.strokeWeight(Math.max(1, weight * 1.5 * scale));
+  g.noFill();
+  g.rect(x1, y1, x2 - x1, y2 - y1);
+
+  if (event.event === 'file_delete') {
+    g.line(x1, y1, x2, y2);
+    g.line(x2, y1, x1, y2);
+  }
+}
+
+/**
+ * Draw the session_end mark: a closing bar along the right edge of the cell
+ */
+export function drawSessionEndMark(g, cellX, cellY, cellW, cellH, weight, scale = 1, motifs = LEWITT_CONFIG.motifs) {
+  const barWeight = Math.max(1, weight * motifs.sessionEndBarWeightMultiplier * scale);
+  const x = cellX + cellW - barWeight / 2;
+
+  g.stroke(0, 220);
+  g.strokeWeight(barWeight);
+  g.line(x, cellY, x, cellY + cellH);
+}
+
+/**
+ * Erase ratio (0..0.8) for deleted_chars visualization
+ * Maps log1p(deleted)/log1p(3000) to 0..0.8
+ */
+export function getEraseRatio(event) {
+  if (!event.delta || !(event.delta.deleted_chars > 0)) return 0;
+  return clamp(Math.log1p(event.delta.deleted_chars) / Math.log1p(3000), 0, 1) * 0.8;
+}
+
+/**
+ * Draw cell border - thicker/darker for events following ai_prompt
+ */
+export function drawCellBorder(g, event, cellX, cellY, cellW, cellH, scale = 1) {
+  const { hatching } = LEWITT_CONFIG;
   let borderWeight = Math.max(0.5, hatching.cellBorderWeight * scale);
   let borderAlpha = hatching.cellBorderAlpha;
 
@@ -505,9 +645,104 @@ export function drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, c
   g.strokeWeight(borderWeight);
   g.noFill();
   g.rect(cellX, cellY, cellW, cellH);
+}
+
+/**
+ * Number of boundary points for an edit, based on total change amount (added + deleted)
+ * count = clamp(round(log1p(added + deleted) / 1.6), 0, radialLinesMaxCount)
+ */
+export function getChangePointCount(event, motifs = LEWITT_CONFIG.motifs) {
+  if (!event.delta) return 0;
+  const totalChange = (event.delta.added_chars || 0) + (event.delta.deleted_chars || 0);
+  if (totalChange <= 0) return 0;
+  return clamp(
+    Math.round(Math.log1p(totalChange) / 1.6),
+    0,
+    motifs.radialLinesMaxCount
+  );
+}
+
+/**
+ * Draw an aggregated time bin
+ * - policy violation in the bin: red fill under the hatching
+ * - human and ai edits: 45° and 135° hatching, alpha weighted by their share (cross-hatch when mixed)
+ * - bins without edits: light 0° hatching
+ * - paste/undo counts: paste mark / undo mark
+ * - summed delta: erase ratio and boundary points, as for single edits
+ */
+function drawBinCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, collectPoints = false, config = LEWITT_CONFIG) {
+  const { motifs } = config;
+  const { angles, policyViolationWeightBonus } = LEWITT_CONFIG.hatching;
+  const { bin } = event;
+  const collectedPoints = [];
+
+  if (bin.event_count === 0) return collectedPoints;
+
+  const params = getHatchParams(event.severity);
+  const eraseRatio = getEraseRatio(event);
+  let weight = params.weight;
+
+  if (bin.policy_violation_count > 0) {
+    g.noStroke();
+    g.fill(255, 0, 0, 20);
+    g.rect(cellX, cellY, cellW, cellH);
+    weight += policyViolationWeightBonus;
+  }
+
+  const originCount = bin.human_edits + bin.ai_edits;
+  if (originCount === 0) {
+    drawHatchLines(g, cellX, cellY, cellW, cellH, angles.snapshot, params.spacing, weight, params.alpha, scale, eraseRatio);
+  } else {
+    const shares = [
+      { angle: angles.edit_human, share: bin.human_edits / originCount },
+      { angle: angles.edit_ai, share: bin.ai_edits / originCount }
+    ];
+    for (const { angle, share } of shares) {
+      if (share <= 0) continue;
+      const alpha = Math.round(lerp(LEWITT_CONFIG.hatching.alphaMin, params.alpha, share));
+      drawHatchLines(g, cellX, cellY, cellW, cellH, angle, params.spacing, weight, alpha, scale, eraseRatio);
+    }
+  }
+
+  const mainAngle = bin.ai_ratio > 0.5 ? angles.edit_ai : angles.edit_human;
+  if (bin.paste_count > 0) {
+    drawPasteMark(g, cellX, cellY, cellW, cellH, mainAngle, params.weight, scale, motifs);
+  }
+  if (bin.undo_count > 0) {
+    drawUndoMark(g, cellX, cellY, cellW, cellH, mainAngle, scale, motifs);
+  }
+
+  const count = getChangePointCount(event, motifs);
+  if (count > 0) {
+    if (collectPoints) {
+      collectedPoints.push(...collectBoundaryPoints(cellX, cellY, cellW, cellH, count, rng));
+    } else {
+      drawPointSymmetricLines(g, cellX, cellY, cellW, cellH, count, rng, scale);
+    }
+  }
+
+  return collectedPoints;
+}
+
+/**
+ * Draw a single cell with hatching based on event
+ * Returns collected boundary points if collectPoints is true
+ * Motif sizes come from config.motifs (the config passed to drawLeWittGrid)
+ */
+export function drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, collectPoints = false, config = LEWITT_CONFIG) {
+  const { motifs } = config;
+  const collectedPoints = [];
+
+  // Draw cell border - thicker/darker for events following ai_prompt
+  drawCellBorder(g, event, cellX, cellY, cellW, cellH, scale);
 
   if (!event) return collectedPoints; // Empty cell
 
+  // Aggregated time bin
+  if (event.event === 'bin') {
+    return drawBinCell(g, event, cellX, cellY, cellW, cellH, rng, scale, collectPoints, config);
+  }
+
   // Special handling for policy_violation
   if (event.event === 'policy_violation') {
     drawPolicyViolationCell(g, cellX, cellY, cellW, cellH, event.severity, scale);
@@ -519,39 +754,37 @@ export function drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, c
   const params = getHatchParams(event.severity);
 
   // Calculate erase ratio based on deleted_chars (logarithmic scale)
-  let eraseRatio = 0;
-  if (event.delta && event.delta.deleted_chars > 0) {
-    const deleted = event.delta.deleted_chars;
-    // Map log1p(deleted)/log1p(3000) to 0..0.8 ratio
-    eraseRatio = clamp(Math.log1p(deleted) / Math.log1p(3000), 0, 1) * 0.8;
+  const eraseRatio = getEraseRatio(event);
+
+  // Draw main hatching (arrays are drawn as cross-hatch)
+  const hatchAngles = Array.isArray(angle) ? angle : [angle];
+  for (const a of hatchAngles) {
+    drawHatchLines(g, cellX, cellY, cellW, cellH, a, params.spacing, params.weight, params.alpha, scale, eraseRatio);
   }
 
-  // Draw main hatching
-  if (typeof angle === 'number') {
-    drawHatchLines(g, cellX, cellY, cellW, cellH, angle, params.spacing, params.weight, params.alpha, scale, eraseRatio);
+  // Structural motifs for workspace and file events
+  if (event.event === 'workspace_diff') {
+    drawLocBars(g, event, cellX, cellY, cellW, cellH, scale, motifs);
+  }
+  if (event.event === 'file_create' || event.event === 'file_delete') {
+    drawFileMark(g, event, cellX, cellY, cellW, cellH, params.weight, scale, motifs);
+  }
+  if (event.event === 'session_end') {
+    drawSessionEndMark(g, cellX, cellY, cellW, cellH, params.weight, scale, motifs);
   }
 
   // Additional motifs for edit events
   if (event.event === 'edit') {
     // Boundary points based on total change amount (added + deleted)
-    if (event.delta) {
-      const totalChange = (event.delta.added_chars || 0) + (event.delta.deleted_chars || 0);
-      if (totalChange > 0) {
-        const count = clamp(
-          Math.round(Math.log1p(totalChange) / 1.6),
-          0,
-          LEWITT_CONFIG.motifs.radialLinesMaxCount
-        );
-        if (count > 0) {
-          if (collectPoints) {
-            // Collect boundary intersection points for later connection
-            const points = collectBoundaryPoints(cellX, cellY, cellW, cellH, count, rng);
-            collectedPoints.push(...points);
-          } else {
-            // Draw point-symmetric lines through center
-            drawPointSymmetricLines(g, cellX, cellY, cellW, cellH, count, rng, scale);
-          }
-        }
+    const count = getChangePointCount(event, motifs);
+    if (count > 0) {
+      if (collectPoints) {
+        // Collect boundary intersection points for later connection
+        const points = collectBoundaryPoints(cellX, cellY, cellW, cellH, count, rng);
+        collectedPoints.push(...points);
+      } else {
+        // Draw point-symmetric lines through center
+        drawPointSymmetricLines(g, cellX, cellY, cellW, cellH, count, rng, scale);
       }
     }
   }
@@ -560,25 +793,181 @@ export function drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale = 1, c
 }
 
 /**
- * Filter and sort events based on configuration
- * Also marks events that are followed by a snapshot or preceded by ai_prompt
+ * Severity-weighted sampling without replacement (Efraimidis-Spirakis)
+ * Each item gets key = log(u) / weight with weight = severity^exponent; the k largest keys are kept.
+ * Returns the selected indices in ascending order, so time order is preserved
  */
-export function prepareEvents(events, config = LEWITT_CONFIG) {
-  // Sort all events by time first
-  const sorted = [...events].sort((a, b) => (a.ts || 0) - (b.ts || 0));
+function sampleWeightedIndices(items, k, rng, exponent) {
+  const keyed = items.map((item, index) => {
+    const weight = Math.pow(Math.max(item.severity || 0, 0.01), exponent);
+    // 1 - next() is in (0, 1], so log() is finite
+    return { index, key: Math.log(1 - rng.next()) / weight };
+  });
+
+  keyed.sort((a, b) => b.key - a.key);
+  return keyed.slice(0, k).map(k => k.index).sort((a, b) => a - b);
+}
 
-  // Mark edit events that are followed by a snapshot
-  for (let i = 0; i < sorted.length - 1; i++) {
-    if (sorted[i].event === 'edit' && sorted[i + 1].event === 'snapshot') {
-      sorted[i].hasSnapshotAfter = true;
+/**
+ * Elapsed time of an event, falling back to ts for events without elapsed_ms
+ */
+function getEventTime(event, firstTs) {
+  return event.elapsed_ms ?? ((event.ts || 0) - firstTs);
+}
+
+/**
+ * Build a synthetic 'bin' event from the events that fall into one bin
+ * Aggregated stats: summed delta, human/ai edit counts, paste/undo/redo counts, policy violations
+ */
+function createBinEvent(index, binEvents, startMs, endMs) {
+  const edits = binEvents.filter(e => e.event === 'edit');
+  const delta = { added_chars: 0, deleted_chars: 0, added_lines: 0, deleted_lines: 0 };
+  const bin = {
+    index,
+    start_ms: startMs,
+    end_ms: endMs,
+    event_count: binEvents.length,
+    edit_count: edits.length,
+    human_edits: 0,
+    ai_edits: 0,
+    ai_ratio: 0,
+    paste_count: 0,
+    undo_count: 0,
+    redo_count: 0,
+    policy_violation_count: binEvents.filter(e => e.event === 'policy_violation').length
+  };
+
+  for (const e of edits) {
+    if (e.delta) {
+      delta.added_chars += e.delta.added_chars;
+      delta.deleted_chars += e.delta.deleted_chars;
+      delta.added_lines += e.delta.added_lines;
+      delta.deleted_lines += e.delta.deleted_lines;
+    }
+    if (e.origin_mode === 'human') bin.human_edits++;
+    if (e.origin_mode === 'ai') bin.ai_edits++;
+    if (e.flags?.is_paste_like) bin.paste_count++;
+    if (e.flags?.is_undo_like) bin.undo_count++;
+    if (e.flags?.is_redo_like) bin.redo_count++;
+  }
+
+  const originCount = bin.human_edits + bin.ai_edits;
+  bin.ai_ratio = originCount > 0 ? bin.ai_edits / originCount : 0;
+
+  // Severity of the summed change, 1.0 if the bin contains a policy violation
+  let severity = 0;
+  if (bin.policy_violation_count > 0) {
+    severity = 1.0;
+  } else if (edits.length > 0) {
+    severity = calculateSeverity({ event: 'edit', delta });
+  } else if (binEvents.length > 0) {
+    severity = Math.max(...binEvents.map(e => e.severity || 0));
+  }
+
+  const first = binEvents[0];
+  return {
+    ts: first ? first.ts : null,
+    // End of the bin, so ai_prompt matching covers the whole bin range
+    elapsed_ms: endMs,
+    event: 'bin',
+    origin_mode: originCount === 0 ? null : (bin.ai_ratio > 0.5 ? 'ai' : 'human'),
+    kind: null,
+    file_path: null,
+    lang: null,
+    delta,
+    flags: {
+      is_paste_like: bin.paste_count > 0,
+      is_undo_like: bin.undo_count > 0,
+      is_redo_like: bin.redo_count > 0
+    },
+    detail: null,
+    session_id: first ? first.session_id : null,
+    workspace_id: first ? first.workspace_id : null,
+    severity,
+    bin,
+    raw: null
+  };
+}
+
+/**
+ * Group time-sorted events into a fixed number of bins (one per grid cell)
+ * - 'duration': equal elapsed time per bin
+ * - 'activity': equal number of edit events per bin (non-edit events join the bin they fall into)
+ * Empty bins are kept (event_count 0) so bin index = cell index
+ */
+export function aggregateEvents(sorted, binCount, mode = 'duration') {
+  if (sorted.length === 0 || binCount <= 0) return [];
+
+  const firstTs = sorted[0].ts || 0;
+  const times = sorted.map(e => getEventTime(e, firstTs));
+  const startMs = Math.min(...times);
+  const endMs = Math.max(...times);
+
+  // Bin boundaries: binCount + 1 edges
+  const edges = [];
+  if (mode === 'activity') {
+    const editTimes = sorted.filter(e => e.event === 'edit').map(e => getEventTime(e, firstTs));
+    const source = editTimes.length > 0 ? editTimes : times;
+    for (let i = 0; i <= binCount; i++) {
+      edges.push(source[Math.min(source.length - 1, Math.floor(i * source.length / binCount))]);
+    }
+    edges[0] = startMs;
+  } else {
+    for (let i = 0; i <= binCount; i++) {
+      edges.push(startMs + (endMs - startMs) * i / binCount);
     }
   }
+  edges[binCount] = endMs;
+
+  // Assign events to bins (edges[i] <= t < edges[i + 1], last bin inclusive)
+  const bins = Array.from({ length: binCount }, () => []);
+  let binIdx = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    while (binIdx < binCount - 1 && times[i] >= edges[binIdx + 1]) {
+      binIdx++;
+    }
+    bins[binIdx].push(sorted[i]);
+  }
+
+  return bins.map((binEvents, i) => createBinEvent(i, binEvents, edges[i], edges[i + 1]));
+}
+
+/**
+ * Filter and sort events based on configuration
+ * With config.aggregation set, returns one 'bin' event per grid cell (always in time order)
+ */
+export function prepareEvents(events, config = LEWITT_CONFIG) {
+  return prepareEventsWithReport(events, config).events;
+}
 
-  // Filter to edit events only (ai_prompt affects border thickness via drawLeWittGrid)
-  let filtered = sorted.filter(e => e.event === 'edit');
+/**
+ * Same as prepareEvents, but also reports which candidate events sampling dropped
+ * 'weighted' sampling is reproducible for a given config.seed
+ * @returns {{ events: NormalizedEvent[], dropped: NormalizedEvent[], candidateCount: number, sampling: string }}
+ */
+export function prepareEventsWithReport(events, config = LEWITT_CONFIG) {
+  // Sort all events by time first (a copy: the caller's events are never changed)
+  const sorted = [...events].sort((a, b) => (a.ts || 0) - (b.ts || 0));
+
+  // Filter to the drawn event types (ai_prompt affects border thickness via drawLeWittGrid)
+  const drawnEvents = config.drawnEvents || ['edit'];
+  let filtered = sorted.filter(e => drawnEvents.includes(e.event));
   if (filtered.length === 0) {
     filtered = [...sorted];
   }
+  const candidates = filtered;
+
+  // Aggregation: one bin per grid cell instead of sampling individual events
+  if (config.aggregation === 'duration' || config.aggregation === 'activity') {
+    const { cols, rows } = calculateGridDimensions(config.maxEvents, config.gridAspect ?? 1, config);
+    return {
+      events: aggregateEvents(sorted, cols * rows, config.aggregation),
+      dropped: [],
+      candidateCount: candidates.length,
+      sampling: config.sampling,
+      aggregation: config.aggregation
+    };
+  }
 
   // Sample if exceeds maxEvents
   if (filtered.length > config.maxEvents) {
@@ -589,10 +978,17 @@ export function prepareEvents(events, config = LEWITT_CONFIG) {
         sampled.push(filtered[Math.floor(i * step)]);
       }
       filtered = sampled;
+    } else if (config.sampling === 'weighted') {
+      // Separate generator so sampling does not shift the drawing sequence
+      const rng = new SeededRandom(config.seed || 0);
+      const indices = sampleWeightedIndices(filtered, config.maxEvents, rng, config.samplingWeightExponent);
+      filtered = indices.map(i => filtered[i]);
     }
-    // 'weighted' could prioritize high-severity events
   }
 
+  const selected = new Set(filtered);
+  const dropped = candidates.filter(e => !selected.has(e));
+
   // Sort based on order
   switch (config.order) {
     case 'time':
@@ -602,7 +998,10 @@ export function prepareEvents(events, config = LEWITT_CONFIG) {
       filtered.sort((a, b) => (b.severity || 0) - (a.severity || 0));
       break;
     case 'type_blocks':
-      const typeOrder = ['edit', 'snapshot', 'mode_change', 'policy_violation', 'session_start', 'session_pause', 'session_resume'];
+      const typeOrder = [
+        'edit', 'workspace_diff', 'file_create', 'file_delete', 'snapshot', 'mode_change', 'policy_violation',
+        'session_start', 'session_pause', 'session_resume', 'session_end'
+      ];
       filtered.sort((a, b) => {
         const aIdx = typeOrder.indexOf(a.event);
         const bIdx = typeOrder.indexOf(b.event);
@@ -612,59 +1011,33 @@ export function prepareEvents(events, config = LEWITT_CONFIG) {
       break;
   }
 
-  return filtered;
+  return {
+    events: filtered,
+    dropped,
+    candidateCount: candidates.length,
+    sampling: config.sampling,
+    aggregation: 'none'
+  };
 }
 
 /**
- * Connect points using nearest neighbor algorithm
+ * Connect points with the graph of a connection strategy (see connections.js)
  */
-function connectNearestNeighbor(g, points, weight, alpha, scale = 1) {
+function connectPoints(g, points, strategy, k, weight, alpha, scale = 1) {
   if (points.length < 2) return;
 
   g.stroke(0, alpha);
   g.strokeWeight(Math.max(0.5, weight * scale));
 
-  const drawn = new Set();
-
-  // For each point, find its two nearest neighbors and draw lines
-  for (let i = 0; i < points.length; i++) {
-    const current = points[i];
-
-    // Calculate distances to all other points
-    const distances = [];
-    for (let j = 0; j < points.length; j++) {
-      if (i === j) continue;
-      const candidate = points[j];
-      const dist = Math.sqrt(
-        Math.pow(candidate.x - current.x, 2) +
-        Math.pow(candidate.y - current.y, 2)
-      );
-      distances.push({ index: j, dist });
-    }
-
-    // Sort by distance and take the two nearest
-    distances.sort((a, b) => a.dist - b.dist);
-    const nearest = distances.slice(0, 2);
-
-    for (const neighbor of nearest) {
-      // Create a unique key for this edge (order independent)
-      const minIdx = Math.min(i, neighbor.index);
-      const maxIdx = Math.max(i, neighbor.index);
-      const edgeKey = `${minIdx}-${maxIdx}`;
-
-      // Only draw if we haven't drawn this edge yet
-      if (!drawn.has(edgeKey)) {
-        drawn.add(edgeKey);
-        g.line(current.x, current.y, points[neighbor.index].x, points[neighbor.index].y);
-      }
-    }
+  for (const [i, j] of getConnectionEdges(points, strategy, k)) {
+    g.line(points[i].x, points[i].y, points[j].x, points[j].y);
   }
 }
 
 /**
  * Draw points as small dots
  */
-function drawPoints(g, points, size, alpha, scale = 1) {
+export function drawPoints(g, points, size, alpha, scale = 1) {
   g.fill(0, alpha);
   g.noStroke();
 
@@ -675,94 +1048,356 @@ function drawPoints(g, points, size, alpha, scale = 1) {
 }
 
 /**
- * Main LeWitt drawing function
- * @param {boolean} usePointConnectionMode - If true, collect boundary points and connect them instead of drawing radial lines
+ * Lay out the grid of cells in the drawing area
+ * With gridShape 'aspect', cells are square and the grid is centered in the area.
+ * Cells are returned in the visiting order given by config.traversal (see traversal.js);
+ * the default 'serpentine' is boustrophedon: time flows continuously but alternates direction each row
  */
-export function drawLeWittGrid(g, events, canvasWidth, canvasHeight, config = LEWITT_CONFIG, scale = 1, usePointConnectionMode = true) {
-  const seed = config.seed || Date.now();
-  const rng = new SeededRandom(seed);
-  const withoutAiPrompts = events.filter(e => e.event !== 'ai_prompt');
-  const aiPrompts = events.filter(e => e.event === 'ai_prompt');
-
-  // Prepare events
-  const preparedEvents = prepareEvents(withoutAiPrompts, config);
+export function layoutGridCells(count, area, config = LEWITT_CONFIG) {
+  const { cols, rows } = calculateGridDimensions(count, area.height / area.width, config);
+  const traversal = TRAVERSALS[config.traversal] ? config.traversal : 'serpentine';
+
+  let cellW = area.width / cols;
+  let cellH = area.height / rows;
+  if (config.gridShape === 'aspect') {
+    cellW = cellH = Math.min(cellW, cellH);
+  }
+  const originX = area.x + (area.width - cols * cellW) / 2;
+  const originY = area.y + (area.height - rows * cellH) / 2;
+
+  const cells = getCellOrder(cols, rows, traversal).map(({ col, row }) => ({
+    x: originX + col * cellW,
+    y: originY + row * cellH,
+    w: cellW,
+    h: cellH,
+    col,
+    row
+  }));
+
+  return { cells, gridSize: cols, cols, rows, traversal, cellDimensions: { width: cellW, height: cellH } };
+}
 
-  // Calculate grid size
-  const gridSize = calculateGridSize(preparedEvents.length, config);
+/**
+ * Global overlay: boundary points connected by the config.pointConnection graph
+ */
+export function drawPointConnections(g, points, scale = 1, config = LEWITT_CONFIG) {
+  // Draw points
+  drawPoints(g, points, 4, 200, scale);
 
-  // Calculate drawing area (with margin)
-  const margin = canvasWidth * config.marginRatio;
-  const drawWidth = canvasWidth - 2 * margin;
-  const drawHeight = canvasHeight - 2 * margin;
+  // Connect points (k nearest, spanning tree, triangulation, ...)
+  connectPoints(g, points, config.pointConnection, config.neighborCount, 1.2, 150, scale);
+}
 
-  // Cell dimensions
-  const cellW = drawWidth / gridSize;
-  const cellH = drawHeight / gridSize;
+/**
+ * Draw prepared events into the cells of one area, then the preset's overlay on top
+ * ai_prompt events thicken the border of the first cell that follows them
+ * With config.revealCount set, only the first revealCount cells (in draw order) are drawn;
+ * the rest are still laid out and listed, so the random sequence of the drawn cells is unchanged
+ * @param timeline - { aiPrompts, snapshots, maxLoc } context events for this area
+ * @returns {{ layout: object, cells: object[], boundaryPointCount: number, commitCount: number }}
+ */
+function drawEventsInArea(g, preparedEvents, timeline, area, preset, config, rng, scale, usePointConnectionMode) {
+  const { aiPrompts, snapshots, maxLoc } = timeline;
 
-  // Set up graphics
-  g.strokeCap(g.SQUARE);
-  g.noFill();
+  // Cell layout (in draw order)
+  const layout = preset.layoutCells(preparedEvents.length, area, config);
 
-  // Collect all boundary points for nearest neighbor connection
+  // Collect all boundary points for the global overlay
   const allBoundaryPoints = [];
 
-  // Draw each cell using boustrophedon (serpentine) pattern
-  // Time flows continuously but alternates direction each row
-  let eventIdx = 0;
-  for (let row = 0; row < gridSize; row++) {
-    const isEvenRow = row % 2 === 0;
-    for (let colIdx = 0; colIdx < gridSize; colIdx++) {
-      // Even rows: left to right, Odd rows: right to left
-      const col = isEvenRow ? colIdx : (gridSize - 1 - colIdx);
-      const cellX = margin + col * cellW;
-      const cellY = margin + row * cellH;
-
-      const event = eventIdx < preparedEvents.length ? preparedEvents[eventIdx] : null;
-
-      // Find ai_prompt in the time range between the previous event and this event
-      // If ai_prompt occurred just before this event, make this cell's border thicker
-      if (event) {
-        const prevEvent = eventIdx > 0 ? preparedEvents[eventIdx - 1] : null;
-        const prevElapsed = prevEvent ? (prevEvent.elapsed_ms || 0) : 0;
-        const currentElapsed = event.elapsed_ms || 0;
-
-        // Find ai_prompt events in range (prevElapsed, currentElapsed]
-        const matchingPrompt = aiPrompts.find(p => {
-          const promptElapsed = p.elapsed_ms || 0;
-          return promptElapsed > prevElapsed && promptElapsed <= currentElapsed;
-        });
-
-        if (matchingPrompt && matchingPrompt.raw.prompt) {
-          event.aiPromptLength = matchingPrompt.raw.prompt.length || 0;
-        }
-      }
+  // Cell → event mapping (canvas coordinates), for inspecting the figure
+  const cells = [];
 
-      const cellPoints = drawCell(g, event, cellX, cellY, cellW, cellH, rng, scale, true);
+  // Time-lapse frames draw a prefix of the cells
+  const revealCount = Math.min(config.revealCount ?? Infinity, layout.cells.length);
 
-      if (cellPoints.length > 0) {
-        allBoundaryPoints.push(...cellPoints);
+  for (let eventIdx = 0; eventIdx < layout.cells.length; eventIdx++) {
+    const cell = layout.cells[eventIdx];
+    const event = eventIdx < preparedEvents.length ? preparedEvents[eventIdx] : null;
+
+    // Find ai_prompt in the time range between the previous event and this event
+    // If ai_prompt occurred just before this event, make this cell's border thicker
+    let aiPromptLength = 0;
+    if (event) {
+      const prevEvent = eventIdx > 0 ? preparedEvents[eventIdx - 1] : null;
+      const prevElapsed = prevEvent ? (prevEvent.elapsed_ms || 0) : 0;
+      const currentElapsed = event.elapsed_ms || 0;
+
+      // Find ai_prompt events in range (prevElapsed, currentElapsed]
+      const matchingPrompt = aiPrompts.find(p => {
+        const promptElapsed = p.elapsed_ms || 0;
+        return promptElapsed > prevElapsed && promptElapsed <= currentElapsed;
+      });
+
+      if (matchingPrompt && matchingPrompt.raw.prompt) {
+        aiPromptLength = matchingPrompt.raw.prompt.length || 0;
       }
+    }
 
-      eventIdx++;
+    cells.push({
+      index: eventIdx,
+      x: cell.x,
+      y: cell.y,
+      w: cell.w,
+      h: cell.h,
+      col: cell.col,
+      row: cell.row,
+      event,
+      aiPromptLength
+    });
+
+    if (eventIdx >= revealCount) continue;
+
+    // The glyph sees the prompt length on a copy, so the shared event objects stay as loaded
+    const glyphEvent = aiPromptLength > 0 ? { ...event, aiPromptLength } : event;
+    const cellPoints = preset.drawGlyph(g, glyphEvent, cell, rng, scale, usePointConnectionMode, config);
+
+    if (cellPoints.length > 0) {
+      allBoundaryPoints.push(...cellPoints);
     }
+
+    if (config.onCellDrawn) config.onCellDrawn();
   }
 
-  // Draw points and connect them using nearest neighbor
+  // Global overlay (e.g. points connected by nearest neighbor)
   if (allBoundaryPoints.length > 0) {
-    // Draw points
-    drawPoints(g, allBoundaryPoints, 4, 200, scale);
+    preset.drawOverlay(g, allBoundaryPoints, scale, config);
+  }
+
+  // Optional growth overlay (workspace LOC and commits from snapshots)
+  let commitCount = 0;
+  if (config.growthOverlay && config.growthOverlay !== 'none') {
+    commitCount = drawGrowthOverlay(g, config.growthOverlay, layout.cells.slice(0, revealCount), preparedEvents, snapshots, maxLoc, area, scale).commitCount;
+  }
+
+  return { layout, cells, boundaryPointCount: allBoundaryPoints.length, commitCount };
+}
+
+/**
+ * Panel label: session id(s) or day, then the wall-clock duration
+ */
+function getPanelLabel(panel, mode) {
+  const duration = formatTime(panel.durationMs);
+  if (mode === 'day') {
+    return `${panel.key}  ${panel.sessionIds.join(', ')}  (${duration})`;
+  }
+  return `${panel.key}  (${duration})`;
+}
+
+/**
+ * Multi-panel drawing: one sub-grid per session or calendar day, stacked top to bottom
+ * All panels share the column count and cell size, and the event budget is split by panel size
+ */
+function drawPanelGrid(g, events, area, preset, config, seed, rng, scale, usePointConnectionMode, maxLoc) {
+  const { labelSize, gap } = config.panelOptions;
+  const panels = splitIntoPanels(events, config.panels);
+
+  // Prepare each panel with its share of maxEvents
+  const candidates = panels.map(panel => panel.events.filter(e => e.event !== 'ai_prompt'));
+  const budgets = allocatePanelBudgets(candidates.map(c => c.length), config.maxEvents);
+  const prepared = candidates.map((panelEvents, i) =>
+    prepareEventsWithReport(panelEvents, { ...config, seed, maxEvents: budgets[i], gridAspect: 1 })
+  );
+
+  const labelHeight = labelSize * scale * 2;
+  const grid = layoutPanels(prepared.map(p => p.events.length), area, labelHeight, gap * scale);
+
+  const results = [];
+  const cells = [];
+  let boundaryPointCount = 0;
+  let commitCount = 0;
+
+  // A time-lapse reveal count runs across the panels in drawing order
+  let remaining = config.revealCount ?? Infinity;
+
+  panels.forEach((panel, i) => {
+    const panelArea = grid.panels[i];
+    const label = getPanelLabel(panel, config.panels);
+
+    g.noStroke();
+    g.fill(0, 200);
+    g.textSize(labelSize * scale);
+    g.textAlign(g.LEFT, g.TOP);
+    g.text(label, panelArea.x, panelArea.labelY);
+    g.noFill();
+
+    const timeline = {
+      aiPrompts: panel.events.filter(e => e.event === 'ai_prompt'),
+      snapshots: panel.events.filter(e => e.event === 'snapshot'),
+      maxLoc
+    };
+    const drawn = drawEventsInArea(
+      g, prepared[i].events, timeline, panelArea, preset,
+      { ...config, fixedCols: grid.cols, revealCount: Math.max(0, remaining) }, rng, scale, usePointConnectionMode
+    );
+    remaining -= drawn.cells.length;
+    boundaryPointCount += drawn.boundaryPointCount;
+    commitCount += drawn.commitCount;
+    cells.push(...drawn.cells.map(cell => ({ ...cell, panel: panel.key })));
+
+    results.push({
+      key: panel.key,
+      label,
+      sessionIds: panel.sessionIds,
+      durationMs: panel.durationMs,
+      eventCount: prepared[i].events.length,
+      cols: drawn.layout.cols,
+      rows: drawn.layout.rows
+    });
+  });
+
+  return { panels: results, prepared, grid, cells, boundaryPointCount, commitCount };
+}
+
+/**
+ * Main LeWitt drawing function
+ * Layout, per-cell glyph and global overlay come from the preset named by config.preset
+ * With config.panels set to 'session' or 'day', draws one labelled sub-grid per panel
+ * The result includes `cells`: every cell's rectangle in canvas coordinates with its event (null if empty),
+ * and `samplingReports`: the prepareEventsWithReport result behind the figure (one per panel, with its `panel` key)
+ * config.revealCount (optional) draws only the first N of those cells, for time-lapse frames (see animation.js)
+ * config.onCellDrawn (optional) is called after each drawn cell, so a recorder can mark where cells end (see render-worker.js)
+ * With config.idleGaps set, elapsed_ms is active time (idle.js), so ai_prompt matching and bins skip idle stretches
+ * config.pointConnection picks the graph drawn over all boundary points (connections.js);
+ * 'symmetric' keeps the lines inside each cell instead
+ */
+export function drawLeWittGrid(g, events, canvasWidth, canvasHeight, config = LEWITT_CONFIG, scale = 1) {
+  events = applyIdleGaps(events, { mode: config.idleGaps, thresholdMs: config.idleThresholdMs });
+  const usePointConnectionMode = config.pointConnection !== 'symmetric';
+
+  const preset = getPreset(config.preset);
+  const seed = config.seed || DEFAULT_SEED;
+  const rng = new SeededRandom(seed);
+
+  // Calculate drawing area (with margin)
+  const area = getDrawArea(canvasWidth, canvasHeight, config);
+
+  // Snapshots drive the growth overlay; LOC is scaled to the largest snapshot of the whole log
+  const snapshots = events.filter(e => e.event === 'snapshot');
+  const maxLoc = getMaxLoc(snapshots);
+
+  // Set up graphics
+  g.strokeCap(g.SQUARE);
+  g.noFill();
 
-    // Connect points using nearest neighbor
-    connectNearestNeighbor(g, allBoundaryPoints, 1.2, 150, scale);
+  if (config.panels && config.panels !== 'none') {
+    const drawn = drawPanelGrid(g, events, area, preset, config, seed, rng, scale, usePointConnectionMode, maxLoc);
+    const dropped = drawn.prepared.flatMap(p => p.dropped);
+
+    return {
+      seed,
+      preset: preset.name,
+      gridSize: drawn.grid.cols,
+      cols: drawn.grid.cols,
+      rows: drawn.panels.reduce((sum, panel) => sum + panel.rows, 0),
+      traversal: preset.traversal || config.traversal,
+      eventCount: drawn.panels.reduce((sum, panel) => sum + panel.eventCount, 0),
+      cellDimensions: { width: drawn.grid.cellSize, height: drawn.grid.cellSize },
+      boundaryPointCount: drawn.boundaryPointCount,
+      commitCount: drawn.commitCount,
+      panels: drawn.panels,
+      cells: drawn.cells,
+      sampling: {
+        method: config.sampling,
+        candidateCount: drawn.prepared.reduce((sum, p) => sum + p.candidateCount, 0),
+        droppedCount: dropped.length
+      },
+      droppedEvents: dropped,
+      samplingReports: drawn.prepared.map((report, i) => ({ ...report, panel: drawn.panels[i].key }))
+    };
   }
 
+  const withoutAiPrompts = events.filter(e => e.event !== 'ai_prompt');
+  const aiPrompts = events.filter(e => e.event === 'ai_prompt');
+
+  // Prepare events (sampling uses the same seed as the drawing, bins follow the grid shape)
+  const prepared = prepareEventsWithReport(withoutAiPrompts, { ...config, seed, gridAspect: area.height / area.width });
+  const preparedEvents = prepared.events;
+
+  const { layout, cells, boundaryPointCount, commitCount } = drawEventsInArea(
+    g, preparedEvents, { aiPrompts, snapshots, maxLoc }, area, preset, config, rng, scale, usePointConnectionMode
+  );
+
   return {
     seed,
-    gridSize,
+    preset: preset.name,
+    gridSize: layout.gridSize,
+    cols: layout.cols,
+    rows: layout.rows,
+    traversal: layout.traversal,
     eventCount: preparedEvents.length,
-    cellDimensions: { width: cellW, height: cellH },
-    boundaryPointCount: allBoundaryPoints.length
+    cellDimensions: layout.cellDimensions,
+    boundaryPointCount,
+    commitCount,
+    cells,
+    sampling: {
+      method: prepared.sampling,
+      candidateCount: prepared.candidateCount,
+      droppedCount: prepared.dropped.length
+    },
+    droppedEvents: prepared.dropped,
+    samplingReports: [prepared]
   };
 }
 
+/**
+ * Default preset: grid hatch (the original LeWitt grid)
+ */
+registerPreset({
+  name: DEFAULT_PRESET,
+  label: 'Grid hatch',
+
+  layoutCells: layoutGridCells,
+
+  drawGlyph(g, event, cell, rng, scale, collectPoints, config) {
+    return drawCell(g, event, cell.x, cell.y, cell.w, cell.h, rng, scale, collectPoints, config);
+  },
+
+  drawOverlay: drawPointConnections,
+
+  instructions(config) {
+    const { pointConnection, hatching, motifs } = config;
+    return `${gridInstructions(config)}
+HATCHING RULES
+--------------
+Each cell contains parallel lines (hatching). Parameters determined by log data:
+
+Direction (angle) by event and origin_mode:
+  - edit + human     → 45°
+  - edit + ai        → 135°
+  - snapshot         → 0° (horizontal)
+  - mode_change      → 90° (vertical)
+  - policy_violation → 45° + 135° (cross-hatch)
+  - workspace_diff   → 0° (horizontal)
+  - file_create      → 0° + 90° (grid)
+  - file_delete      → 0° + 90° (grid)
+  - session_end      → 90° (vertical)
+  - other            → hash(event) % 4 × 45°
+
+Severity of workspace and file events:
+  - workspace_diff: 0.2 + 0.7 × log1p(added_loc + removed_loc) / log1p(${motifs.locBarReference})
+  - file_create: 0.6, file_delete: 0.7, session_end: 0.4
+
+${severityInstructions(hatching, { policyViolation: true })}
+SPECIAL RULES
+-------------
+- policy_violation: Red fill (255,0,0,20), then cross-hatch
+- undo_like flag: One perpendicular line (cancellation mark)
+- paste_like flag: One thick line (block indicator)
+- edit added_chars: ${pointConnection === 'symmetric'
+    ? 'Lines from the cell edge through the center (point symmetric)'
+    : 'Points where rays from the center meet the cell edge (see POINT CONNECTIONS)'}
+  count = clamp(round(log1p(added_chars + deleted_chars)/1.6), 0, ${motifs.radialLinesMaxCount})
+- workspace_diff: Two bars standing on the bottom edge
+  left (filled) = added_loc, right (outline) = removed_loc
+  height = 0.9 × cell height × log1p(loc) / log1p(${motifs.locBarReference})
+  one short tick on the top edge per added (from left) or removed (from right) file
+- file_create: Inset frame (${Math.round(motifs.fileFrameInset * 100)}% of cell size), heavier stroke
+- file_delete: Inset frame crossed out by both diagonals
+- session_end: Thick closing bar along the right edge
+
+${connectionInstructions(config)}`;
+  }
+});
+
 export { SeededRandom };
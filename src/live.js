@@ -0,0 +1,37 @@
+/**
+ * Live Mode Module
+ * Tails a craftlog session file through the dev-server SSE endpoint (vite-plugin-craftlog-live.js)
+ */
+
+import { LIVE_CONFIG } from './config.js';
+
+/**
+ * List the session files the dev server can tail (newest first)
+ * Throws when the endpoint is missing, e.g. in a static build
+ * @returns {Promise<Array<{ name: string, size: number, mtime: number }>>}
+ */
+export async function listLiveSessions() {
+  const response = await fetch(`${LIVE_CONFIG.endpoint}/sessions`);
+  if (!response.ok || !(response.headers.get('Content-Type') || '').includes('application/json')) {
+    throw new Error('Live endpoint not available (run the Vite dev server)');
+  }
+  return (await response.json()).files;
+}
+
+/**
+ * Start tailing a session file
+ * @param handlers.onSnapshot(lines) - every line currently in the file (also after a reset)
+ * @param handlers.onAppend(lines) - lines appended since the last message
+ * @param handlers.onError(message) - connection or read errors (EventSource keeps reconnecting)
+ * @returns {Function} stop()
+ */
+export function startLiveSession(file, { onSnapshot, onAppend, onError }) {
+  const source = new EventSource(`${LIVE_CONFIG.endpoint}/live?file=${encodeURIComponent(file)}`);
+
+  source.addEventListener('snapshot', (evt) => onSnapshot(JSON.parse(evt.data).lines));
+  source.addEventListener('append', (evt) => onAppend(JSON.parse(evt.data).lines));
+  source.addEventListener('failure', (evt) => onError(JSON.parse(evt.data).message));
+  source.onerror = () => onError('Connection lost, retrying...');
+
+  return () => source.close();
+}
@@ -1,25 +1,474 @@
 import p5 from 'p5';
-import { createVisualization, loadData, renderB1Tiles, renderB6, downloadInstructions, downloadSummary } from './visualization.js';
-import { TILE_CONFIG } from './config.js';
+import { createVisualization, loadData, loadFiles, setLines, appendLines, getEvents, getWarnings, renderTiles, renderB6, renderPreviewPng, renderSvg, renderAnimation, renderPlotter, downloadInstructions, downloadSummary, onPreviewDrawn, getCellAt, getSessionId } from './visualization.js';
+import { TILE_CONFIG, PLOTTER_CONFIG, LEWITT_CONFIG, LIVE_CONFIG, ANIMATION_CONFIG } from './config.js';
+import { listPresets } from './presets/index.js';
+import { PANEL_MODES } from './panels.js';
+import { setupCellInspector, updateCanvasInfo } from './inspector.js';
+import { setupParamPanel, serializeConfig, applyConfig } from './params.js';
+import { listLiveSessions, startLiveSession } from './live.js';
+import { ANIMATION_STEPS } from './animation.js';
+import { formatTime } from './helpers.js';
 
 let p5Instance = null;
 
 // Load data first, then create p5.js instance in container
-loadData().then(() => {
+loadData().then((status) => {
   const container = document.getElementById('canvas-container');
   p5Instance = new p5(createVisualization, container);
 
+  // Info panel: canvas summary and the cell under the pointer
+  onPreviewDrawn(result => updateCanvasInfo(document.getElementById('canvas-info'), result));
+  setupCellInspector(
+    container,
+    getCellAt,
+    document.getElementById('cell-info'),
+    document.getElementById('cell-highlight')
+  );
+
+  // Data source: status in the info panel, drag-and-drop / file picker for other logs
+  showLoadStatus(status);
+  setupFileLoading();
+  setupLiveMode();
+
   // Setup buttons
+  setupPresetSelect();
+  setupPanelSelect();
+  setupParameterPanel();
+  setupCancelRenderButton();
   setupB6RenderButton();
   setupB1RenderButton();
+  setupSvgRenderButton();
+  setupAnimationControls();
+  setupPlotterButtons();
   setupDownloadButtons();
 });
 
+/**
+ * Show where the events came from and any parse warnings in the info panel
+ */
+function showLoadStatus({ source, error }) {
+  const element = document.getElementById('load-status');
+  if (!element) return;
+
+  element.replaceChildren();
+
+  const message = document.createElement('p');
+  message.textContent = error
+    ? `Could not load ${source} (${error}). Drop .jsonl files here or use "Open JSONL".`
+    : `Loaded ${getEvents().length} events from ${source}`;
+  element.appendChild(message);
+
+  const warnings = getWarnings();
+  if (!error && warnings.length > 0) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${warnings.length} parse warning${warnings.length === 1 ? '' : 's'}`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    for (const warning of warnings) {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      list.appendChild(item);
+    }
+    details.appendChild(list);
+    element.appendChild(details);
+  }
+}
+
+/**
+ * Setup loading of other craftlog files (file picker and drag-and-drop anywhere on the page)
+ * Several files at once are merged like merge-craftlog.js, then the preview is redrawn
+ */
+function setupFileLoading() {
+  const button = document.getElementById('open-jsonl-btn');
+  const input = document.getElementById('open-jsonl-input');
+  const overlay = document.getElementById('drop-overlay');
+
+  const load = async (fileList) => {
+    const files = [...fileList].filter(f => f.name.endsWith('.jsonl'));
+    if (files.length === 0) {
+      showLoadStatus({ source: 'dropped files', error: 'no .jsonl files' });
+      return;
+    }
+
+    const status = await loadFiles(files);
+    showLoadStatus(status);
+    if (!status.error && p5Instance) {
+      p5Instance.redraw();
+    }
+  };
+
+  if (button && input) {
+    button.addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+      const files = [...input.files];
+      input.value = '';
+      await load(files);
+    });
+  }
+
+  // Only react to drags that carry files
+  const hasFiles = (evt) => evt.dataTransfer && [...evt.dataTransfer.types].includes('Files');
+
+  window.addEventListener('dragover', (evt) => {
+    if (!hasFiles(evt)) return;
+    evt.preventDefault();
+    if (overlay) overlay.style.display = 'flex';
+  });
+
+  window.addEventListener('dragleave', (evt) => {
+    // relatedTarget is null when the pointer leaves the window
+    if (overlay && !evt.relatedTarget) overlay.style.display = 'none';
+  });
+
+  window.addEventListener('drop', async (evt) => {
+    if (!hasFiles(evt)) return;
+    evt.preventDefault();
+    if (overlay) overlay.style.display = 'none';
+    await load(evt.dataTransfer.files);
+  });
+}
+
+/**
+ * Setup live mode: pick a session file and tail it through the dev-server SSE endpoint
+ * New events are appended as they are written and the preview redraws at most once per interval,
+ * so cells fill in and the grid grows with the session
+ */
+function setupLiveMode() {
+  const select = document.getElementById('live-select');
+  const button = document.getElementById('live-btn');
+  const status = document.getElementById('load-status');
+
+  if (!select || !button) return;
+
+  let stop = null;
+  let lastRedraw = 0;
+  let redrawTimer = null;
+  let lastGrid = null;
+  let lastGrowth = '';
+
+  const setStatus = (text) => {
+    if (status) status.textContent = text;
+  };
+
+  // Throttled redraw while events stream in
+  const scheduleRedraw = () => {
+    if (redrawTimer || !p5Instance) return;
+    const wait = Math.max(0, LIVE_CONFIG.redrawIntervalMs - (performance.now() - lastRedraw));
+    redrawTimer = setTimeout(() => {
+      redrawTimer = null;
+      lastRedraw = performance.now();
+      p5Instance.redraw();
+    }, wait);
+  };
+
+  // Show the grid size in the status line; the latest growth stays there until the next one
+  onPreviewDrawn(result => {
+    if (!stop) return;
+    const grid = `${result.cols}x${result.rows}`;
+    const time = new Date().toLocaleTimeString();
+    if (lastGrid && grid !== lastGrid) {
+      lastGrowth = ` (grew from ${lastGrid} at ${time})`;
+    }
+    lastGrid = grid;
+    setStatus(`Live: ${select.value} - ${getEvents().length} events, grid ${grid}${lastGrowth}, updated ${time}`);
+  });
+
+  const stopLive = () => {
+    if (stop) stop();
+    stop = null;
+    lastGrid = null;
+    lastGrowth = '';
+    button.textContent = 'Start Live';
+    select.disabled = false;
+  };
+
+  button.addEventListener('click', () => {
+    if (stop) {
+      stopLive();
+      setStatus(`Live stopped: ${getEvents().length} events`);
+      return;
+    }
+
+    stop = startLiveSession(select.value, {
+      onSnapshot: (lines) => {
+        setLines(lines);
+        scheduleRedraw();
+      },
+      onAppend: (lines) => {
+        if (appendLines(lines) > 0) scheduleRedraw();
+      },
+      onError: (message) => setStatus(`Live: ${message}`)
+    });
+    button.textContent = 'Stop Live';
+    select.disabled = true;
+    setStatus(`Live: connecting to ${select.value}...`);
+  });
+
+  // Only the dev server has the endpoint; hide the controls elsewhere
+  listLiveSessions()
+    .then(files => {
+      for (const file of files) {
+        const option = document.createElement('option');
+        option.value = file.name;
+        option.textContent = file.name;
+        select.appendChild(option);
+      }
+      button.disabled = files.length === 0;
+    })
+    .catch(error => {
+      console.warn(error.message);
+      select.style.display = 'none';
+      button.style.display = 'none';
+    });
+}
+
+/**
+ * Setup the preset selector (redraws the preview on change)
+ */
+function setupPresetSelect() {
+  const select = document.getElementById('preset-select');
+
+  if (!select) return;
+
+  for (const { name, label } of listPresets()) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = LEWITT_CONFIG.preset;
+
+  select.addEventListener('change', () => {
+    LEWITT_CONFIG.preset = select.value;
+    if (p5Instance) {
+      p5Instance.redraw();
+    }
+  });
+}
+
+/**
+ * Setup the panel mode selector (whole log / per session / per day)
+ */
+function setupPanelSelect() {
+  const select = document.getElementById('panel-select');
+
+  if (!select) return;
+
+  for (const [mode, description] of Object.entries(PANEL_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = description;
+    select.appendChild(option);
+  }
+  select.value = LEWITT_CONFIG.panels;
+
+  select.addEventListener('change', () => {
+    LEWITT_CONFIG.panels = select.value;
+    if (p5Instance) {
+      p5Instance.redraw();
+    }
+  });
+}
+
+/**
+ * Redraw the preview once per animation frame, however many inputs changed
+ */
+let redrawQueued = false;
+function requestRedraw() {
+  if (redrawQueued || !p5Instance) return;
+  redrawQueued = true;
+  requestAnimationFrame(() => {
+    redrawQueued = false;
+    p5Instance.redraw();
+  });
+}
+
+/**
+ * Setup the live parameter panel bound to LEWITT_CONFIG, with JSON save / load
+ */
+function setupParameterPanel() {
+  const body = document.getElementById('param-panel-body');
+  const saveBtn = document.getElementById('save-config-btn');
+  const loadBtn = document.getElementById('load-config-btn');
+  const fileInput = document.getElementById('load-config-input');
+  const status = document.getElementById('param-status');
+
+  if (!body) return;
+
+  const panel = setupParamPanel(body, LEWITT_CONFIG, requestRedraw);
+
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const blob = new Blob([serializeConfig(LEWITT_CONFIG)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `lewitt_config_${getSessionId()}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  if (loadBtn && fileInput) {
+    loadBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      try {
+        const warnings = applyConfig(LEWITT_CONFIG, JSON.parse(await file.text()));
+        panel.refresh();
+
+        // Keep the other selectors in sync with the loaded config
+        const presetSelect = document.getElementById('preset-select');
+        const panelSelect = document.getElementById('panel-select');
+        if (presetSelect) presetSelect.value = LEWITT_CONFIG.preset;
+        if (panelSelect) panelSelect.value = LEWITT_CONFIG.panels;
+
+        if (status) {
+          status.textContent = warnings.length > 0
+            ? `Loaded ${file.name} (${warnings.length} warnings: ${warnings.join('; ')})`
+            : `Loaded ${file.name}`;
+        }
+        if (warnings.length > 0) {
+          console.warn('Config warnings:', warnings);
+        }
+        requestRedraw();
+      } catch (error) {
+        console.error('Failed to load config:', error);
+        if (status) status.textContent = `Failed to load ${file.name}: ${error.message}`;
+      }
+    });
+  }
+}
+
+// Controller of the worker render in progress (B6 PNG, tiles PDF), aborted by the cancel button
+let activeRender = null;
+const workerRenderButtons = [];
+
+/**
+ * Progress line for a worker render: the cell being drawn, the share done and the time remaining
+ * The estimate assumes the remaining cells take as long as the ones so far (encoding included)
+ */
+function describeRenderProgress({ stage, done, total, cell, cells, tile, tiles }, elapsedMs) {
+  if (stage === 'record') return 'Recording the figure...';
+  if (stage === 'write') return 'Writing PDF...';
+
+  const where = tiles ? `Tile ${tile} / ${tiles}, ` : '';
+  const step = stage === 'encode' ? 'encoding PNG' : `cell ${cell} / ${cells}`;
+  const percent = Math.floor(done / total * 100);
+  const remaining = done > 0 && elapsedMs > 1000 ? `, about ${formatTime(elapsedMs * (total - done) / done)} left` : '';
+  return `${where}${step} (${percent}%${remaining})`;
+}
+
+/**
+ * Setup the cancel button next to the render progress (stops the worker render)
+ */
+function setupCancelRenderButton() {
+  const button = document.getElementById('cancel-render-btn');
+
+  if (!button) return;
+
+  button.addEventListener('click', () => {
+    if (activeRender) activeRender.abort();
+  });
+}
+
+/**
+ * Setup a button that renders a file in the render worker (see runRenderJob in visualization.js)
+ * Shared by the B6 and tile buttons: one worker render at a time, with per-cell progress and cancel
+ * @param render - async ({ onProgress, signal }) => Blob
+ */
+function setupWorkerRenderButton(button, label, render, fileName, doneMessage) {
+  const progressDiv = document.getElementById('render-progress');
+  const cancelButton = document.getElementById('cancel-render-btn');
+
+  button.textContent = label;
+  workerRenderButtons.push(button);
+
+  button.addEventListener('click', async () => {
+    const controller = new AbortController();
+    activeRender = controller;
+    workerRenderButtons.forEach(b => { b.disabled = true; });
+    button.textContent = 'Rendering...';
+    progressDiv.style.display = 'block';
+    progressDiv.textContent = 'Starting render...';
+    if (cancelButton) cancelButton.style.display = 'inline-block';
+
+    const start = performance.now();
+
+    try {
+      const blob = await render({
+        signal: controller.signal,
+        onProgress: (progress) => {
+          progressDiv.textContent = describeRenderProgress(progress, performance.now() - start);
+        }
+      });
+
+      progressDiv.textContent = 'Saving...';
+      await saveFiles([{ name: fileName, blob }]);
+      progressDiv.textContent = `Done! ${doneMessage} (${formatTime(performance.now() - start)})`;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        progressDiv.textContent = 'Render cancelled.';
+      } else {
+        console.error(`Error rendering ${fileName}:`, error);
+        progressDiv.textContent = 'Error: ' + error.message;
+      }
+    }
+
+    activeRender = null;
+    workerRenderButtons.forEach(b => { b.disabled = false; });
+    button.textContent = label;
+    if (cancelButton) cancelButton.style.display = 'none';
+
+    setTimeout(() => {
+      // A render started in the meantime keeps its progress visible
+      if (!activeRender) progressDiv.style.display = 'none';
+    }, 2000);
+  });
+}
+
 /**
  * Setup the B6 rendering button
  */
 function setupB6RenderButton() {
   const button = document.getElementById('render-b6-btn');
+
+  if (!button) return;
+
+  setupWorkerRenderButton(button, 'Render B6 PNG', renderB6, 'craftlog_B6_300dpi.png', 'B6 image saved.');
+}
+
+/**
+ * Setup the tile rendering button (one tile per PDF page, see TILE_CONFIG)
+ */
+function setupB1RenderButton() {
+  const button = document.getElementById('render-b1-btn');
+
+  if (!button) return;
+
+  const { targetSize, paper, cols, rows } = TILE_CONFIG;
+  setupWorkerRenderButton(
+    button,
+    `Render ${targetSize} (${cols * rows} tiles PDF)`,
+    renderTiles,
+    `craftlog_${targetSize}_${cols}x${rows}_${paper}_tiles.pdf`,
+    'Tiles PDF saved.'
+  );
+}
+
+/**
+ * Setup the SVG rendering button (vector output at B1 physical size)
+ */
+function setupSvgRenderButton() {
+  const button = document.getElementById('render-svg-btn');
   const progressDiv = document.getElementById('render-progress');
 
   if (!button) return;
@@ -28,89 +477,183 @@ function setupB6RenderButton() {
     button.disabled = true;
     button.textContent = 'Rendering...';
     progressDiv.style.display = 'block';
-    progressDiv.textContent = 'Rendering B6...';
+    progressDiv.textContent = `Rendering ${TILE_CONFIG.targetSize} SVG...`;
 
-    try {
-      const canvas = await renderB6(p5Instance);
+    // Allow UI to update before the synchronous render
+    await new Promise(resolve => setTimeout(resolve, 50));
 
-      progressDiv.textContent = 'Saving...';
+    try {
+      const svg = renderSvg(TILE_CONFIG.targetSize);
 
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'craftlog_B6_300dpi.png';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+      const blob = new Blob([svg], { type: 'image/svg+xml' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `craftlog_${TILE_CONFIG.targetSize}.svg`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
 
-        progressDiv.textContent = 'Done! B6 image saved.';
-        setTimeout(() => {
-          progressDiv.style.display = 'none';
-          button.disabled = false;
-          button.textContent = 'Render B6 PNG';
-        }, 2000);
-      }, 'image/png');
+      progressDiv.textContent = 'Done! SVG saved.';
+      setTimeout(() => {
+        progressDiv.style.display = 'none';
+        button.disabled = false;
+        button.textContent = 'Render B1 SVG';
+      }, 2000);
 
     } catch (error) {
-      console.error('Error rendering B6:', error);
+      console.error('Error rendering SVG:', error);
       progressDiv.textContent = 'Error: ' + error.message;
       button.disabled = false;
-      button.textContent = 'Render B6 PNG';
+      button.textContent = 'Render B1 SVG';
     }
   });
 }
 
 /**
- * Setup the B1 tile rendering button
+ * Save several files: into a folder the user picks where the browser allows it, otherwise one download each
  */
-function setupB1RenderButton() {
-  const button = document.getElementById('render-b1-btn');
+async function saveFiles(files) {
+  if (files.length > 1 && window.showDirectoryPicker) {
+    const dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+    for (const { name, blob } of files) {
+      const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+      await writable.write(blob);
+      await writable.close();
+    }
+    return;
+  }
+
+  for (const { name, blob } of files) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Setup the time-lapse export (step mode and format selectors, render button)
+ */
+function setupAnimationControls() {
+  const button = document.getElementById('render-animation-btn');
+  const stepSelect = document.getElementById('animation-step-select');
+  const formatSelect = document.getElementById('animation-format-select');
   const progressDiv = document.getElementById('render-progress');
 
   if (!button) return;
 
+  if (stepSelect) {
+    for (const [step, description] of Object.entries(ANIMATION_STEPS)) {
+      const option = document.createElement('option');
+      option.value = step;
+      option.textContent = `Time-lapse: ${step}`;
+      option.title = description;
+      stepSelect.appendChild(option);
+    }
+    stepSelect.value = ANIMATION_CONFIG.step;
+    stepSelect.addEventListener('change', () => {
+      ANIMATION_CONFIG.step = stepSelect.value;
+    });
+  }
+
+  if (formatSelect) {
+    formatSelect.value = ANIMATION_CONFIG.format;
+    formatSelect.addEventListener('change', () => {
+      ANIMATION_CONFIG.format = formatSelect.value;
+    });
+  }
+
   button.addEventListener('click', async () => {
+    const format = ANIMATION_CONFIG.format;
     button.disabled = true;
     button.textContent = 'Rendering...';
     progressDiv.style.display = 'block';
-    progressDiv.textContent = 'Preparing tiles...';
+    progressDiv.textContent = 'Planning time-lapse...';
+
+    // Allow UI to update before the synchronous planning draw
+    await new Promise(resolve => setTimeout(resolve, 50));
 
     try {
-      // Render tiles with progress callback
-      const finalCanvas = await renderB1Tiles(p5Instance, (current, total) => {
-        progressDiv.textContent = `Rendering tile ${current} / ${total}...`;
+      const { files, durationSec } = await renderAnimation(p5Instance, format, (current, total) => {
+        progressDiv.textContent = `Rendering frame ${current} / ${total}${format === 'webm' ? ' (recording in real time)' : ''}...`;
       });
 
-      progressDiv.textContent = 'Combining tiles...';
+      progressDiv.textContent = 'Saving...';
+      await saveFiles(files);
 
-      // Convert to blob and download
-      finalCanvas.toBlob((blob) => {
+      progressDiv.textContent = `Done! ${durationSec.toFixed(1)}s time-lapse saved.`;
+      setTimeout(() => {
+        progressDiv.style.display = 'none';
+        button.disabled = false;
+        button.textContent = 'Render Time-lapse';
+      }, 2000);
+
+    } catch (error) {
+      console.error('Error rendering time-lapse:', error);
+      progressDiv.textContent = 'Error: ' + error.message;
+      button.disabled = false;
+      button.textContent = 'Render Time-lapse';
+    }
+  });
+}
+
+/**
+ * Setup the pen plotter export buttons (HPGL / G-code)
+ */
+function setupPlotterButtons() {
+  const progressDiv = document.getElementById('render-progress');
+  const formats = [
+    { id: 'plot-hpgl-btn', format: 'hpgl', ext: 'hpgl', label: 'Plotter HPGL' },
+    { id: 'plot-gcode-btn', format: 'gcode', ext: 'gcode', label: 'Plotter G-code' }
+  ];
+
+  for (const { id, format, ext, label } of formats) {
+    const button = document.getElementById(id);
+    if (!button) continue;
+
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      button.textContent = 'Rendering...';
+      progressDiv.style.display = 'block';
+      progressDiv.textContent = `Optimizing ${PLOTTER_CONFIG.paperSize} plot...`;
+
+      // Allow UI to update before the synchronous render
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      try {
+        const { text, plot } = renderPlotter(format, PLOTTER_CONFIG.paperSize);
+
+        const blob = new Blob([text], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `craftlog_B1_${TILE_CONFIG.cols}x${TILE_CONFIG.rows}_tiles.png`;
+        a.download = `craftlog_${PLOTTER_CONFIG.paperSize}.${ext}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        progressDiv.textContent = 'Done! Image saved.';
+        progressDiv.textContent = `Done! ${plot.layers.length} pen layers saved.`;
         setTimeout(() => {
           progressDiv.style.display = 'none';
           button.disabled = false;
-          button.textContent = 'Render B1 (8 tiles)';
+          button.textContent = label;
         }, 2000);
-      }, 'image/png');
 
-    } catch (error) {
-      console.error('Error rendering tiles:', error);
-      progressDiv.textContent = 'Error: ' + error.message;
-      button.disabled = false;
-      button.textContent = 'Render B1 (8 tiles)';
-    }
-  });
+      } catch (error) {
+        console.error('Error rendering plot:', error);
+        progressDiv.textContent = 'Error: ' + error.message;
+        button.disabled = false;
+        button.textContent = label;
+      }
+    });
+  }
 }
 
 /**
@@ -134,9 +677,9 @@ function setupDownloadButtons() {
   }
 
   if (saveBtn) {
-    saveBtn.addEventListener('click', () => {
+    saveBtn.addEventListener('click', async () => {
       if (p5Instance) {
-        p5Instance.saveCanvas('craftlog_lewitt_visualization', 'png');
+        await saveFiles([{ name: 'craftlog_lewitt_visualization.png', blob: await renderPreviewPng(p5Instance) }]);
       }
     });
   }
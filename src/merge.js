@@ -0,0 +1,307 @@
+/**
+ * Craftlog Merge Module
+ * Rules for merging several craftlog JSONL files, shared by merge-craftlog.js and the browser loader:
+ * duplicates are removed and elapsed_ms is recalculated to run continuously across sessions.
+ * validateEntries checks a file against the same rules (merge-craftlog.js --validate / --repair)
+ */
+
+import { createIdleClock } from './idle.js';
+
+// Slack allowed between elapsed_ms and ts before timing counts as inflated
+const ELAPSED_TOLERANCE_MS = 1000;
+
+/**
+ * Parse JSONL text into raw entries, collecting a warning for every line that fails to parse
+ * @param source - Name used in warnings (e.g. the file name)
+ * @returns {{ entries: object[], warnings: string[] }}
+ */
+export function parseJsonlEntries(text, source = 'input') {
+  const entries = [];
+  const warnings = [];
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      warnings.push(`${source} line ${i + 1}: Parse error - ${e.message}`);
+    }
+  }
+
+  return { entries, warnings };
+}
+
+/**
+ * Sort entries by timestamp
+ */
+export function sortByTimestamp(entries) {
+  return entries.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Key identifying the same event across files
+ */
+export function getEntryKey(entry) {
+  return `${entry.ts}_${entry.session_id}_${entry.event}`;
+}
+
+/**
+ * Remove duplicate entries (key: ts + session_id + event)
+ * When both exist, the entry without merged_at (from a fresh session file) wins
+ */
+export function deduplicateEntries(entries) {
+  const seen = new Map();
+  for (const entry of entries) {
+    const key = getEntryKey(entry);
+    if (!seen.has(key) || !entry.merged_at) {
+      seen.set(key, entry);
+    }
+  }
+  return Array.from(seen.values());
+}
+
+/**
+ * Elapsed time of an entry within its own session
+ * Uses original_elapsed_ms if present, otherwise the ts difference from the session start
+ * @param fromTs - Always use the ts difference (rebuilds timing from raw timestamps)
+ */
+export function getOriginalElapsedMs(entry, sessionStartTs, fromTs = false) {
+  if (!fromTs && entry.original_elapsed_ms !== undefined) {
+    return entry.original_elapsed_ms;
+  }
+  // Entries read back from merged.jsonl: derive from ts
+  return entry.ts - sessionStartTs;
+}
+
+/**
+ * Recalculate elapsed_ms so it runs continuously across sessions
+ * Sessions are ordered by their first timestamp; each one starts where the previous one ended
+ * @param mergedAt - ISO timestamp written to every entry's merged_at
+ * @param options.fromTs - Ignore original_elapsed_ms and derive every offset from ts
+ * @param options.idle - { mode, thresholdMs } (see idle.js): offsets come from ts with idle gaps capped,
+ *   and the time between sessions is kept up to the threshold instead of being glued
+ */
+export function recalculateElapsedMs(entries, mergedAt = new Date().toISOString(), { fromTs = false, idle = null } = {}) {
+  if (entries.length === 0) return entries;
+
+  const clock = idle && idle.mode !== 'none' ? createIdleClock(entries, idle) : null;
+
+  // Group by session
+  const sessionMap = new Map();
+  for (const entry of entries) {
+    const sessionId = entry.session_id;
+    if (!sessionMap.has(sessionId)) {
+      sessionMap.set(sessionId, []);
+    }
+    sessionMap.get(sessionId).push(entry);
+  }
+
+  // Sort each session by ts (its elapsed_ms may already have been merged)
+  for (const [sessionId, sessionEntries] of sessionMap) {
+    sessionEntries.sort((a, b) => a.ts - b.ts);
+  }
+
+  // Order sessions by their start timestamp
+  const sessions = Array.from(sessionMap.entries())
+    .map(([sessionId, sessionEntries]) => ({
+      sessionId,
+      entries: sessionEntries,
+      startTs: sessionEntries[0]?.ts || 0
+    }))
+    .sort((a, b) => a.startTs - b.startTs);
+
+  // Build merged entries with continuous elapsed_ms
+  const result = [];
+  let cumulativeElapsedMs = 0;
+  let previousEndTs = null;
+
+  for (const session of sessions) {
+    const sessionStartTs = session.entries[0]?.ts || 0;
+
+    // Idle gaps capped: the active part of the time since the previous session
+    if (clock && previousEndTs !== null) {
+      cumulativeElapsedMs += Math.max(0, Math.round(clock(sessionStartTs) - clock(previousEndTs)));
+    }
+
+    const sessionStartElapsed = cumulativeElapsedMs;
+    let maxElapsedInSession = 0;
+
+    for (const entry of session.entries) {
+      const newEntry = { ...entry };
+      // Elapsed time within the session
+      const origElapsed = clock
+        ? Math.round(clock(entry.ts) - clock(sessionStartTs))
+        : getOriginalElapsedMs(entry, sessionStartTs, fromTs);
+      // Offset by everything before this session
+      newEntry.elapsed_ms = sessionStartElapsed + origElapsed;
+      newEntry.original_elapsed_ms = origElapsed; // Keep the original value
+      newEntry.merged_at = mergedAt;
+      result.push(newEntry);
+
+      // The session's own elapsed time: entry.elapsed_ms may already include earlier sessions
+      maxElapsedInSession = Math.max(maxElapsedInSession, origElapsed);
+    }
+
+    // Next session starts after this one
+    cumulativeElapsedMs = sessionStartElapsed + maxElapsedInSession;
+    previousEndTs = session.entries[session.entries.length - 1].ts;
+  }
+
+  return result;
+}
+
+/**
+ * Merge entries from several files: deduplicate, recalculate elapsed_ms,
+ * and drop original_elapsed_ms unless keepOriginalElapsed is set
+ * @param options.fromTs - Rebuild timing from raw ts (see recalculateElapsedMs)
+ * @param options.idle - Cap idle gaps (see recalculateElapsedMs)
+ * @returns {{ entries: object[], duplicateCount: number }}
+ */
+export function mergeEntries(allEntries, { keepOriginalElapsed = false, mergedAt, fromTs = false, idle = null } = {}) {
+  const uniqueEntries = deduplicateEntries(allEntries);
+  let entries = recalculateElapsedMs(uniqueEntries, mergedAt, { fromTs, idle });
+
+  if (!keepOriginalElapsed) {
+    entries = entries.map(e => {
+      const { original_elapsed_ms, ...rest } = e;
+      return rest;
+    });
+  }
+
+  return { entries, duplicateCount: allEntries.length - uniqueEntries.length };
+}
+
+/**
+ * Whether an entry has the fields merging depends on
+ */
+export function isValidEntry(entry) {
+  return Number.isFinite(entry?.ts) && Number.isFinite(entry?.elapsed_ms) && Boolean(entry?.session_id);
+}
+
+/**
+ * Check entries (in file order) against the merge rules
+ * Issue types (severity 'error' unless noted):
+ *   invalid_entry          - ts, elapsed_ms or session_id missing
+ *   non_monotonic_elapsed  - elapsed_ms goes backwards from the previous entry
+ *   inflated_elapsed       - a session starts later than the previous one ended, by more than
+ *                            the ts gap between them ('session_gap'),
+ *                            or its elapsed_ms span exceeds its ts span ('session_span')
+ *   duplicate_event        - same ts + session_id + event more than once
+ *   overlapping_sessions   - two sessions' ts ranges overlap (warning: repair cannot separate them)
+ * @returns {{ ok: boolean, entryCount: number, totalElapsedMs: number, wallClockMs: number,
+ *   sessions: object[], counts: object, issues: object[] }}
+ */
+export function validateEntries(entries) {
+  const issues = [];
+  const sessionMap = new Map();
+  const keys = new Map();
+  let previous = null;
+
+  entries.forEach((entry, index) => {
+    if (!isValidEntry(entry)) {
+      issues.push({ type: 'invalid_entry', severity: 'error', index });
+      return;
+    }
+
+    if (previous && entry.elapsed_ms < previous.elapsed_ms) {
+      issues.push({
+        type: 'non_monotonic_elapsed', severity: 'error', index, session_id: entry.session_id,
+        elapsed_ms: entry.elapsed_ms, previous_elapsed_ms: previous.elapsed_ms
+      });
+    }
+    previous = entry;
+
+    const key = getEntryKey(entry);
+    if (!keys.has(key)) keys.set(key, []);
+    keys.get(key).push(index);
+
+    if (!sessionMap.has(entry.session_id)) {
+      sessionMap.set(entry.session_id, {
+        session_id: entry.session_id, entryCount: 0,
+        startTs: Infinity, endTs: -Infinity, startElapsedMs: Infinity, endElapsedMs: -Infinity
+      });
+    }
+    const session = sessionMap.get(entry.session_id);
+    session.entryCount++;
+    session.startTs = Math.min(session.startTs, entry.ts);
+    session.endTs = Math.max(session.endTs, entry.ts);
+    session.startElapsedMs = Math.min(session.startElapsedMs, entry.elapsed_ms);
+    session.endElapsedMs = Math.max(session.endElapsedMs, entry.elapsed_ms);
+  });
+
+  for (const indices of keys.values()) {
+    if (indices.length > 1) {
+      const { ts, session_id, event } = entries[indices[0]];
+      issues.push({ type: 'duplicate_event', severity: 'error', session_id, ts, event, indices });
+    }
+  }
+
+  // Sessions in start order, each expected to pick up where the previous one ended
+  // (glued, or later by at most the real time between them when idle gaps were capped)
+  const sessions = Array.from(sessionMap.values()).sort((a, b) => a.startTs - b.startTs);
+  sessions.forEach((session, i) => {
+    const before = sessions[i - 1];
+    session.expectedStartElapsedMs = before ? before.endElapsedMs : session.startElapsedMs;
+
+    const allowedGap = before ? Math.max(0, session.startTs - before.endTs) : 0;
+    const gap = session.startElapsedMs - session.expectedStartElapsedMs - allowedGap;
+    if (gap > ELAPSED_TOLERANCE_MS) {
+      issues.push({
+        type: 'inflated_elapsed', severity: 'error', reason: 'session_gap', session_id: session.session_id,
+        start_elapsed_ms: session.startElapsedMs, expected_start_elapsed_ms: session.expectedStartElapsedMs, excess_ms: gap
+      });
+    }
+
+    const excess = (session.endElapsedMs - session.startElapsedMs) - (session.endTs - session.startTs);
+    if (excess > ELAPSED_TOLERANCE_MS) {
+      issues.push({
+        type: 'inflated_elapsed', severity: 'error', reason: 'session_span', session_id: session.session_id,
+        elapsed_span_ms: session.endElapsedMs - session.startElapsedMs, ts_span_ms: session.endTs - session.startTs, excess_ms: excess
+      });
+    }
+
+    for (const other of sessions.slice(i + 1)) {
+      if (other.startTs >= session.endTs) break;
+      issues.push({
+        type: 'overlapping_sessions', severity: 'warning', session_ids: [session.session_id, other.session_id],
+        overlap_ms: Math.min(session.endTs, other.endTs) - other.startTs
+      });
+    }
+  });
+
+  const counts = {};
+  issues.forEach(issue => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+  });
+
+  return {
+    ok: !issues.some(issue => issue.severity === 'error'),
+    entryCount: entries.length,
+    totalElapsedMs: sessions.length > 0 ? Math.max(...sessions.map(s => s.endElapsedMs)) : 0,
+    wallClockMs: sessions.reduce((sum, s) => sum + (s.endTs - s.startTs), 0),
+    sessions,
+    counts,
+    issues
+  };
+}
+
+/**
+ * Rebuild consistent timing from raw ts: entries without ts or session_id are dropped,
+ * duplicates removed and every elapsed_ms derived from ts (see mergeEntries)
+ * @returns {{ entries: object[], duplicateCount: number, droppedCount: number }}
+ */
+export function repairEntries(allEntries, options = {}) {
+  const usable = allEntries.filter(entry => Number.isFinite(entry?.ts) && Boolean(entry?.session_id));
+  const { entries, duplicateCount } = mergeEntries(usable, { ...options, fromTs: true });
+  return { entries, duplicateCount, droppedCount: allEntries.length - usable.length };
+}
+
+/**
+ * Serialize entries as JSONL text
+ */
+export function toJsonl(entries) {
+  return entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+}
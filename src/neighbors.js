@@ -0,0 +1,130 @@
+/**
+ * Nearest Neighbor Module
+ * k-nearest-neighbor search over boundary points with a uniform grid of buckets
+ * instead of measuring every pair. The result matches the brute-force search exactly:
+ * neighbors are ordered by distance, ties by point index
+ */
+
+// Average number of points per bucket
+const POINTS_PER_BUCKET = 2;
+
+/**
+ * Uniform grid over the points' bounding box
+ * @returns {{ minX: number, minY: number, size: number, cols: number, rows: number, buckets: number[][] }}
+ */
+export function createBucketGrid(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const { x, y } of points) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+
+  const width = Math.max(maxX - minX, 1e-9);
+  const height = Math.max(maxY - minY, 1e-9);
+  // On a flat box (points along one line) the area gives tiny buckets; size them along the long side instead
+  const size = Math.max(
+    Math.sqrt(width * height * POINTS_PER_BUCKET / points.length),
+    Math.max(width, height) * POINTS_PER_BUCKET / points.length
+  );
+  const cols = Math.max(1, Math.ceil(width / size));
+  const rows = Math.max(1, Math.ceil(height / size));
+
+  const buckets = Array.from({ length: cols * rows }, () => []);
+  points.forEach(({ x, y }, i) => {
+    const col = Math.min(cols - 1, Math.floor((x - minX) / size));
+    const row = Math.min(rows - 1, Math.floor((y - minY) / size));
+    buckets[row * cols + col].push(i);
+  });
+
+  return { minX, minY, size, cols, rows, buckets };
+}
+
+/**
+ * Indices of the k nearest points to points[i], nearest first (ties by index)
+ * Searches rings of buckets around the point's bucket until no unvisited bucket can hold a closer point
+ */
+export function findNearest(points, grid, i, k) {
+  const { minX, minY, size, cols, rows, buckets } = grid;
+  const current = points[i];
+  const col = Math.min(cols - 1, Math.floor((current.x - minX) / size));
+  const row = Math.min(rows - 1, Math.floor((current.y - minY) / size));
+
+  // Best k so far, sorted by (dist, index)
+  const best = [];
+  const consider = (j) => {
+    if (j === i) return;
+    const dx = points[j].x - current.x;
+    const dy = points[j].y - current.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (best.length === k && (dist > best[k - 1].dist || (dist === best[k - 1].dist && j > best[k - 1].index))) return;
+
+    let pos = best.length;
+    while (pos > 0 && (best[pos - 1].dist > dist || (best[pos - 1].dist === dist && best[pos - 1].index > j))) pos--;
+    best.splice(pos, 0, { index: j, dist });
+    if (best.length > k) best.pop();
+  };
+
+  const maxRing = Math.max(cols, rows);
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let r = row - ring; r <= row + ring; r++) {
+      if (r < 0 || r >= rows) continue;
+      const edge = r === row - ring || r === row + ring;
+      for (let c = col - ring; c <= col + ring; c += edge ? 1 : 2 * ring) {
+        if (c >= 0 && c < cols) buckets[r * cols + c].forEach(consider);
+        if (ring === 0) break;
+      }
+    }
+
+    // Points beyond this ring are at least ring × size away; on an exact tie keep searching for lower indices
+    if (best.length === k && best[k - 1].dist < ring * size) break;
+  }
+
+  return best;
+}
+
+/**
+ * Call fn(j) for every point in the buckets covering the square of half-width radius around (x, y)
+ * (every point within radius, plus some just outside)
+ */
+export function forEachPointNear(grid, x, y, radius, fn) {
+  const { minX, minY, size, cols, rows, buckets } = grid;
+  const col0 = Math.max(0, Math.floor((x - radius - minX) / size));
+  const col1 = Math.min(cols - 1, Math.floor((x + radius - minX) / size));
+  const row0 = Math.max(0, Math.floor((y - radius - minY) / size));
+  const row1 = Math.min(rows - 1, Math.floor((y + radius - minY) / size));
+
+  for (let r = row0; r <= row1; r++) {
+    for (let c = col0; c <= col1; c++) {
+      buckets[r * cols + c].forEach(fn);
+    }
+  }
+}
+
+/**
+ * Edges from every point to its k nearest neighbors, each edge once
+ * Edges are listed in the order the brute-force search draws them: by point, then by distance
+ * @param points - [{ x, y }]
+ * @param k - Neighbors per point
+ * @returns {Array<[number, number]>} index pairs
+ */
+export function findNeighborEdges(points, k) {
+  if (points.length < 2 || k < 1) return [];
+
+  const grid = createBucketGrid(points);
+  const drawn = new Set();
+  const edges = [];
+
+  for (let i = 0; i < points.length; i++) {
+    for (const neighbor of findNearest(points, grid, i, Math.min(k, points.length - 1))) {
+      const key = Math.min(i, neighbor.index) * points.length + Math.max(i, neighbor.index);
+      if (!drawn.has(key)) {
+        drawn.add(key);
+        edges.push([i, neighbor.index]);
+      }
+    }
+  }
+
+  return edges;
+}
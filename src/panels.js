@@ -0,0 +1,120 @@
+/**
+ * Panel Module
+ * Splits a merged log into panels (one per session or calendar day) and lays them out
+ * with a shared cell size, so a cell means the same amount of paper in every panel
+ */
+
+// Panel split modes and their descriptions (used in instructions.txt)
+export const PANEL_MODES = {
+  none: 'Single grid for the whole log',
+  session: 'One panel per session_id, in order of first appearance',
+  day: 'One panel per calendar day (local time of the renderer)'
+};
+
+/**
+ * Calendar day key (YYYY-MM-DD, local time) of a timestamp
+ */
+export function getDayKey(ts) {
+  const date = new Date(ts);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Split events into panels, keeping the original event order inside each panel
+ * Events without a session_id (session mode) or ts (day mode) join the previous panel
+ * @param mode - 'session' | 'day'
+ * @returns {Array<{ key: string, events: object[], sessionIds: string[], startTs: number|null, endTs: number|null, durationMs: number }>}
+ */
+export function splitIntoPanels(events, mode) {
+  const panels = [];
+  const byKey = new Map();
+  let current = null;
+
+  for (const e of events) {
+    let key = null;
+    if (mode === 'session') key = e.session_id;
+    if (mode === 'day' && e.ts) key = getDayKey(e.ts);
+
+    if (key !== null && key !== undefined) {
+      current = byKey.get(key);
+      if (!current) {
+        current = { key, events: [], sessionIds: [], startTs: null, endTs: null, durationMs: 0 };
+        byKey.set(key, current);
+        panels.push(current);
+      }
+    }
+    if (!current) {
+      current = { key: 'unknown', events: [], sessionIds: [], startTs: null, endTs: null, durationMs: 0 };
+      byKey.set(current.key, current);
+      panels.push(current);
+    }
+
+    current.events.push(e);
+    if (e.session_id && !current.sessionIds.includes(e.session_id)) {
+      current.sessionIds.push(e.session_id);
+    }
+    if (e.ts) {
+      if (current.startTs === null || e.ts < current.startTs) current.startTs = e.ts;
+      if (current.endTs === null || e.ts > current.endTs) current.endTs = e.ts;
+    }
+  }
+
+  for (const panel of panels) {
+    if (panel.startTs !== null) {
+      panel.durationMs = panel.endTs - panel.startTs;
+    }
+  }
+
+  return panels;
+}
+
+/**
+ * Split the event budget (maxEvents) between panels in proportion to their candidate counts
+ * Every non-empty panel keeps at least one event
+ */
+export function allocatePanelBudgets(candidateCounts, maxEvents) {
+  const total = candidateCounts.reduce((sum, n) => sum + n, 0);
+  if (total <= maxEvents) return candidateCounts.slice();
+
+  return candidateCounts.map(n => (n > 0 ? Math.max(1, Math.floor(n * maxEvents / total)) : 0));
+}
+
+/**
+ * Stack panels top to bottom with a shared column count and square cells of one size
+ * The column count is chosen to maximize the cell size
+ * @param counts - Number of cells needed by each panel
+ * @param area - { x, y, width, height } drawing area
+ * @param labelHeight - Height reserved above each panel for its label
+ * @param gap - Vertical space between panels
+ * @returns {{ cols: number, cellSize: number, panels: Array<{ x, y, width, height, rows, labelY }> }}
+ */
+export function layoutPanels(counts, area, labelHeight, gap) {
+  const fixedHeight = counts.length * labelHeight + Math.max(0, counts.length - 1) * gap;
+  const availableHeight = Math.max(1, area.height - fixedHeight);
+  const maxCols = Math.max(1, ...counts);
+
+  let best = { cols: 1, cellSize: 0 };
+  for (let cols = 1; cols <= maxCols; cols++) {
+    const totalRows = counts.reduce((sum, n) => sum + Math.max(1, Math.ceil(n / cols)), 0);
+    const cellSize = Math.min(area.width / cols, availableHeight / totalRows);
+    if (cellSize > best.cellSize) {
+      best = { cols, cellSize };
+    }
+  }
+
+  const { cols, cellSize } = best;
+  const gridWidth = cols * cellSize;
+  const x = area.x + (area.width - gridWidth) / 2;
+  const panels = [];
+  let y = area.y;
+
+  for (const n of counts) {
+    const rows = Math.max(1, Math.ceil(n / cols));
+    panels.push({ x, y: y + labelHeight, width: gridWidth, height: rows * cellSize, rows, labelY: y });
+    y += labelHeight + rows * cellSize + gap;
+  }
+
+  return { cols, cellSize, panels };
+}
@@ -0,0 +1,65 @@
+/**
+ * Paper Size Module
+ * Resolves paper names to physical sizes in millimetres (portrait, width < height)
+ *   - PAPER_SIZES keys (B0–B6, JIS B as used for the figure)
+ *   - A0–A10 (ISO 216 A series)
+ *   - ISO-B0–ISO-B10 and JIS-B0–JIS-B10
+ *   - custom "<width>x<height>mm", e.g. "600x900mm"
+ */
+
+import { PAPER_SIZES } from './config.js';
+
+// Series base sizes (mm); each next size halves the long side, rounded down
+const SERIES = {
+  A: [841, 1189],
+  'ISO-B': [1000, 1414],
+  'JIS-B': [1030, 1456]
+};
+
+function seriesSize(series, n) {
+  let [width, height] = SERIES[series];
+  for (let i = 0; i < n; i++) {
+    [width, height] = [Math.floor(height / 2), width];
+  }
+  return { width, height };
+}
+
+/**
+ * Every paper name that resolvePaperMm accepts (custom sizes aside)
+ */
+export function listPaperNames() {
+  const numbered = (prefix) => Array.from({ length: 11 }, (_, n) => `${prefix}${n}`);
+  return [...Object.keys(PAPER_SIZES), ...numbered('A'), ...numbered('ISO-B'), ...numbered('JIS-B')];
+}
+
+/**
+ * Physical size of a paper name
+ * @param orientation - 'portrait' | 'landscape'
+ * @returns {{ name: string, width: number, height: number }} size in mm
+ */
+export function resolvePaperMm(name, orientation = 'portrait') {
+  let size = null;
+
+  const custom = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)mm$/i.exec(name);
+  const numbered = /^(A|ISO-B|JIS-B)(\d+)$/i.exec(name);
+
+  if (PAPER_SIZES[name]) {
+    size = { width: PAPER_SIZES[name].widthMm, height: PAPER_SIZES[name].heightMm };
+  } else if (numbered && Number(numbered[2]) <= 10) {
+    size = seriesSize(numbered[1].toUpperCase(), Number(numbered[2]));
+  } else if (custom) {
+    const [a, b] = [Number(custom[1]), Number(custom[2])];
+    size = { width: Math.min(a, b), height: Math.max(a, b) };
+  }
+
+  if (!size || !(size.width > 0)) {
+    throw new Error(`Unknown paper size: ${name} (available: ${listPaperNames().join(', ')} or <w>x<h>mm)`);
+  }
+  if (orientation !== 'portrait' && orientation !== 'landscape') {
+    throw new Error(`Unknown orientation: ${orientation} (available: portrait, landscape)`);
+  }
+
+  return orientation === 'landscape'
+    ? { name, width: size.height, height: size.width }
+    : { name, ...size };
+}
@@ -0,0 +1,205 @@
+/**
+ * Parameter Panel Module
+ * In-page controls bound to LEWITT_CONFIG, plus saving / loading the tuned config as JSON
+ */
+
+import { DEFAULT_SEED } from './config.js';
+import { TRAVERSALS } from './traversal.js';
+import { GROWTH_OVERLAYS } from './growth.js';
+import { IDLE_MODES } from './idle.js';
+import { CONNECTIONS } from './connections.js';
+
+// Controls shown in the panel, grouped by section (path = dotted key in LEWITT_CONFIG)
+export const PARAM_SCHEMA = [
+  {
+    group: 'Grid',
+    params: [
+      { path: 'seed', label: `Seed (0 = ${DEFAULT_SEED})`, type: 'number', min: 0, step: 1 },
+      { path: 'marginRatio', label: 'Margin ratio', type: 'range', min: 0, max: 0.2, step: 0.005 },
+      { path: 'maxEvents', label: 'Max events', type: 'range', min: 25, max: 2000, step: 1 },
+      { path: 'minGridSize', label: 'Min grid size', type: 'range', min: 1, max: 40, step: 1 },
+      { path: 'maxGridSize', label: 'Max grid size', type: 'range', min: 1, max: 60, step: 1 },
+      { path: 'gridShape', label: 'Grid shape', type: 'select', options: ['square', 'aspect'] },
+      { path: 'order', label: 'Order', type: 'select', options: ['time', 'severity', 'type_blocks'] },
+      { path: 'traversal', label: 'Traversal', type: 'select', options: Object.keys(TRAVERSALS) },
+      { path: 'sampling', label: 'Sampling', type: 'select', options: ['uniform', 'weighted'] },
+      { path: 'samplingWeightExponent', label: 'Weight exponent', type: 'range', min: 0, max: 8, step: 0.5 },
+      { path: 'aggregation', label: 'Aggregation', type: 'select', options: ['none', 'duration', 'activity'] },
+      { path: 'growthOverlay', label: 'Growth overlay', type: 'select', options: Object.keys(GROWTH_OVERLAYS) },
+      { path: 'idleGaps', label: 'Idle gaps', type: 'select', options: Object.keys(IDLE_MODES) },
+      { path: 'idleThresholdMs', label: 'Idle threshold (ms)', type: 'range', min: 0, max: 3600000, step: 60000 }
+    ]
+  },
+  {
+    group: 'Hatching',
+    params: [
+      { path: 'hatching.spacingMin', label: 'Spacing min', type: 'range', min: 1, max: 40, step: 0.5 },
+      { path: 'hatching.spacingMax', label: 'Spacing max', type: 'range', min: 1, max: 40, step: 0.5 },
+      { path: 'hatching.spacingClampMin', label: 'Spacing clamp min', type: 'range', min: 1, max: 40, step: 0.5 },
+      { path: 'hatching.spacingClampMax', label: 'Spacing clamp max', type: 'range', min: 1, max: 40, step: 0.5 },
+      { path: 'hatching.weightMin', label: 'Weight min', type: 'range', min: 0, max: 8, step: 0.1 },
+      { path: 'hatching.weightMax', label: 'Weight max', type: 'range', min: 0, max: 8, step: 0.1 },
+      { path: 'hatching.policyViolationWeightBonus', label: 'Policy weight bonus', type: 'range', min: 0, max: 5, step: 0.1 },
+      { path: 'hatching.alphaMin', label: 'Alpha min', type: 'range', min: 0, max: 255, step: 1 },
+      { path: 'hatching.alphaMax', label: 'Alpha max', type: 'range', min: 0, max: 255, step: 1 },
+      { path: 'hatching.cellBorderWeight', label: 'Border weight', type: 'range', min: 0, max: 4, step: 0.1 },
+      { path: 'hatching.cellBorderAlpha', label: 'Border alpha', type: 'range', min: 0, max: 255, step: 1 }
+    ]
+  },
+  {
+    group: 'Motifs',
+    params: [
+      { path: 'motifs.radialLinesMaxCount', label: 'Max boundary points', type: 'range', min: 0, max: 40, step: 1 },
+      { path: 'pointConnection', label: 'Point connection', type: 'select', options: Object.keys(CONNECTIONS) },
+      { path: 'neighborCount', label: 'Neighbors per point', type: 'range', min: 1, max: 12, step: 1 },
+      { path: 'motifs.radialLinesMinLength', label: 'Radial length min', type: 'range', min: 0, max: 1, step: 0.01 },
+      { path: 'motifs.radialLinesMaxLength', label: 'Radial length max', type: 'range', min: 0, max: 1, step: 0.01 },
+      { path: 'motifs.undoLineAlpha', label: 'Undo line alpha', type: 'range', min: 0, max: 255, step: 1 },
+      { path: 'motifs.pasteLineWeightMultiplier', label: 'Paste weight ×', type: 'range', min: 0, max: 8, step: 0.1 },
+      { path: 'motifs.locBarReference', label: 'LOC bar reference', type: 'range', min: 10, max: 10000, step: 10 },
+      { path: 'motifs.locBarWidth', label: 'LOC bar width', type: 'range', min: 0.05, max: 0.45, step: 0.01 },
+      { path: 'motifs.fileFrameInset', label: 'File frame inset', type: 'range', min: 0, max: 0.45, step: 0.01 },
+      { path: 'motifs.sessionEndBarWeightMultiplier', label: 'Session end weight ×', type: 'range', min: 0, max: 8, step: 0.1 }
+    ]
+  }
+];
+
+/**
+ * Read a dotted path from a config object
+ */
+export function getConfigValue(config, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], config);
+}
+
+/**
+ * Write a dotted path into a config object
+ */
+export function setConfigValue(config, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj[key], config);
+  target[last] = value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Serialize a config for saving (plain JSON, stable key order from the config itself)
+ */
+export function serializeConfig(config) {
+  return JSON.stringify(config, null, 2);
+}
+
+/**
+ * Apply saved values onto a config in place
+ * Only keys that already exist are applied, and only with the same type; everything else is reported
+ * @returns {string[]} warnings
+ */
+export function applyConfig(config, data, prefix = '') {
+  const warnings = [];
+
+  if (!isPlainObject(data)) {
+    return [`${prefix || 'config'}: expected an object`];
+  }
+
+  for (const [key, value] of Object.entries(data)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (!(key in config)) {
+      warnings.push(`${path}: unknown key, ignored`);
+      continue;
+    }
+
+    const current = config[key];
+    if (isPlainObject(current)) {
+      warnings.push(...applyConfig(current, value, path));
+    } else if (Array.isArray(current) ? Array.isArray(value) : typeof current === typeof value) {
+      config[key] = value;
+    } else {
+      warnings.push(`${path}: expected ${Array.isArray(current) ? 'array' : typeof current}, ignored`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Build one control row and return a function that refreshes it from the config
+ */
+function createControl(param, config, onChange) {
+  const row = document.createElement('label');
+  row.className = 'param-row';
+
+  const name = document.createElement('span');
+  name.textContent = param.label;
+  row.appendChild(name);
+
+  let input;
+  if (param.type === 'select') {
+    input = document.createElement('select');
+    for (const option of param.options) {
+      const el = document.createElement('option');
+      el.value = option;
+      el.textContent = option;
+      input.appendChild(el);
+    }
+  } else {
+    input = document.createElement('input');
+    input.type = param.type;
+    if (param.min !== undefined) input.min = param.min;
+    if (param.max !== undefined) input.max = param.max;
+    input.step = param.step;
+  }
+  row.appendChild(input);
+
+  const output = document.createElement('output');
+  if (param.type === 'range') row.appendChild(output);
+
+  const refresh = () => {
+    const value = getConfigValue(config, param.path);
+    input.value = value;
+    output.textContent = value;
+  };
+
+  input.addEventListener('input', () => {
+    const value = param.type === 'select' ? input.value : Number(input.value);
+    if (param.type !== 'select' && !Number.isFinite(value)) return;
+    setConfigValue(config, param.path, value);
+    output.textContent = value;
+    onChange(param.path, value);
+  });
+
+  refresh();
+  return { row, refresh };
+}
+
+/**
+ * Build the parameter panel inside a container
+ * @param onChange - called after a value changes (path, value)
+ * @returns {{ refresh: Function }} refresh() re-reads every control from the config (after loading JSON)
+ */
+export function setupParamPanel(container, config, onChange) {
+  const controls = [];
+
+  for (const { group, params } of PARAM_SCHEMA) {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = group;
+    fieldset.appendChild(legend);
+
+    for (const param of params) {
+      const control = createControl(param, config, onChange);
+      fieldset.appendChild(control.row);
+      controls.push(control);
+    }
+    container.appendChild(fieldset);
+  }
+
+  return {
+    refresh() {
+      controls.forEach(control => control.refresh());
+    }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * PDF Export Module
+ * Draws a recorded display list (see recorder.js) onto a PDFKit document as vector paths
+ * The document is passed in, so this works with PDFKit in Node and its standalone browser build
+ */
+
+import { getPaperSizeMm } from './svg.js';
+
+// PDF points per millimetre
+export const PT_PER_MM = 72 / 25.4;
+
+/**
+ * Page size in points for a paper entry
+ */
+export function getPaperSizePt(paper) {
+  const mm = getPaperSizeMm(paper);
+  return { width: mm.width * PT_PER_MM, height: mm.height * PT_PER_MM };
+}
+
+function rgb(color) {
+  return [Math.round(color.r), Math.round(color.g), Math.round(color.b)];
+}
+
+/**
+ * Draw a display list onto the current PDF page
+ * @param doc - PDFKit document
+ * @param ops - Display list from RecordingGraphics
+ * @param paper - { width, height } in pixels, optionally { widthMm, heightMm }
+ */
+export function drawDisplayListToPdf(doc, ops, paper) {
+  const pt = getPaperSizePt(paper);
+  const sx = pt.width / paper.width;
+  const sy = pt.height / paper.height;
+
+  // Lines sharing a style are stroked as one path
+  let run = null;
+  const flushRun = () => {
+    if (!run) return;
+    doc.stroke();
+    run = null;
+  };
+
+  for (const op of ops) {
+    if (op.type === 'line') {
+      const key = `${op.stroke.r},${op.stroke.g},${op.stroke.b},${op.stroke.a}|${op.weight}|${op.cap}`;
+      if (!run || run.key !== key) {
+        flushRun();
+        run = { key };
+        doc.lineWidth(op.weight * sx)
+          .lineCap(op.cap)
+          .strokeColor(rgb(op.stroke), op.stroke.a / 255);
+      }
+      doc.moveTo(op.x1 * sx, op.y1 * sy).lineTo(op.x2 * sx, op.y2 * sy);
+      continue;
+    }
+
+    flushRun();
+
+    switch (op.type) {
+      case 'background':
+        doc.rect(0, 0, pt.width, pt.height).fillColor(rgb(op.fill), op.fill.a / 255).fill();
+        break;
+      case 'rect':
+      case 'ellipse': {
+        if (op.type === 'rect') {
+          doc.rect(op.x * sx, op.y * sy, op.w * sx, op.h * sy);
+        } else {
+          doc.ellipse(op.x * sx, op.y * sy, op.w / 2 * sx, op.h / 2 * sy);
+        }
+        if (op.fill) doc.fillColor(rgb(op.fill), op.fill.a / 255);
+        if (op.stroke) {
+          doc.lineWidth(op.weight * sx).strokeColor(rgb(op.stroke), op.stroke.a / 255);
+        }
+        if (op.fill && op.stroke) doc.fillAndStroke();
+        else if (op.fill) doc.fill();
+        else doc.stroke();
+        break;
+      }
+      case 'text': {
+        const fontSize = op.size * sy;
+        doc.font('Helvetica').fontSize(fontSize).fillColor(rgb(op.fill), op.fill.a / 255);
+        const width = doc.widthOfString(op.text);
+        const offset = op.align === 'center' ? width / 2 : op.align === 'right' ? width : 0;
+        doc.text(op.text, op.x * sx - offset, op.y * sy, {
+          lineBreak: false,
+          baseline: op.baseline === 'center' ? 'middle' : op.baseline
+        });
+        break;
+      }
+    }
+  }
+  flushRun();
+}
@@ -0,0 +1,265 @@
+/**
+ * Pen Plotter Export Module
+ * Turns a recorded display list (see recorder.js) into pen layers of line segments,
+ * reorders them to reduce pen-up travel, and emits HPGL / G-code
+ */
+
+import { PLOTTER_CONFIG } from './config.js';
+import { clamp } from './helpers.js';
+import { getPaperSizeMm } from './svg.js';
+
+/**
+ * Approximate an ellipse outline with line segments
+ */
+function ellipseToSegments(op, segmentCount) {
+  const segments = [];
+  const rx = op.w / 2;
+  const ry = op.h / 2;
+  for (let i = 0; i < segmentCount; i++) {
+    const a1 = (i / segmentCount) * Math.PI * 2;
+    const a2 = ((i + 1) / segmentCount) * Math.PI * 2;
+    segments.push([
+      op.x + Math.cos(a1) * rx, op.y + Math.sin(a1) * ry,
+      op.x + Math.cos(a2) * rx, op.y + Math.sin(a2) * ry
+    ]);
+  }
+  return segments;
+}
+
+/**
+ * Pen layer key for a stroke: weight (mm) and alpha quantized to the configured steps
+ */
+function getPenKey(weightMm, alpha, config) {
+  const weight = Math.max(config.weightStepMm, Math.round(weightMm / config.weightStepMm) * config.weightStepMm);
+  const levelSize = 255 / config.alphaLevels;
+  const level = clamp(Math.ceil(alpha / levelSize), 1, config.alphaLevels);
+  return { key: `${weight.toFixed(2)}mm_a${level}`, weight, level };
+}
+
+/**
+ * Collect every stroked primitive as mm line segments, grouped into pen layers
+ * - lines are kept as-is
+ * - stroked rects/ellipses become their outlines
+ * - filled ellipses (boundary points) become dots (zero-length segments)
+ * - fills without stroke (e.g. the policy_violation tint) cannot be plotted and are skipped
+ * - text (panel labels) is skipped; label plots by hand or with a single-stroke font
+ * @returns {Array<{ key, weight, level, segments: number[][] }>} layers, lightest first
+ */
+export function collectPenLayers(ops, paper, config = PLOTTER_CONFIG) {
+  const mm = getPaperSizeMm(paper);
+  const sx = mm.width / paper.width;
+  const sy = mm.height / paper.height;
+  const layers = new Map();
+
+  const add = (stroke, weightPx, segments) => {
+    const pen = getPenKey(weightPx * sx, stroke.a, config);
+    if (!layers.has(pen.key)) {
+      layers.set(pen.key, { ...pen, segments: [] });
+    }
+    const layer = layers.get(pen.key);
+    for (const [x1, y1, x2, y2] of segments) {
+      layer.segments.push([x1 * sx, y1 * sy, x2 * sx, y2 * sy]);
+    }
+  };
+
+  for (const op of ops) {
+    switch (op.type) {
+      case 'line':
+        add(op.stroke, op.weight, [[op.x1, op.y1, op.x2, op.y2]]);
+        break;
+      case 'rect':
+        if (op.stroke) {
+          const x2 = op.x + op.w;
+          const y2 = op.y + op.h;
+          add(op.stroke, op.weight, [
+            [op.x, op.y, x2, op.y],
+            [x2, op.y, x2, y2],
+            [x2, y2, op.x, y2],
+            [op.x, y2, op.x, op.y]
+          ]);
+        }
+        break;
+      case 'ellipse':
+        if (op.stroke) {
+          add(op.stroke, op.weight, ellipseToSegments(op, config.ellipseSegments));
+        } else if (op.fill) {
+          add(op.fill, op.w, [[op.x, op.y, op.x, op.y]]);
+        }
+        break;
+    }
+  }
+
+  return Array.from(layers.values())
+    .sort((a, b) => a.level - b.level || a.weight - b.weight);
+}
+
+/**
+ * Total pen-up travel distance for an ordered segment list, starting at the origin
+ */
+export function measureTravel(segments) {
+  let travel = 0;
+  let x = 0, y = 0;
+  for (const [x1, y1, x2, y2] of segments) {
+    travel += Math.hypot(x1 - x, y1 - y);
+    x = x2;
+    y = y2;
+  }
+  return travel;
+}
+
+/**
+ * Reorder segments to reduce pen-up travel (greedy nearest endpoint)
+ * Segments may be reversed so the pen continues from the closer end.
+ * Candidates are looked up in a coarse bucket grid, widening the search ring until a hit.
+ */
+export function optimizeSegmentOrder(segments, bucketSize = 10) {
+  if (segments.length < 2) return [...segments];
+
+  // Bucket both endpoints of every segment
+  const buckets = new Map();
+  const bucketKey = (bx, by) => `${bx},${by}`;
+  let minBx = Infinity, minBy = Infinity, maxBx = -Infinity, maxBy = -Infinity;
+  segments.forEach((s, i) => {
+    for (const [x, y] of [[s[0], s[1]], [s[2], s[3]]]) {
+      const bx = Math.floor(x / bucketSize);
+      const by = Math.floor(y / bucketSize);
+      minBx = Math.min(minBx, bx);
+      minBy = Math.min(minBy, by);
+      maxBx = Math.max(maxBx, bx);
+      maxBy = Math.max(maxBy, by);
+      const key = bucketKey(bx, by);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  const used = new Uint8Array(segments.length);
+  const result = [];
+  let x = 0, y = 0;
+
+  for (let n = 0; n < segments.length; n++) {
+    const cx = Math.floor(x / bucketSize);
+    const cy = Math.floor(y / bucketSize);
+    let best = -1, bestDist = Infinity, bestReversed = false;
+
+    // Search rings of buckets outward; stop once a ring cannot hold anything closer
+    // The last ring reaches the farthest bucket from the pen, on whichever side of it (coordinates may be negative)
+    const maxRing = Math.max(cx - minBx, maxBx - cx, cy - minBy, maxBy - cy);
+    for (let ring = 0; ring <= maxRing; ring++) {
+      if (best >= 0 && (ring - 1) * bucketSize > bestDist) break;
+      for (let bx = cx - ring; bx <= cx + ring; bx++) {
+        for (let by = cy - ring; by <= cy + ring; by++) {
+          if (Math.max(Math.abs(bx - cx), Math.abs(by - cy)) !== ring) continue;
+          const bucket = buckets.get(bucketKey(bx, by));
+          if (!bucket) continue;
+          for (const i of bucket) {
+            if (used[i]) continue;
+            const s = segments[i];
+            const dStart = Math.hypot(s[0] - x, s[1] - y);
+            const dEnd = Math.hypot(s[2] - x, s[3] - y);
+            if (dStart < bestDist) { best = i; bestDist = dStart; bestReversed = false; }
+            if (dEnd < bestDist) { best = i; bestDist = dEnd; bestReversed = true; }
+          }
+        }
+      }
+    }
+
+    used[best] = 1;
+    const s = segments[best];
+    const ordered = bestReversed ? [s[2], s[3], s[0], s[1]] : s;
+    result.push(ordered);
+    x = ordered[2];
+    y = ordered[3];
+  }
+
+  return result;
+}
+
+/**
+ * Collect, group and optimize a display list for plotting
+ * @returns {{ layers, paperMm, travelBefore, travelAfter }}
+ */
+export function preparePlot(ops, paper, config = PLOTTER_CONFIG) {
+  const layers = collectPenLayers(ops, paper, config);
+  let travelBefore = 0, travelAfter = 0;
+
+  for (const layer of layers) {
+    travelBefore += measureTravel(layer.segments);
+    layer.segments = optimizeSegmentOrder(layer.segments);
+    travelAfter += measureTravel(layer.segments);
+  }
+
+  return { layers, paperMm: getPaperSizeMm(paper), travelBefore, travelAfter };
+}
+
+/**
+ * Emit HPGL (40 plotter units per mm, origin bottom-left)
+ * Each pen layer is drawn with its own pen (SP1, SP2, ...)
+ */
+export function toHpgl(plot, config = PLOTTER_CONFIG) {
+  const unitsPerMm = config.hpglUnitsPerMm;
+  const px = v => Math.round(v * unitsPerMm);
+  const py = v => Math.round((plot.paperMm.height - v) * unitsPerMm);
+  const lines = ['IN;'];
+
+  plot.layers.forEach((layer, i) => {
+    lines.push(`SP${i + 1};`);
+    let penX = null, penY = null;
+    for (const [x1, y1, x2, y2] of layer.segments) {
+      const sx = px(x1), sy = py(y1), ex = px(x2), ey = py(y2);
+      if (sx !== penX || sy !== penY) {
+        lines.push(`PU${sx},${sy};`);
+      }
+      lines.push(`PD${ex},${ey};`);
+      penX = ex;
+      penY = ey;
+    }
+    lines.push('PU;');
+  });
+
+  lines.push('SP0;');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Emit G-code (mm, absolute, origin bottom-left)
+ * Pen up/down commands are configurable; the machine pauses (M0) for a pen change between layers
+ */
+export function toGcode(plot, config = PLOTTER_CONFIG) {
+  const { gcode } = config;
+  const f = v => String(+v.toFixed(3));
+  const lines = [
+    '; Craftlog LeWitt plot',
+    `; Paper: ${f(plot.paperMm.width)} x ${f(plot.paperMm.height)} mm`,
+    'G21',
+    'G90',
+    gcode.penUp
+  ];
+
+  plot.layers.forEach((layer, i) => {
+    lines.push(`; Layer ${i + 1}: ${layer.key} (${layer.segments.length} segments)`);
+    if (i > 0) {
+      lines.push(`M0 ; change to pen ${i + 1} (${layer.key})`);
+    }
+    let penX = null, penY = null;
+    let penDown = false;
+    for (const [x1, y1, x2, y2] of layer.segments) {
+      const sx = f(x1), sy = f(plot.paperMm.height - y1);
+      const ex = f(x2), ey = f(plot.paperMm.height - y2);
+      if (sx !== penX || sy !== penY) {
+        if (penDown) lines.push(gcode.penUp);
+        lines.push(`G0 X${sx} Y${sy} F${gcode.travelFeed}`);
+        lines.push(gcode.penDown);
+        penDown = true;
+      }
+      lines.push(`G1 X${ex} Y${ey} F${gcode.drawFeed}`);
+      penX = ex;
+      penY = ey;
+    }
+    if (penDown) lines.push(gcode.penUp);
+  });
+
+  lines.push('G0 X0 Y0');
+  lines.push('M2');
+  return lines.join('\n') + '\n';
+}
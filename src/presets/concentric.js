@@ -0,0 +1,131 @@
+/**
+ * Concentric Circles Preset
+ * Same grid as the default preset, but each event is drawn as a set of concentric rings
+ */
+
+import { LEWITT_CONFIG } from '../config.js';
+import { lerp, gridInstructions, severityInstructions } from '../helpers.js';
+import { connectionInstructions } from '../connections.js';
+import {
+  layoutGridCells,
+  drawCellBorder,
+  drawPointConnections,
+  drawUndoMark,
+  getHatchParams,
+  getEraseRatio,
+  getChangePointCount
+} from '../lewitt.js';
+import { registerPreset } from './registry.js';
+
+/**
+ * Draw one event as concentric rings centered in the cell
+ * - ring count by severity, stroke weight/alpha as in the hatching rules
+ * - human edits: circles, ai edits: flattened ellipses
+ * - deleted_chars: hollow center (innermost ring starts further out)
+ * - paste_like: filled center disc, undo_like: vertical cancellation line
+ * - boundary points sit on the outer ring
+ */
+function drawConcentricGlyph(g, event, cell, rng, scale, collectPoints, config = LEWITT_CONFIG) {
+  const { x, y, w, h } = cell;
+  const collectedPoints = [];
+
+  drawCellBorder(g, event, x, y, w, h, scale);
+  if (!event) return collectedPoints;
+
+  const options = config.presetOptions.concentric_circles;
+  const params = getHatchParams(event.severity);
+  const centerX = x + w / 2;
+  const centerY = y + h / 2;
+  const outerRadius = Math.min(w, h) / 2 * 0.9;
+  const innerRadius = outerRadius * getEraseRatio(event);
+  const flatten = event.origin_mode === 'ai' ? 0.5 : 1;
+
+  // Policy violation: red tint behind the rings
+  let weight = params.weight;
+  if (event.event === 'policy_violation') {
+    g.noStroke();
+    g.fill(255, 0, 0, 20);
+    g.rect(x, y, w, h);
+    weight += config.hatching.policyViolationWeightBonus;
+  }
+
+  // Rings
+  const rings = Math.round(lerp(options.minRings, options.maxRings, event.severity));
+  g.noFill();
+  g.stroke(0, params.alpha);
+  g.strokeWeight(Math.max(0.5, weight * scale));
+  for (let i = 0; i < rings; i++) {
+    const radius = lerp(outerRadius, innerRadius, rings > 1 ? i / rings : 0);
+    g.ellipse(centerX, centerY, radius * 2, radius * 2 * flatten);
+  }
+
+  if (event.flags?.is_paste_like) {
+    const discRadius = Math.max(innerRadius, outerRadius / (rings + 1));
+    g.noStroke();
+    g.fill(0, 180);
+    g.ellipse(centerX, centerY, discRadius * 2, discRadius * 2 * flatten);
+  }
+
+  if (event.flags?.is_undo_like) {
+    drawUndoMark(g, x, y, w, h, 0, scale, config.motifs);
+  }
+
+  // Boundary points on the outer ring
+  const count = event.event === 'edit' ? getChangePointCount(event, config.motifs) : 0;
+  for (let i = 0; i < count; i++) {
+    const angle = rng.range(0, Math.PI * 2);
+    collectedPoints.push({
+      x: centerX + Math.cos(angle) * outerRadius,
+      y: centerY + Math.sin(angle) * outerRadius * flatten
+    });
+  }
+
+  if (!collectPoints && collectedPoints.length > 0) {
+    g.noStroke();
+    g.fill(0, 200);
+    const pointSize = Math.max(2, 4 * scale);
+    for (const point of collectedPoints) {
+      g.ellipse(point.x, point.y, pointSize, pointSize);
+    }
+    return [];
+  }
+
+  return collectedPoints;
+}
+
+registerPreset({
+  name: 'concentric_circles',
+  label: 'Concentric circles',
+
+  layoutCells: layoutGridCells,
+  drawGlyph: drawConcentricGlyph,
+  drawOverlay: drawPointConnections,
+
+  instructions(config) {
+    const { pointConnection, hatching, motifs } = config;
+    const { minRings, maxRings } = config.presetOptions.concentric_circles;
+    return `${gridInstructions(config)}
+RING RULES
+----------
+Each cell contains concentric rings around its center. Parameters determined by log data:
+
+Number of rings by severity:
+  rings = round(lerp(${minRings}, ${maxRings}, severity))
+
+Shape by origin_mode:
+  - human → circles
+  - ai    → ellipses flattened to half height
+
+${severityInstructions(hatching, { spacing: false, policyViolation: true })}
+SPECIAL RULES
+-------------
+- policy_violation: Red fill (255,0,0,20) behind the rings
+- deleted_chars: Hollow center, inner radius = outer radius × erase ratio
+- undo_like flag: One vertical line (cancellation mark)
+- paste_like flag: Filled center disc
+- edit added_chars: Points on the outer ring${pointConnection === 'symmetric' ? ' (4px dots, alpha 200)' : ', connected across cells (see POINT CONNECTIONS)'}
+  count = clamp(round(log1p(added_chars + deleted_chars)/1.6), 0, ${motifs.radialLinesMaxCount})
+
+${connectionInstructions(config)}`;
+  }
+});
@@ -0,0 +1,10 @@
+/**
+ * Built-in presets
+ * Import this module once from an entry point to register every preset
+ */
+
+import '../lewitt.js'; // Registers the default grid hatch preset
+import './concentric.js';
+import './stripes.js';
+
+export { registerPreset, getPreset, listPresets, DEFAULT_PRESET } from './registry.js';
@@ -0,0 +1,45 @@
+/**
+ * Preset Registry
+ * Visual presets register themselves here; drawLeWittGrid and generateInstructions look them up by name
+ *
+ * A preset supplies:
+ *   name                                   - key used in LEWITT_CONFIG.preset
+ *   label                                  - human readable name
+ *   layoutCells(count, area, config)       - { cells: [{ x, y, w, h }], gridSize, traversal, cellDimensions } in draw order
+ *   traversal (optional)                   - fixed cell visiting order; otherwise config.traversal applies
+ *   drawGlyph(g, event, cell, rng, scale, collectPoints, config) - draws one cell, returns collected boundary points
+ *                                          (config: the drawLeWittGrid config, for motifs and presetOptions)
+ *   drawOverlay(g, points, scale, config)  - global layer drawn after all cells
+ *   instructions(config)                   - preset-specific rule text for instructions.txt
+ *                                          (shared sections: gridInstructions, severityInstructions in helpers.js)
+ */
+
+// Default preset name (the original grid hatch)
+export const DEFAULT_PRESET = 'lewitt_grid_hatch_p5';
+
+const presets = new Map();
+
+/**
+ * Register a preset (replaces an existing preset with the same name)
+ */
+export function registerPreset(preset) {
+  presets.set(preset.name, preset);
+}
+
+/**
+ * Look up a preset by name, falling back to the default preset
+ */
+export function getPreset(name) {
+  if (presets.has(name)) return presets.get(name);
+  if (name) {
+    console.warn(`Unknown preset "${name}", using ${DEFAULT_PRESET}`);
+  }
+  return presets.get(DEFAULT_PRESET);
+}
+
+/**
+ * List registered presets as { name, label }
+ */
+export function listPresets() {
+  return Array.from(presets.values()).map(({ name, label }) => ({ name, label }));
+}
@@ -0,0 +1,130 @@
+/**
+ * Stripe / Bar Preset
+ * Each event is a tall bar read left to right like a timeline, filled with horizontal stripes
+ */
+
+import { samplingInstructions, severityInstructions } from '../helpers.js';
+import { LEWITT_CONFIG } from '../config.js';
+import {
+  drawCellBorder,
+  drawHatchLines,
+  drawPolicyViolationCell,
+  drawUndoMark,
+  getHatchParams,
+  getEraseRatio
+} from '../lewitt.js';
+import { getCellOrder } from '../traversal.js';
+import { registerPreset } from './registry.js';
+
+/**
+ * Bars per row and number of rows so each bar keeps the configured aspect (height / width)
+ * Panels share one column count (config.fixedCols, set by drawLeWittGrid), so there the bars fill the panel's cells
+ */
+export function getStripeLayout(count, area, config = LEWITT_CONFIG) {
+  const n = Math.max(1, count);
+  if (config.fixedCols) {
+    return { perRow: config.fixedCols, rows: Math.ceil(n / config.fixedCols) };
+  }
+
+  const { barAspect } = config.presetOptions.stripe_bars;
+  const perRow = Math.max(1, Math.round(Math.sqrt(n * area.width * barAspect / area.height)));
+  const rows = Math.ceil(n / perRow);
+  return { perRow, rows };
+}
+
+/**
+ * Lay out bars in reading order (rows top to bottom, bars left to right)
+ * Bars always read like a timeline, so config.traversal does not apply
+ */
+function layoutStripeCells(count, area, config = LEWITT_CONFIG) {
+  const { perRow, rows } = getStripeLayout(count, area, config);
+  const barW = area.width / perRow;
+  const barH = area.height / rows;
+
+  const cells = getCellOrder(perRow, rows, 'rows').map(({ col, row }) => ({
+    x: area.x + col * barW,
+    y: area.y + row * barH,
+    w: barW,
+    h: barH,
+    col,
+    row
+  }));
+
+  return { cells, gridSize: perRow, cols: perRow, rows, traversal: 'rows', cellDimensions: { width: barW, height: barH } };
+}
+
+/**
+ * Draw one event as a bar partly filled with horizontal stripes
+ * - filled height by severity; human edits grow from the bottom, ai edits from the top
+ * - stripe spacing/weight/alpha as in the hatching rules
+ * - paste_like: thick line at the fill edge, undo_like: vertical cancellation line
+ */
+function drawStripeGlyph(g, event, cell, rng, scale, collectPoints, config = LEWITT_CONFIG) {
+  const { x, y, w, h } = cell;
+
+  drawCellBorder(g, event, x, y, w, h, scale);
+  if (!event) return [];
+
+  if (event.event === 'policy_violation') {
+    drawPolicyViolationCell(g, x, y, w, h, event.severity, scale);
+    return [];
+  }
+
+  const params = getHatchParams(event.severity);
+  const fillH = h * event.severity;
+  const fromTop = event.origin_mode === 'ai';
+  const fillY = fromTop ? y : y + h - fillH;
+
+  drawHatchLines(g, x, fillY, w, fillH, 0, params.spacing, params.weight, params.alpha, scale, getEraseRatio(event));
+
+  if (event.flags?.is_paste_like) {
+    const edgeY = fromTop ? fillY + fillH : fillY;
+    g.stroke(0, 180);
+    g.strokeWeight(Math.max(1, params.weight * config.motifs.pasteLineWeightMultiplier * scale));
+    g.line(x, edgeY, x + w, edgeY);
+  }
+
+  if (event.flags?.is_undo_like) {
+    drawUndoMark(g, x, y, w, h, 0, scale, config.motifs);
+  }
+
+  return [];
+}
+
+registerPreset({
+  name: 'stripe_bars',
+  label: 'Stripe bars',
+
+  // Bars always read like a timeline
+  traversal: 'rows',
+  layoutCells: layoutStripeCells,
+  drawGlyph: drawStripeGlyph,
+  drawOverlay() {},
+
+  instructions(config) {
+    const { panels, hatching, presetOptions } = config;
+    const { barAspect } = presetOptions.stripe_bars;
+    return `BARS
+----
+Each event is one vertical bar, read left to right, rows top to bottom.
+Bar aspect (height / width): ${panels && panels !== 'none' ? 'cell size of the shared panel grid (all panels use the same columns)' : barAspect}
+${samplingInstructions(config)}
+STRIPE RULES
+------------
+Each bar is partly filled with horizontal lines (stripes). Parameters determined by log data:
+
+Filled height by severity:
+  height = bar height × severity
+  - human → filled from the bottom
+  - ai    → filled from the top
+
+${severityInstructions(hatching)}
+SPECIAL RULES
+-------------
+- policy_violation: Red fill (255,0,0,20), then cross-hatch over the whole bar
+- deleted_chars: Stripes erased from the center of the filled part
+- undo_like flag: One vertical line (cancellation mark)
+- paste_like flag: One thick line at the edge of the filled part
+`;
+  }
+});
@@ -0,0 +1,381 @@
+/**
+ * Provenance Module
+ * Records what produced an exported file: the render session (seed, config, log hash), the log's sessions
+ * and event count, the source files with the SHA-256 of their bytes and the render time. The record is embedded
+ * as JSON in every PNG (iTXt), SVG (<metadata>), PDF (info dictionary) and GIF (comment), written beside
+ * files that cannot hold it (WebM) as a .provenance.json sidecar, and read back by inspect-render.js
+ * Works on plain byte arrays, so the browser and Node share it
+ */
+
+// Written into every record and used as the PNG/PDF key
+export const PROVENANCE_GENERATOR = 'craftlog-figure';
+export const PROVENANCE_KEY = 'craftlog:provenance';
+const PDF_INFO_KEY = 'CraftlogProvenance';
+const SVG_METADATA_ID = 'craftlog-provenance';
+
+/**
+ * SHA-256 of a file's bytes as hex (Web Crypto, so the browser and Node share it)
+ * @param bytes - Uint8Array, Buffer or ArrayBuffer
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Provenance record of one exported file
+ * log_hash identifies the parsed entries; source_sha256 holds the SHA-256 of each source file's raw bytes,
+ * in the order of `source`, so the files themselves can be checked with sha256sum (null for a live stream)
+ * @param session - Render session (see session.js)
+ * @param options - { artifact: string (e.g. 'B6 png'), source: string (log file names), sourceSha256: string[], renderedAt: Date }
+ */
+export function createProvenance(session, { artifact, source = null, sourceSha256 = null, renderedAt = new Date() }) {
+  const sessionIds = [];
+  let firstTs = Infinity;
+  for (const e of session.events) {
+    if (e.session_id && !sessionIds.includes(e.session_id)) sessionIds.push(e.session_id);
+    if (Number.isFinite(e.ts)) firstTs = Math.min(firstTs, e.ts);
+  }
+
+  return {
+    generator: PROVENANCE_GENERATOR,
+    artifact,
+    rendered_at: renderedAt.toISOString(),
+    source,
+    source_sha256: sourceSha256,
+    log_hash: session.logHash,
+    config_hash: session.configHash,
+    session: session.id,
+    seed: session.seed,
+    preset: session.config.preset,
+    session_ids: sessionIds,
+    event_count: session.events.length,
+    log_start: Number.isFinite(firstTs) ? new Date(firstTs).toISOString() : null,
+    log_end: session.date.toISOString(),
+    config: session.config
+  };
+}
+
+/**
+ * One-line description of a record (PDF Subject, inspect-render)
+ */
+export function describeProvenance(provenance) {
+  return `seed ${provenance.seed}, preset ${provenance.preset}, log ${provenance.log_hash}, config ${provenance.config_hash}, ${provenance.event_count} events`;
+}
+
+// PNG: tEXt chunks for the standard keywords, an iTXt chunk (UTF-8) for the JSON record
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, ch => ch.charCodeAt(0) & 0xff);
+}
+
+function latin1Text(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(latin1Bytes(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function isPng(bytes) {
+  return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Copy of a PNG with the provenance record inserted after IHDR
+ * Adds tEXt Software / Creation Time / Source / Description and the full record as iTXt
+ * @param bytes - PNG file (Uint8Array or Buffer)
+ * @returns {Uint8Array}
+ */
+export function addPngProvenance(bytes, provenance) {
+  if (!isPng(bytes)) throw new Error('Not a PNG file');
+
+  const text = (keyword, value) => pngChunk('tEXt', concatBytes([latin1Bytes(keyword), [0], latin1Bytes(value)]));
+  const chunks = [
+    text('Software', PROVENANCE_GENERATOR),
+    text('Creation Time', provenance.rendered_at),
+    text('Description', describeProvenance(provenance)),
+    // tEXt is Latin-1, so a source name outside it is only in the record
+    ...(/^[\x20-\xff]+$/.test(provenance.source ?? '') ? [text('Source', provenance.source)] : []),
+    // iTXt: keyword, 0, compression flag 0, method 0, empty language tag, empty translated keyword, UTF-8 text
+    pngChunk('iTXt', concatBytes([latin1Bytes(PROVENANCE_KEY), [0, 0, 0, 0, 0], new TextEncoder().encode(JSON.stringify(provenance))]))
+  ];
+
+  // IHDR is always first: 8 bytes signature + 25 bytes chunk
+  const ihdrEnd = 8 + 25;
+  return concatBytes([bytes.subarray(0, ihdrEnd), ...chunks, bytes.subarray(ihdrEnd)]);
+}
+
+/**
+ * Uncompressed tEXt and iTXt entries of a PNG, keyword -> text
+ */
+export function readPngText(bytes) {
+  if (!isPng(bytes)) throw new Error('Not a PNG file');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = {};
+  let offset = 8;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1Text(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IEND') break;
+    const nul = data.indexOf(0);
+    if (nul < 0) continue;
+    const keyword = latin1Text(data.subarray(0, nul));
+
+    if (type === 'tEXt') {
+      entries[keyword] = latin1Text(data.subarray(nul + 1));
+    } else if (type === 'iTXt' && data[nul + 1] === 0) {
+      // Skip the language tag and translated keyword
+      const languageEnd = data.indexOf(0, nul + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      entries[keyword] = new TextDecoder().decode(data.subarray(translatedEnd + 1));
+    }
+  }
+
+  return entries;
+}
+
+// SVG: <metadata> element with the JSON record
+
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * <metadata> element for an SVG document (see displayListToSvg)
+ */
+export function toSvgMetadata(provenance) {
+  return `<metadata id="${SVG_METADATA_ID}">${escapeXml(JSON.stringify(provenance))}</metadata>`;
+}
+
+function readSvgMetadata(text) {
+  const match = new RegExp(`<metadata id="${SVG_METADATA_ID}">([\\s\\S]*?)</metadata>`).exec(text);
+  if (!match) return null;
+  return match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// PDF: standard info entries plus the JSON record under /CraftlogProvenance
+
+/**
+ * PDFKit `info` for a document carrying the record
+ * CreationDate stays the session date, so documents from one session stay byte-identical apart from rendered_at
+ */
+export function toPdfInfo(provenance, session) {
+  return {
+    Title: `Craftlog ${provenance.artifact}`,
+    Subject: describeProvenance(provenance),
+    Keywords: provenance.session_ids.join(', '),
+    Creator: PROVENANCE_GENERATOR,
+    CreationDate: session.date,
+    [PDF_INFO_KEY]: JSON.stringify(provenance)
+  };
+}
+
+/**
+ * Decode a PDF literal string starting at the opening parenthesis
+ */
+function readPdfLiteralString(text, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let out = '';
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      const next = text[++i];
+      if (escapes[next]) {
+        out += escapes[next];
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(text.slice(i, i + 3))[0];
+        out += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next !== '\n' && next !== '\r') {
+        out += next;
+      }
+      continue;
+    }
+    if (ch === '(' && depth++ === 0) continue;
+    if (ch === ')' && --depth === 0) break;
+    out += ch;
+  }
+
+  // Text strings with a byte order mark are UTF-16BE
+  if (out.startsWith('\u00fe\u00ff')) {
+    const bytes = latin1Bytes(out.slice(2));
+    return new TextDecoder('utf-16be').decode(bytes);
+  }
+  return out;
+}
+
+function readPdfInfo(text) {
+  const entry = new RegExp(`/${PDF_INFO_KEY}\\s*(?:(\\d+)\\s+(\\d+)\\s+R|\\()`).exec(text);
+  if (!entry) return null;
+  if (!entry[1]) return readPdfLiteralString(text, entry.index + entry[0].length - 1);
+
+  // Indirect object: "<n> <gen> obj (...)"
+  const object = new RegExp(`(?:^|\\s)${entry[1]}\\s+${entry[2]}\\s+obj\\s*\\(`).exec(text);
+  return object ? readPdfLiteralString(text, object.index + object[0].length - 1) : null;
+}
+
+// GIF: comment extension with the JSON record, UTF-8 in sub-blocks of up to 255 bytes
+
+const GIF_EXTENSION = 0x21;
+const GIF_COMMENT_LABEL = 0xfe;
+const GIF_TRAILER = 0x3b;
+
+function isGif(bytes) {
+  return latin1Text(bytes.subarray(0, 6)).startsWith('GIF8');
+}
+
+/**
+ * Copy of a GIF with the provenance record as a comment extension just before the trailer
+ * @param bytes - GIF file (Uint8Array or Buffer)
+ * @returns {Uint8Array}
+ */
+export function addGifProvenance(bytes, provenance) {
+  if (!isGif(bytes) || bytes[bytes.length - 1] !== GIF_TRAILER) throw new Error('Not a GIF file');
+
+  const text = new TextEncoder().encode(`${PROVENANCE_KEY} ${JSON.stringify(provenance)}`);
+  const blocks = [];
+  for (let i = 0; i < text.length; i += 255) {
+    const block = text.subarray(i, i + 255);
+    blocks.push([block.length], block);
+  }
+  return concatBytes([bytes.subarray(0, -1), [GIF_EXTENSION, GIF_COMMENT_LABEL], ...blocks, [0, GIF_TRAILER]]);
+}
+
+/**
+ * Skip a chain of GIF sub-blocks
+ * @returns {{ data: Uint8Array, end: number }} the joined data and the offset after the terminator
+ */
+function readGifSubBlocks(bytes, offset) {
+  const parts = [];
+  while (offset < bytes.length && bytes[offset] !== 0) {
+    parts.push(bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+    offset += 1 + bytes[offset];
+  }
+  return { data: concatBytes(parts), end: offset + 1 };
+}
+
+function readGifComment(bytes) {
+  // Header (6) and logical screen descriptor (7), then the global color table if the flag is set
+  const flags = bytes[10];
+  let offset = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  const prefix = `${PROVENANCE_KEY} `;
+
+  while (offset < bytes.length && bytes[offset] !== GIF_TRAILER) {
+    if (bytes[offset] === GIF_EXTENSION) {
+      const { data, end } = readGifSubBlocks(bytes, offset + 2);
+      if (bytes[offset + 1] === GIF_COMMENT_LABEL) {
+        const text = new TextDecoder().decode(data);
+        if (text.startsWith(prefix)) return text.slice(prefix.length);
+      }
+      offset = end;
+    } else if (bytes[offset] === 0x2c) {
+      // Image descriptor (10), local color table, LZW minimum code size (1), image data
+      const localFlags = bytes[offset + 9];
+      offset += 10 + (localFlags & 0x80 ? 3 * 2 ** ((localFlags & 0x07) + 1) : 0) + 1;
+      offset = readGifSubBlocks(bytes, offset).end;
+    } else {
+      break;
+    }
+  }
+  return null;
+}
+
+// Sidecar: the record alone as JSON, for formats without a metadata slot (WebM)
+
+/**
+ * Sidecar file content for an export that cannot hold the record
+ */
+export function toProvenanceSidecar(provenance) {
+  return JSON.stringify(provenance, null, 2) + '\n';
+}
+
+/**
+ * Detect a file's format from its first bytes
+ * @returns {'png'|'gif'|'pdf'|'svg'|'json'|null}
+ */
+export function detectFormat(bytes) {
+  if (isPng(bytes)) return 'png';
+  if (isGif(bytes)) return 'gif';
+  const head = latin1Text(bytes.subarray(0, 512)).trimStart();
+  if (head.startsWith('%PDF')) return 'pdf';
+  if (head.startsWith('<?xml') || head.startsWith('<svg')) return 'svg';
+  if (head.startsWith('{')) return 'json';
+  return null;
+}
+
+/**
+ * Read the provenance record embedded in an exported file (or a .provenance.json sidecar)
+ * @param bytes - PNG, GIF, SVG, PDF or sidecar file (Uint8Array or Buffer)
+ * @returns {{ format: string, provenance: object|null, text: object }} text holds the PNG text entries
+ */
+export function readProvenance(bytes) {
+  const format = detectFormat(bytes);
+  let json = null;
+  let text = {};
+
+  if (format === 'png') {
+    text = readPngText(bytes);
+    json = text[PROVENANCE_KEY] ?? null;
+  } else if (format === 'gif') {
+    json = readGifComment(bytes);
+  } else if (format === 'svg') {
+    json = readSvgMetadata(new TextDecoder().decode(bytes));
+  } else if (format === 'pdf') {
+    json = readPdfInfo(latin1Text(bytes));
+  } else if (format === 'json') {
+    json = new TextDecoder().decode(bytes);
+  } else {
+    throw new Error('Unknown file format (expected PNG, GIF, SVG, PDF or a .provenance.json sidecar)');
+  }
+
+  const provenance = json ? JSON.parse(json) : null;
+  // A JSON file that is not a sidecar has no record
+  return { format, provenance: provenance?.generator === PROVENANCE_GENERATOR ? provenance : null, text };
+}
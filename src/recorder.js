@@ -0,0 +1,215 @@
+/**
+ * Recording Graphics Module
+ * A p5-compatible drawing target that records calls as vector primitives
+ * instead of rasterizing them, so the same drawing code can feed SVG and other vector outputs
+ */
+
+/**
+ * Parse p5-style color arguments into {r, g, b, a} (0..255)
+ * Supports (gray), (gray, alpha), (r, g, b), (r, g, b, a), '#rrggbb' and 'rgb()/rgba()' strings
+ */
+export function parseColor(args) {
+  if (args.length === 1 && typeof args[0] === 'string') {
+    const str = args[0].trim();
+
+    if (str.startsWith('#')) {
+      const hex = str.length === 4
+        ? str.slice(1).split('').map(c => c + c).join('')
+        : str.slice(1);
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: 255
+      };
+    }
+
+    const match = str.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+      const [r, g, b, a = 1] = match[1].split(',').map(v => parseFloat(v));
+      return { r, g, b, a: Math.round(a * 255) };
+    }
+
+    return { r: 0, g: 0, b: 0, a: 255 };
+  }
+
+  if (args.length <= 2) {
+    const gray = args[0];
+    return { r: gray, g: gray, b: gray, a: args.length === 2 ? args[1] : 255 };
+  }
+
+  return { r: args[0], g: args[1], b: args[2], a: args.length >= 4 ? args[3] : 255 };
+}
+
+/**
+ * Records drawing calls into a display list of absolute-coordinate primitives
+ *
+ * Implements the subset of the p5 graphics API used by the LeWitt drawing code:
+ * stroke/fill state, line/rect/ellipse/text, push/pop/translate and background.
+ * Each recorded op carries a snapshot of the style active at the time of the call.
+ */
+export class RecordingGraphics {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.ops = [];
+
+    // Stroke caps (same values as the p5 constants)
+    this.SQUARE = 'butt';
+    this.PROJECT = 'square';
+    this.ROUND = 'round';
+
+    // Text alignment (same values as the p5 constants)
+    this.LEFT = 'left';
+    this.CENTER = 'center';
+    this.RIGHT = 'right';
+    this.TOP = 'top';
+    this.BOTTOM = 'bottom';
+    this.BASELINE = 'alphabetic';
+
+    this.state = {
+      stroke: { r: 0, g: 0, b: 0, a: 255 },
+      fill: { r: 255, g: 255, b: 255, a: 255 },
+      weight: 1,
+      cap: this.ROUND,
+      textSize: 12,
+      textAlign: this.LEFT,
+      textBaseline: this.BASELINE,
+      tx: 0,
+      ty: 0
+    };
+    this.stack = [];
+  }
+
+  background(...args) {
+    this.ops.push({ type: 'background', fill: parseColor(args) });
+  }
+
+  stroke(...args) {
+    this.state.stroke = parseColor(args);
+  }
+
+  noStroke() {
+    this.state.stroke = null;
+  }
+
+  fill(...args) {
+    this.state.fill = parseColor(args);
+  }
+
+  noFill() {
+    this.state.fill = null;
+  }
+
+  strokeWeight(weight) {
+    this.state.weight = weight;
+  }
+
+  strokeCap(cap) {
+    this.state.cap = cap;
+  }
+
+  push() {
+    this.stack.push({ ...this.state });
+  }
+
+  pop() {
+    if (this.stack.length > 0) {
+      this.state = this.stack.pop();
+    }
+  }
+
+  translate(x, y) {
+    this.state.tx += x;
+    this.state.ty += y;
+  }
+
+  line(x1, y1, x2, y2) {
+    if (!this.state.stroke) return;
+    const { tx, ty } = this.state;
+    this.ops.push({
+      type: 'line',
+      x1: x1 + tx, y1: y1 + ty,
+      x2: x2 + tx, y2: y2 + ty,
+      stroke: this.state.stroke,
+      weight: this.state.weight,
+      cap: this.state.cap
+    });
+  }
+
+  rect(x, y, w, h) {
+    if (!this.state.stroke && !this.state.fill) return;
+    this.ops.push({
+      type: 'rect',
+      x: x + this.state.tx, y: y + this.state.ty, w, h,
+      stroke: this.state.stroke,
+      fill: this.state.fill,
+      weight: this.state.weight
+    });
+  }
+
+  ellipse(x, y, w, h = w) {
+    if (!this.state.stroke && !this.state.fill) return;
+    this.ops.push({
+      type: 'ellipse',
+      x: x + this.state.tx, y: y + this.state.ty, w, h,
+      stroke: this.state.stroke,
+      fill: this.state.fill,
+      weight: this.state.weight
+    });
+  }
+
+  textSize(size) {
+    this.state.textSize = size;
+  }
+
+  textAlign(horizontal, vertical = this.BASELINE) {
+    this.state.textAlign = horizontal;
+    this.state.textBaseline = vertical;
+  }
+
+  text(str, x, y) {
+    if (!this.state.fill) return;
+    this.ops.push({
+      type: 'text',
+      text: String(str),
+      x: x + this.state.tx, y: y + this.state.ty,
+      size: this.state.textSize,
+      align: this.state.textAlign,
+      baseline: this.state.textBaseline,
+      fill: this.state.fill
+    });
+  }
+}
+
+/**
+ * Bounding box of a recorded op, padded by half its stroke weight (null = unbounded)
+ */
+function getOpBounds(op) {
+  const pad = (op.weight || 0) / 2;
+  switch (op.type) {
+    case 'line':
+      return {
+        x1: Math.min(op.x1, op.x2) - pad, y1: Math.min(op.y1, op.y2) - pad,
+        x2: Math.max(op.x1, op.x2) + pad, y2: Math.max(op.y1, op.y2) + pad
+      };
+    case 'rect':
+      return { x1: op.x - pad, y1: op.y - pad, x2: op.x + op.w + pad, y2: op.y + op.h + pad };
+    case 'ellipse':
+      return { x1: op.x - op.w / 2 - pad, y1: op.y - op.h / 2 - pad, x2: op.x + op.w / 2 + pad, y2: op.y + op.h / 2 + pad };
+    default:
+      // Background and text (no measured width) are always kept
+      return null;
+  }
+}
+
+/**
+ * Keep only the ops that can be visible inside a rectangle (display list coordinates)
+ * Used for tiled output so each tile page carries only its own part of the drawing
+ */
+export function cropDisplayList(ops, { x, y, width, height }) {
+  return ops.filter(op => {
+    const b = getOpBounds(op);
+    return !b || (b.x2 >= x && b.x1 <= x + width && b.y2 >= y && b.y1 <= y + height);
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * Render Worker
+ * Draws the B6 PNG and the print tiles PDF off the main thread, so the page stays responsive (see runRenderJob
+ * in visualization.js). The figure is recorded once as a display list, then drawn cell by cell onto an
+ * OffscreenCanvas or PDF pages with a progress message after every cell. The page cancels by terminating the worker
+ *
+ * In:  { job: 'b6' | 'tiles', events, config, source, sourceSha256, spec }
+ *        (source and sourceSha256: log names and file hashes for the provenance, spec: TILE_CONFIG)
+ * Out: { type: 'progress', stage, done, total, cell, cells, tile, tiles }
+ *        stage 'record' | 'draw' | 'encode' (PNG) | 'write' (PDF); done / total count cells over every pass (tile)
+ *      { type: 'done', bytes }  (ArrayBuffer, transferred)
+ *      { type: 'error', message }
+ */
+
+import PDFDocument from 'pdfkit/js/pdfkit.standalone.js';
+import { colors, CANVAS_WIDTH, CANVAS_HEIGHT, PAPER_SIZES, LEWITT_CONFIG } from './config.js';
+import { drawLeWittGrid } from './lewitt.js';
+import './presets/index.js';
+import { RecordingGraphics, cropDisplayList } from './recorder.js';
+import { drawDisplayListToCanvas } from './canvas.js';
+import { computeTileLayout, writeTilePages, createDisplayListDrawers } from './tiles.js';
+import { createRenderSession } from './session.js';
+import { createProvenance, addPngProvenance, toPdfInfo } from './provenance.js';
+
+function post(message, transfer = []) {
+  self.postMessage(message, transfer);
+}
+
+/**
+ * Record the figure and split the display list at cell ends
+ * The background goes with the first cell; overlays drawn after the last cell (connections, growth) go with it
+ * @returns {{ ops: object[], cells: Array<object[]> }} the display list and one group of its ops per drawn cell
+ */
+function recordCells(session, width, height, scale) {
+  post({ type: 'progress', stage: 'record', done: 0, total: 1 });
+
+  const recorder = new RecordingGraphics(width, height);
+  recorder.background(colors.background);
+  const cellEnds = [];
+  const config = { ...session.config, onCellDrawn: () => cellEnds.push(recorder.ops.length) };
+  drawLeWittGrid(recorder, session.events, width, height, config, scale);
+
+  const { ops } = recorder;
+  const ends = [...cellEnds.slice(0, -1), ops.length];
+  return { ops, cells: ends.map((end, i) => ops.slice(i > 0 ? ends[i - 1] : 0, end)) };
+}
+
+/**
+ * Progress over passes of the same cells (the B6 image is one pass, every tile is one)
+ */
+function createProgress(cells, tiles = null) {
+  const total = cells * (tiles ?? 1);
+  const passStart = (tile) => (tile ? tile - 1 : 0) * cells;
+
+  return {
+    cell(tile, cell) {
+      post({ type: 'progress', stage: 'draw', done: passStart(tile) + cell, total, cell, cells, tile, tiles });
+    },
+    stage(stage, tile = null) {
+      const done = stage === 'write' ? total : passStart(tile) + (stage === 'encode' ? cells : 0);
+      post({ type: 'progress', stage, done, total, cell: null, cells, tile, tiles });
+    }
+  };
+}
+
+async function encodePng(canvas) {
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * B6 PNG (1512 × 2150 px at 300 DPI): drawn at 2x density and scaled down, with its provenance embedded
+ */
+async function renderB6({ session, stamp }) {
+  const { width, height } = PAPER_SIZES.B6;
+  const { cells } = recordCells(session, width, height, 1);
+  const progress = createProgress(cells.length);
+
+  const canvas = new OffscreenCanvas(width * 2, height * 2);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(2, 2);
+  cells.forEach((ops, i) => {
+    drawDisplayListToCanvas(ctx, ops);
+    progress.cell(null, i + 1);
+  });
+
+  progress.stage('encode');
+  const output = new OffscreenCanvas(width, height);
+  const outputCtx = output.getContext('2d');
+  outputCtx.imageSmoothingEnabled = true;
+  outputCtx.imageSmoothingQuality = 'high';
+  outputCtx.drawImage(canvas, 0, 0, width, height);
+
+  return addPngProvenance(await encodePng(output), createProvenance(session, { ...stamp, artifact: 'B6 png' }));
+}
+
+/**
+ * Print tiles, one tile per PDF page (layout from tiles.js, first page is the page map)
+ * spec.output 'vector' writes PDF paths; 'raster' draws each tile on its own canvas at spec.dpi,
+ * so no canvas ever holds the whole poster
+ */
+async function renderTiles({ session, stamp, spec }) {
+  const target = PAPER_SIZES[spec.targetSize];
+  const layout = computeTileLayout(target.width, target.height, spec);
+
+  // Poster in pixels at the tile resolution, scaled relative to the preview like every other render
+  const pxPerMm = spec.dpi / 25.4;
+  const width = Math.round(layout.posterWidth * pxPerMm);
+  const height = Math.round(layout.posterHeight * pxPerMm);
+  const scale = Math.max(width / CANVAS_WIDTH, height / CANVAS_HEIGHT);
+  const poster = { width, height, widthMm: layout.posterWidth, heightMm: layout.posterHeight };
+
+  // The vector recording also draws the page map in raster mode
+  const { ops, cells } = recordCells(session, width, height, scale);
+  const progress = createProgress(cells.length, layout.tiles.length);
+  const vector = createDisplayListDrawers(ops, poster, {
+    groups: cells,
+    onGroupDrawn: (tile, cell) => progress.cell(tile.index, cell)
+  });
+
+  const drawTile = spec.output === 'raster'
+    ? async (doc, tile, x, y, w, h) => {
+      const canvas = new OffscreenCanvas(Math.round(layout.tileWidth * pxPerMm), Math.round(layout.tileHeight * pxPerMm));
+      const ctx = canvas.getContext('2d');
+      const region = { x: tile.x * pxPerMm, y: tile.y * pxPerMm, width: canvas.width, height: canvas.height };
+      ctx.translate(-region.x, -region.y);
+      cells.forEach((group, i) => {
+        drawDisplayListToCanvas(ctx, cropDisplayList(group, region));
+        progress.cell(tile.index, i + 1);
+      });
+
+      progress.stage('encode', tile.index);
+      doc.image((await encodePng(canvas)).buffer, x, y, { width: w, height: h });
+    }
+    : vector.drawTile;
+
+  const provenance = createProvenance(session, { ...stamp, artifact: `${spec.targetSize} tiles ${spec.cols}x${spec.rows} ${layout.paper.name}` });
+  const doc = new PDFDocument({ autoFirstPage: false, info: toPdfInfo(provenance, session) });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', resolve));
+
+  await writeTilePages(doc, layout, spec, { drawPoster: vector.drawPoster, drawTile });
+
+  progress.stage('write');
+  doc.end();
+  await finished;
+
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+const JOBS = { b6: renderB6, tiles: renderTiles };
+
+self.onmessage = async ({ data }) => {
+  try {
+    // Drawing helpers read LEWITT_CONFIG directly, so the worker's copy follows the page's session config
+    Object.assign(LEWITT_CONFIG, data.config);
+    const session = createRenderSession(data.events, data.config);
+
+    const stamp = { source: data.source, sourceSha256: data.sourceSha256 };
+    const bytes = await JOBS[data.job]({ session, stamp, spec: data.spec });
+    post({ type: 'done', bytes: bytes.buffer }, [bytes.buffer]);
+  } catch (error) {
+    post({ type: 'error', message: error.message });
+  }
+};
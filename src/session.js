@@ -0,0 +1,67 @@
+/**
+ * Render Session Module
+ * A render session fixes everything a drawing depends on: the seed, a copy of the config and
+ * a content hash of the input log. The preview and every export draw from the same session,
+ * so the PNG, SVG, PDF, time-lapse and instructions all describe one drawing
+ */
+
+import { DEFAULT_SEED } from './config.js';
+
+/**
+ * 53-bit content hash of a string (cyrb53), as 14 hex digits
+ */
+export function hashContent(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Content hash of a log: its raw entries in order (normalized events keep them in `raw`)
+ */
+export function hashLog(events) {
+  return hashContent(events.map(e => JSON.stringify(e.raw ?? e)).join('\n'));
+}
+
+/**
+ * Freeze an object and everything it holds
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+/**
+ * Create the render session for a log and a config
+ * Seed 0 means DEFAULT_SEED, never the clock. The session holds a deep-frozen copy of the events, so drawing
+ * cannot change them and the caller's events are left as they are. The session date (PDF CreationDate) is
+ * the log's last timestamp
+ * @returns {{ id: string, seed: number, config: object, configHash: string, logHash: string, events: object[], date: Date }}
+ */
+export function createRenderSession(events, config) {
+  const seed = config.seed || DEFAULT_SEED;
+  const sessionConfig = { ...structuredClone(config), seed };
+  const configHash = hashContent(JSON.stringify(sessionConfig));
+  const logHash = hashLog(events);
+  const lastTs = events.reduce((max, e) => (Number.isFinite(e.ts) ? Math.max(max, e.ts) : max), 0);
+
+  return Object.freeze({
+    id: `${logHash}-${configHash}`,
+    seed,
+    config: sessionConfig,
+    configHash,
+    logHash,
+    events: deepFreeze(structuredClone(events)),
+    date: new Date(lastTs)
+  });
+}
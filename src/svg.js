@@ -0,0 +1,134 @@
+/**
+ * SVG Export Module
+ * Serializes a recorded display list (see recorder.js) into an SVG document
+ * measured in real-world millimetres
+ */
+
+import { DPI } from './config.js';
+import { toSvgMetadata } from './provenance.js';
+
+/**
+ * Format a number for SVG output (max 3 decimals, no trailing zeros)
+ */
+function fmt(n) {
+  return String(+n.toFixed(3));
+}
+
+/**
+ * Convert a recorded color to SVG color + opacity attributes
+ */
+function colorAttrs(color, kind) {
+  const rgb = `rgb(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)})`;
+  const opacity = fmt(color.a / 255);
+  return opacity === '1'
+    ? `${kind}="${rgb}"`
+    : `${kind}="${rgb}" ${kind}-opacity="${opacity}"`;
+}
+
+/**
+ * Escape text content for XML
+ */
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// p5 text alignment -> SVG text-anchor / dominant-baseline
+const TEXT_ANCHOR = { left: 'start', center: 'middle', right: 'end' };
+const TEXT_BASELINE = { top: 'hanging', center: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+
+/**
+ * Style key used to merge consecutive lines into a single path
+ */
+function lineStyleKey(op) {
+  const { r, g, b, a } = op.stroke;
+  return `${r},${g},${b},${a}|${op.weight}|${op.cap}`;
+}
+
+/**
+ * Resolve the physical size (mm) of a paper entry
+ * Falls back to the pixel size at DPI for custom sizes without mm values
+ */
+export function getPaperSizeMm(paper) {
+  return {
+    width: paper.widthMm ?? paper.width * 25.4 / DPI,
+    height: paper.heightMm ?? paper.height * 25.4 / DPI
+  };
+}
+
+/**
+ * Convert a display list into an SVG document string
+ * @param ops - Display list from RecordingGraphics
+ * @param paper - { width, height } in pixels, optionally { widthMm, heightMm }
+ * @param provenance - Optional record (see provenance.js), written as <metadata>
+ */
+export function displayListToSvg(ops, paper, provenance = null) {
+  const mm = getPaperSizeMm(paper);
+  const sx = mm.width / paper.width;
+  const sy = mm.height / paper.height;
+
+  const body = [];
+  let run = null; // Current run of lines sharing a style
+
+  const flushRun = () => {
+    if (!run) return;
+    const { op, segments } = run;
+    body.push(
+      `<path d="${segments.join('')}" fill="none" ${colorAttrs(op.stroke, 'stroke')} ` +
+      `stroke-width="${fmt(op.weight * sx)}" stroke-linecap="${op.cap}"/>`
+    );
+    run = null;
+  };
+
+  for (const op of ops) {
+    if (op.type === 'line') {
+      const key = lineStyleKey(op);
+      if (!run || run.key !== key) {
+        flushRun();
+        run = { key, op, segments: [] };
+      }
+      run.segments.push(`M${fmt(op.x1 * sx)} ${fmt(op.y1 * sy)}L${fmt(op.x2 * sx)} ${fmt(op.y2 * sy)}`);
+      continue;
+    }
+
+    flushRun();
+
+    const fill = op.fill ? colorAttrs(op.fill, 'fill') : 'fill="none"';
+    const stroke = op.stroke
+      ? `${colorAttrs(op.stroke, 'stroke')} stroke-width="${fmt(op.weight * sx)}"`
+      : '';
+
+    switch (op.type) {
+      case 'background':
+        body.push(`<rect x="0" y="0" width="${fmt(mm.width)}" height="${fmt(mm.height)}" ${fill}/>`);
+        break;
+      case 'rect':
+        body.push(
+          `<rect x="${fmt(op.x * sx)}" y="${fmt(op.y * sy)}" width="${fmt(op.w * sx)}" height="${fmt(op.h * sy)}" ${fill} ${stroke}/>`
+        );
+        break;
+      case 'ellipse':
+        if (op.w === op.h) {
+          body.push(`<circle cx="${fmt(op.x * sx)}" cy="${fmt(op.y * sy)}" r="${fmt(op.w / 2 * sx)}" ${fill} ${stroke}/>`);
+        } else {
+          body.push(
+            `<ellipse cx="${fmt(op.x * sx)}" cy="${fmt(op.y * sy)}" rx="${fmt(op.w / 2 * sx)}" ry="${fmt(op.h / 2 * sy)}" ${fill} ${stroke}/>`
+          );
+        }
+        break;
+      case 'text':
+        body.push(
+          `<text x="${fmt(op.x * sx)}" y="${fmt(op.y * sy)}" font-family="sans-serif" font-size="${fmt(op.size * sy)}" ` +
+          `text-anchor="${TEXT_ANCHOR[op.align] || 'start'}" dominant-baseline="${TEXT_BASELINE[op.baseline] || 'alphabetic'}" ` +
+          `${fill}>${escapeXml(op.text)}</text>`
+        );
+        break;
+    }
+  }
+  flushRun();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(mm.width)}mm" height="${fmt(mm.height)}mm" viewBox="0 0 ${fmt(mm.width)} ${fmt(mm.height)}">
+${provenance ? toSvgMetadata(provenance) + '\n' : ''}${body.join('\n')}
+</svg>
+`;
+}
@@ -0,0 +1,323 @@
+/**
+ * Tile Layout Module
+ * Splits a poster into sheets for printing, one tile per PDF page, with optional overlap for gluing,
+ * crop / registration marks and a page map as the first page.
+ * Shared by the browser tile export, render-craftlog.js --tiles and split-image.js;
+ * pages are drawn on a PDFKit document, so it works with PDFKit in Node and its standalone browser build
+ */
+
+import { resolvePaperMm } from './paper.js';
+import { PT_PER_MM, getPaperSizePt, drawDisplayListToPdf } from './pdf.js';
+import { cropDisplayList } from './recorder.js';
+
+export const TILE_FITS = ['contain', 'cover', 'fill'];
+export const TILE_MARKS = ['crop', 'registration'];
+
+// Mark sizes (mm)
+const MARK_OFFSET_MM = 2;
+const MARK_MAX_LENGTH_MM = 8;
+const MIN_MARK_MARGIN_MM = 5;
+
+/**
+ * Check a tiling spec, throwing on the first invalid field
+ * @param spec - { paper, orientation, cols, rows, overlapMm, marginMm, marks, fit }
+ */
+export function validateTileSpec(spec) {
+  resolvePaperMm(spec.paper, spec.orientation);
+
+  if (!(spec.cols >= 1 && spec.rows >= 1)) {
+    throw new Error(`Tile counts must be at least 1 (cols: ${spec.cols}, rows: ${spec.rows})`);
+  }
+  if (!(spec.overlapMm >= 0 && spec.marginMm >= 0)) {
+    throw new Error(`Overlap and margin must be 0 or more (overlap: ${spec.overlapMm}, margin: ${spec.marginMm})`);
+  }
+  if (!TILE_FITS.includes(spec.fit)) {
+    throw new Error(`Unknown fit: ${spec.fit} (available: ${TILE_FITS.join(', ')})`);
+  }
+  for (const mark of spec.marks) {
+    if (!TILE_MARKS.includes(mark)) {
+      throw new Error(`Unknown mark: ${mark} (available: ${TILE_MARKS.join(', ')})`);
+    }
+  }
+  return spec;
+}
+
+/**
+ * Lay out the tiles in millimetres
+ * Each tile fits the printable area of its sheet and overlaps its neighbours by overlapMm.
+ * With fit 'contain' the tiles shrink to the content's aspect ratio, so the poster has no white bars
+ * @param contentWidth, contentHeight - Size of the artwork in any unit (only the ratio is used)
+ */
+export function computeTileLayout(contentWidth, contentHeight, spec) {
+  const paper = resolvePaperMm(spec.paper, spec.orientation);
+  const { cols, rows, overlapMm: overlap, marginMm: margin } = spec;
+
+  const printableWidth = paper.width - 2 * margin;
+  const printableHeight = paper.height - 2 * margin;
+  if (printableWidth <= overlap || printableHeight <= overlap) {
+    throw new Error(`Margin and overlap leave no room for the tile (printable area ${printableWidth} x ${printableHeight} mm)`);
+  }
+
+  // Poster size with the largest possible tiles
+  const maxWidth = cols * printableWidth - (cols - 1) * overlap;
+  const maxHeight = rows * printableHeight - (rows - 1) * overlap;
+
+  let posterWidth = maxWidth;
+  let posterHeight = maxHeight;
+  if (spec.fit === 'contain') {
+    const aspect = contentWidth / contentHeight;
+    if (maxWidth / maxHeight > aspect) {
+      posterWidth = maxHeight * aspect;
+    } else {
+      posterHeight = maxWidth / aspect;
+    }
+  }
+
+  const tileWidth = (posterWidth + (cols - 1) * overlap) / cols;
+  const tileHeight = (posterHeight + (rows - 1) * overlap) / rows;
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = col * (tileWidth - overlap);
+      const y = row * (tileHeight - overlap);
+      tiles.push({
+        index: tiles.length + 1,
+        row,
+        col,
+        // Position on the poster
+        x,
+        y,
+        // Part left visible after gluing (the left / top overlap is cut off and laid over the previous tile)
+        trim: {
+          x: col > 0 ? x + overlap : x,
+          y: row > 0 ? y + overlap : y,
+          right: x + tileWidth,
+          bottom: y + tileHeight
+        }
+      });
+    }
+  }
+
+  return {
+    paper,
+    posterWidth,
+    posterHeight,
+    tileWidth,
+    tileHeight,
+    // Tile position on its sheet (centred)
+    offsetX: (paper.width - tileWidth) / 2,
+    offsetY: (paper.height - tileHeight) / 2,
+    tiles
+  };
+}
+
+/**
+ * Crop marks: the trim lines extended into the margin outside the tile
+ */
+function drawCropMarks(doc, layout, tile, length) {
+  const { offsetX, offsetY, tileWidth, tileHeight } = layout;
+  const gap = MARK_OFFSET_MM;
+
+  // Trim lines on the sheet
+  const left = offsetX + tile.trim.x - tile.x;
+  const right = offsetX + tile.trim.right - tile.x;
+  const top = offsetY + tile.trim.y - tile.y;
+  const bottom = offsetY + tile.trim.bottom - tile.y;
+  const imageRight = offsetX + tileWidth;
+  const imageBottom = offsetY + tileHeight;
+
+  const line = (x1, y1, x2, y2) => doc.moveTo(x1 * PT_PER_MM, y1 * PT_PER_MM).lineTo(x2 * PT_PER_MM, y2 * PT_PER_MM);
+
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  for (const x of [left, right]) {
+    line(x, offsetY - gap, x, offsetY - gap - length);
+    line(x, imageBottom + gap, x, imageBottom + gap + length);
+  }
+  for (const y of [top, bottom]) {
+    line(offsetX - gap, y, offsetX - gap - length, y);
+    line(imageRight + gap, y, imageRight + gap + length, y);
+  }
+  doc.stroke().restore();
+}
+
+/**
+ * One registration mark (circle and cross)
+ */
+function drawRegistrationMark(doc, x, y, radius) {
+  const cx = x * PT_PER_MM;
+  const cy = y * PT_PER_MM;
+  const r = radius * PT_PER_MM;
+
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  doc.circle(cx, cy, r * 0.6).stroke();
+  doc.moveTo(cx - r, cy).lineTo(cx + r, cy).moveTo(cx, cy - r).lineTo(cx, cy + r).stroke();
+  doc.restore();
+}
+
+/**
+ * Registration marks in the margin, on the centre line of every overlap
+ * Neighbouring tiles print them at the same poster position, so they line up when the sheets are laid over each other
+ */
+function drawRegistrationMarks(doc, layout, tile, spec, radius) {
+  const { offsetX, offsetY, tileWidth, tileHeight } = layout;
+  const { cols, rows, overlapMm: overlap } = spec;
+  const distance = MARK_OFFSET_MM + radius;
+
+  // Vertical joins (left / right neighbours): above and below the tile
+  const columnJoins = [];
+  if (tile.col > 0) columnJoins.push(overlap / 2);
+  if (tile.col < cols - 1) columnJoins.push(tileWidth - overlap / 2);
+  for (const x of columnJoins) {
+    drawRegistrationMark(doc, offsetX + x, offsetY - distance, radius);
+    drawRegistrationMark(doc, offsetX + x, offsetY + tileHeight + distance, radius);
+  }
+
+  // Horizontal joins (top / bottom neighbours): left and right of the tile
+  const rowJoins = [];
+  if (tile.row > 0) rowJoins.push(overlap / 2);
+  if (tile.row < rows - 1) rowJoins.push(tileHeight - overlap / 2);
+  for (const y of rowJoins) {
+    drawRegistrationMark(doc, offsetX - distance, offsetY + y, radius);
+    drawRegistrationMark(doc, offsetX + tileWidth + distance, offsetY + y, radius);
+  }
+}
+
+/**
+ * Marks that fit the margin; returns which marks are drawn and the mark length
+ */
+function getMarkPlan(spec) {
+  const minMargin = MIN_MARK_MARGIN_MM + MARK_OFFSET_MM;
+  if (spec.marks.length === 0 || spec.marginMm < minMargin) {
+    return { marks: [], length: 0, skipped: spec.marks.length > 0 };
+  }
+  return { marks: spec.marks, length: Math.min(MARK_MAX_LENGTH_MM, spec.marginMm - MARK_OFFSET_MM * 2), skipped: false };
+}
+
+/**
+ * First page: the whole poster scaled down with every tile outlined and numbered
+ * @param drawPoster - async (doc, x, y, width, height) in points, draws the artwork
+ */
+async function drawPageMap(doc, layout, spec, drawPoster) {
+  const { paper, posterWidth, posterHeight, tileWidth, tileHeight, tiles } = layout;
+  const margin = Math.max(spec.marginMm, 10);
+  const header = 22;
+
+  doc.font('Helvetica').fontSize(14).fillColor('#000000')
+    .text('Page map', margin * PT_PER_MM, margin * PT_PER_MM, { lineBreak: false });
+  doc.fontSize(8).fillColor('#444444')
+    .text(
+      `Poster ${posterWidth.toFixed(0)} x ${posterHeight.toFixed(0)} mm, ${spec.cols} x ${spec.rows} tiles on ${paper.name} ${spec.orientation}, overlap ${spec.overlapMm} mm, fit ${spec.fit}. Tile n is on page n + 1.`,
+      margin * PT_PER_MM, (margin + 8) * PT_PER_MM, { lineBreak: false }
+    );
+
+  // Fit the poster below the header
+  const areaWidth = paper.width - 2 * margin;
+  const areaHeight = paper.height - 2 * margin - header;
+  const scale = Math.min(areaWidth / posterWidth, areaHeight / posterHeight);
+  const originX = (margin + (areaWidth - posterWidth * scale) / 2) * PT_PER_MM;
+  const originY = (margin + header) * PT_PER_MM;
+  const toPt = (v) => v * scale * PT_PER_MM;
+
+  doc.save();
+  doc.rect(originX, originY, toPt(posterWidth), toPt(posterHeight)).clip();
+  await drawPoster(doc, originX, originY, toPt(posterWidth), toPt(posterHeight));
+  doc.restore();
+
+  for (const tile of tiles) {
+    doc.save().lineWidth(0.75).strokeColor('#1e5ac8')
+      .rect(originX + toPt(tile.x), originY + toPt(tile.y), toPt(tileWidth), toPt(tileHeight))
+      .stroke().restore();
+
+    // Number at the centre of the part that stays visible
+    const cx = originX + toPt((tile.trim.x + tile.trim.right) / 2);
+    const cy = originY + toPt((tile.trim.y + tile.trim.bottom) / 2);
+    doc.fontSize(12).fillColor('#1e5ac8')
+      .text(String(tile.index), cx - 20, cy - 6, { width: 40, align: 'center', lineBreak: false });
+  }
+}
+
+/**
+ * Write the page map and one page per tile onto a PDFKit document created with autoFirstPage: false
+ * @param drawPoster - async (doc, x, y, width, height) in points, draws the whole artwork (page map)
+ * @param drawTile - async (doc, tile, x, y, width, height) in points, draws the artwork of one tile
+ * @param progressCallback - (current, total) after each tile
+ * @returns {{ marks: string[], marksSkipped: boolean }} marks drawn (skipped when the margin is too small)
+ */
+export async function writeTilePages(doc, layout, spec, { drawPoster, drawTile }, progressCallback) {
+  const { paper, tiles, offsetX, offsetY, tileWidth, tileHeight } = layout;
+  const markPlan = getMarkPlan(spec);
+  const pageSize = [paper.width * PT_PER_MM, paper.height * PT_PER_MM];
+
+  doc.addPage({ size: pageSize, margin: 0 });
+  await drawPageMap(doc, layout, spec, drawPoster);
+
+  for (const tile of tiles) {
+    doc.addPage({ size: pageSize, margin: 0 });
+
+    const x = offsetX * PT_PER_MM;
+    const y = offsetY * PT_PER_MM;
+    const width = tileWidth * PT_PER_MM;
+    const height = tileHeight * PT_PER_MM;
+    doc.save();
+    doc.rect(x, y, width, height).clip();
+    await drawTile(doc, tile, x, y, width, height);
+    doc.restore();
+
+    if (markPlan.marks.includes('crop')) drawCropMarks(doc, layout, tile, markPlan.length);
+    if (markPlan.marks.includes('registration')) drawRegistrationMarks(doc, layout, tile, spec, markPlan.length / 2);
+
+    // Page label in the bottom margin (full-bleed sheets have none)
+    if (spec.marginMm >= MIN_MARK_MARGIN_MM) {
+      doc.font('Helvetica').fontSize(7).fillColor('#999999')
+        .text(
+          `${tile.index}/${tiles.length} (row:${tile.row + 1}, col:${tile.col + 1})`,
+          x,
+          (paper.height - Math.min(spec.marginMm, 10) / 2) * PT_PER_MM - 4,
+          { lineBreak: false }
+        );
+    }
+
+    if (progressCallback) {
+      progressCallback(tile.index, tiles.length);
+    }
+  }
+
+  return { marks: markPlan.marks, marksSkipped: markPlan.skipped };
+}
+
+/**
+ * writeTilePages drawers for a recorded display list drawn at poster size (vector tiles)
+ * Each tile page only carries the ops that reach into the tile
+ * @param paper - { width, height } of the display list in pixels, with { widthMm, heightMm } of the poster
+ * @param options - { groups, onGroupDrawn }: tiles draw the ops group by group (e.g. one group per cell, in order)
+ *   and call onGroupDrawn(tile, drawn, groups.length) after each, for progress while a page is written
+ */
+export function createDisplayListDrawers(ops, paper, { groups = [ops], onGroupDrawn = null } = {}) {
+  const pt = getPaperSizePt(paper);
+  const pxPerPt = paper.width / pt.width;
+
+  return {
+    drawPoster(doc, x, y, width) {
+      doc.save();
+      doc.translate(x, y);
+      doc.scale(width / pt.width);
+      drawDisplayListToPdf(doc, ops, paper);
+      doc.restore();
+    },
+
+    drawTile(doc, tile, x, y, width, height) {
+      const left = tile.x * PT_PER_MM;
+      const top = tile.y * PT_PER_MM;
+      const region = { x: left * pxPerPt, y: top * pxPerPt, width: width * pxPerPt, height: height * pxPerPt };
+
+      doc.save();
+      doc.translate(x - left, y - top);
+      groups.forEach((group, i) => {
+        drawDisplayListToPdf(doc, cropDisplayList(group, region), paper);
+        if (onGroupDrawn) onGroupDrawn(tile, i + 1, groups.length);
+      });
+      doc.restore();
+    }
+  };
+}
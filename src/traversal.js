@@ -0,0 +1,184 @@
+/**
+ * Cell Traversal Module
+ * Orders in which grid cells are visited, so time-adjacent events stay spatially adjacent in different ways
+ */
+
+// Traversal names and their descriptions (used in instructions.txt)
+export const TRAVERSALS = {
+  rows: 'Rows: left to right, rows top to bottom (reading order)',
+  serpentine: 'Row serpentine (boustrophedon): rows top to bottom, alternating left→right and right→left',
+  column_serpentine: 'Column serpentine: columns left to right, alternating top→bottom and bottom→top',
+  spiral: 'Inward spiral: clockwise from the top-left corner toward the center',
+  hilbert: 'Hilbert curve (generalized to rectangles): every step moves to an edge-adjacent cell',
+  diagonal: 'Diagonal serpentine: anti-diagonals from the top-left corner, alternating direction'
+};
+
+/**
+ * Reading order: every row left to right
+ */
+function rowsOrder(cols, rows) {
+  const order = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      order.push({ col, row });
+    }
+  }
+  return order;
+}
+
+/**
+ * Row serpentine: even rows left to right, odd rows right to left
+ */
+function serpentineOrder(cols, rows) {
+  const order = [];
+  for (let row = 0; row < rows; row++) {
+    for (let colIdx = 0; colIdx < cols; colIdx++) {
+      const col = row % 2 === 0 ? colIdx : (cols - 1 - colIdx);
+      order.push({ col, row });
+    }
+  }
+  return order;
+}
+
+/**
+ * Column serpentine: even columns top to bottom, odd columns bottom to top
+ */
+function columnSerpentineOrder(cols, rows) {
+  const order = [];
+  for (let col = 0; col < cols; col++) {
+    for (let rowIdx = 0; rowIdx < rows; rowIdx++) {
+      const row = col % 2 === 0 ? rowIdx : (rows - 1 - rowIdx);
+      order.push({ col, row });
+    }
+  }
+  return order;
+}
+
+/**
+ * Inward spiral, clockwise from the top-left corner
+ */
+function spiralOrder(cols, rows) {
+  const order = [];
+  let top = 0, bottom = rows - 1, left = 0, right = cols - 1;
+
+  while (top <= bottom && left <= right) {
+    for (let col = left; col <= right; col++) order.push({ col, row: top });
+    for (let row = top + 1; row <= bottom; row++) order.push({ col: right, row });
+    if (top < bottom) {
+      for (let col = right - 1; col >= left; col--) order.push({ col, row: bottom });
+    }
+    if (left < right) {
+      for (let row = bottom - 1; row > top; row--) order.push({ col: left, row });
+    }
+    top++;
+    bottom--;
+    left++;
+    right--;
+  }
+
+  return order;
+}
+
+/**
+ * Diagonal serpentine: anti-diagonals (col + row = d), alternating direction
+ */
+function diagonalOrder(cols, rows) {
+  const order = [];
+  for (let d = 0; d <= cols + rows - 2; d++) {
+    const diagonal = [];
+    for (let row = Math.max(0, d - cols + 1); row <= Math.min(rows - 1, d); row++) {
+      diagonal.push({ col: d - row, row });
+    }
+    // Even diagonals run bottom-left → top-right, odd ones top-right → bottom-left
+    if (d % 2 === 0) diagonal.reverse();
+    order.push(...diagonal);
+  }
+  return order;
+}
+
+/**
+ * Generalized Hilbert curve ("gilbert") for arbitrary rectangles
+ * Based on the recursive construction by Jakub Červený; every step moves to an edge-adjacent cell
+ */
+function hilbertOrder(cols, rows) {
+  const order = [];
+  const sign = v => (v > 0 ? 1 : v < 0 ? -1 : 0);
+
+  function generate(x, y, ax, ay, bx, by) {
+    const w = Math.abs(ax + ay);
+    const h = Math.abs(bx + by);
+    const dax = sign(ax), day = sign(ay); // major direction
+    const dbx = sign(bx), dby = sign(by); // orthogonal direction
+
+    if (h === 1) {
+      for (let i = 0; i < w; i++) {
+        order.push({ col: x, row: y });
+        x += dax;
+        y += day;
+      }
+      return;
+    }
+    if (w === 1) {
+      for (let i = 0; i < h; i++) {
+        order.push({ col: x, row: y });
+        x += dbx;
+        y += dby;
+      }
+      return;
+    }
+
+    let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2);
+    let bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+    const w2 = Math.abs(ax2 + ay2);
+    const h2 = Math.abs(bx2 + by2);
+
+    if (2 * w > 3 * h) {
+      // Long case: split in two along the major direction
+      if (w2 % 2 && w > 2) {
+        ax2 += dax;
+        ay2 += day;
+      }
+      generate(x, y, ax2, ay2, bx, by);
+      generate(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by);
+    } else {
+      // Standard case: one step up, one long horizontal, one step down
+      if (h2 % 2 && h > 2) {
+        bx2 += dbx;
+        by2 += dby;
+      }
+      generate(x, y, bx2, by2, ax2, ay2);
+      generate(x + bx2, y + by2, ax, ay, bx - bx2, by - by2);
+      generate(
+        x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby),
+        -bx2, -by2, -(ax - ax2), -(ay - ay2)
+      );
+    }
+  }
+
+  // The curve runs from one corner to the next along its major side. With edge steps only, that works when the
+  // side is even or both sides are odd, so an odd long side with an even short side (5 × 4) starts along the short side
+  const [long, short] = cols >= rows ? [cols, rows] : [rows, cols];
+  const alongLong = !(long % 2 === 1 && short % 2 === 0);
+  if ((cols >= rows) === alongLong) {
+    generate(0, 0, cols, 0, 0, rows);
+  } else {
+    generate(0, 0, 0, rows, cols, 0);
+  }
+  return order;
+}
+
+/**
+ * Get the visiting order of all cells in a cols × rows grid
+ * Unknown traversal names fall back to 'serpentine'
+ * @returns {Array<{ col: number, row: number }>}
+ */
+export function getCellOrder(cols, rows, traversal = 'serpentine') {
+  switch (traversal) {
+    case 'rows': return rowsOrder(cols, rows);
+    case 'column_serpentine': return columnSerpentineOrder(cols, rows);
+    case 'spiral': return spiralOrder(cols, rows);
+    case 'hilbert': return hilbertOrder(cols, rows);
+    case 'diagonal': return diagonalOrder(cols, rows);
+    default: return serpentineOrder(cols, rows);
+  }
+}
@@ -1,12 +1,28 @@
-import { colors, CANVAS_WIDTH, CANVAS_HEIGHT, sizes, CURRENT_PAPER_SIZE, SCALE_FACTOR, TILE_CONFIG, PAPER_SIZES, LEWITT_CONFIG } from './config.js';
+import { colors, CANVAS_WIDTH, CANVAS_HEIGHT, sizes, CURRENT_PAPER_SIZE, SCALE_FACTOR, TILE_CONFIG, PAPER_SIZES, LEWITT_CONFIG, PLOTTER_CONFIG, ANIMATION_CONFIG } from './config.js';
 import { parseJsonl, generateSummary, generateInstructions } from './helpers.js';
-import { drawLeWittGrid, prepareEvents, calculateGridSize } from './lewitt.js';
+import { parseJsonlEntries, mergeEntries, toJsonl } from './merge.js';
+import { drawLeWittGrid } from './lewitt.js';
+import './presets/index.js';
+import { RecordingGraphics } from './recorder.js';
+import { displayListToSvg } from './svg.js';
+import { preparePlot, toHpgl, toGcode } from './plotter.js';
+import { planAnimation, drawAnimationFrame, getFrameFileName, toFfconcat } from './animation.js';
+import { createRenderSession } from './session.js';
+import { createProvenance, sha256Hex, addPngProvenance, addGifProvenance, toProvenanceSidecar } from './provenance.js';
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
 
 // State
 let events = [];
 let warnings = [];
 let sessionId = '';
 let summary = null;
+let previewResult = null;
+const previewListeners = [];
+let session = null;
+let sessionConfigKey = '';
+let sessionSource = null; // events array the session was copied from
+let logSource = null;
+let logSourceSha256 = null; // SHA-256 of each source file's bytes, in the order of logSource
 
 // Exported events for tile rendering
 export function getEvents() {
@@ -21,27 +37,159 @@ export function getSessionId() {
   return sessionId;
 }
 
+/**
+ * The render session for the loaded log and the current LEWITT_CONFIG (see session.js)
+ * Kept while neither changes, so the preview and every export draw the same figure
+ */
+export function getRenderSession() {
+  const configKey = JSON.stringify(LEWITT_CONFIG);
+  if (!session || sessionSource !== events || configKey !== sessionConfigKey) {
+    session = createRenderSession(events, LEWITT_CONFIG);
+    sessionSource = events;
+    sessionConfigKey = configKey;
+  }
+  return session;
+}
+
+/**
+ * Provenance record for an exported file (see provenance.js), rendered now from the current session
+ * @param artifact - What the file is, e.g. 'B6 png'
+ */
+function getProvenance(renderSession, artifact) {
+  return createProvenance(renderSession, { artifact, source: logSource, sourceSha256: logSourceSha256 });
+}
+
+/**
+ * Register a callback for every preview redraw (receives the drawLeWittGrid result)
+ */
+export function onPreviewDrawn(listener) {
+  previewListeners.push(listener);
+  if (previewResult) listener(previewResult);
+}
+
+/**
+ * Find the preview cell at a canvas position
+ * @returns {object|null} Cell entry from drawLeWittGrid (rectangle, event, aiPromptLength)
+ */
+export function getCellAt(x, y) {
+  if (!previewResult) return null;
+  return previewResult.cells.find(cell =>
+    x >= cell.x && x < cell.x + cell.w && y >= cell.y && y < cell.y + cell.h
+  ) || null;
+}
+
+/**
+ * Replace the loaded events with parsed JSONL data
+ * @param extraWarnings - Warnings from earlier steps (e.g. merging several files)
+ */
+function setParsedData(parsed, extraWarnings = []) {
+  events = parsed.events;
+  warnings = [...extraWarnings, ...parsed.warnings];
+  sessionId = parsed.sessionId;
+
+  // Generate summary
+  summary = generateSummary(events, sessionId);
+
+  console.log(`Loaded ${events.length} events (${warnings.length} warnings)`);
+  if (warnings.length > 0) {
+    console.warn('Parse warnings:', warnings);
+  }
+}
+
+export function getWarnings() {
+  return warnings;
+}
+
 /**
  * Load JSONL data before p5 initialization
+ * @returns {Promise<{ source: string, error: string|null }>}
  */
 export async function loadData() {
+  const source = '/.craftlog/merged.jsonl';
   try {
-    const response = await fetch('/.craftlog/merged.jsonl');
-    const jsonlText = await response.text();
-    const parsed = parseJsonl(jsonlText);
-    events = parsed.events;
-    warnings = parsed.warnings;
-    sessionId = parsed.sessionId;
-
-    // Generate summary
-    summary = generateSummary(events, sessionId);
-
-    console.log(`Loaded ${events.length} events (${warnings.length} warnings)`);
-    if (warnings.length > 0) {
-      console.warn('Parse warnings:', warnings);
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    setParsedData(parseJsonl(new TextDecoder().decode(bytes)));
+    logSource = source;
+    logSourceSha256 = [await sha256Hex(bytes)];
+    return { source, error: null };
   } catch (error) {
     console.error('Failed to load JSONL:', error);
+    return { source, error: error.message };
+  }
+}
+
+/**
+ * Replace the events with raw JSONL lines (live mode snapshot)
+ */
+export function setLines(lines) {
+  setParsedData(parseJsonl(lines.join('\n')));
+  logSource = 'live';
+  // A stream has no file to hash; the log hash still identifies the entries
+  logSourceSha256 = null;
+}
+
+/**
+ * Append raw JSONL lines to the loaded events (live mode)
+ * @returns {number} Number of events added
+ */
+export function appendLines(lines) {
+  const parsed = parseJsonl(lines.join('\n'));
+  events = events.concat(parsed.events);
+  warnings = warnings.concat(parsed.warnings);
+  sessionId = sessionId || parsed.sessionId;
+  summary = generateSummary(events, sessionId);
+  return parsed.events.length;
+}
+
+/**
+ * Load craftlog files picked or dropped in the page
+ * A single file is used as-is; several files are merged with the same rules as merge-craftlog.js
+ * (merged.jsonl first, then session files by name)
+ * @param files - File objects (.jsonl)
+ * @returns {Promise<{ source: string, error: string|null }>}
+ */
+export async function loadFiles(files) {
+  const sorted = [...files].sort((a, b) => {
+    if (a.name === 'merged.jsonl') return -1;
+    if (b.name === 'merged.jsonl') return 1;
+    return a.name.localeCompare(b.name);
+  });
+  const source = sorted.map(f => f.name).join(', ');
+
+  try {
+    const contents = await Promise.all(sorted.map(async file => new Uint8Array(await file.arrayBuffer())));
+    const sourceSha256 = await Promise.all(contents.map(sha256Hex));
+    const texts = contents.map(bytes => new TextDecoder().decode(bytes));
+
+    if (sorted.length === 1) {
+      const parsed = parseJsonl(texts[0]);
+      setParsedData({ ...parsed, warnings: parsed.warnings.map(w => `${sorted[0].name} ${w}`) });
+      logSource = source;
+      logSourceSha256 = sourceSha256;
+      return { source, error: null };
+    }
+
+    const allEntries = [];
+    const mergeWarnings = [];
+    sorted.forEach((file, i) => {
+      const { entries, warnings: fileWarnings } = parseJsonlEntries(texts[i], file.name);
+      allEntries.push(...entries);
+      mergeWarnings.push(...fileWarnings);
+    });
+
+    const { entries, duplicateCount } = mergeEntries(allEntries);
+    console.log(`Merged ${sorted.length} files: ${entries.length} entries (removed ${duplicateCount} duplicates)`);
+    setParsedData(parseJsonl(toJsonl(entries)), mergeWarnings);
+    logSource = source;
+    logSourceSha256 = sourceSha256;
+    return { source, error: null };
+  } catch (error) {
+    console.error('Failed to load files:', error);
+    return { source, error: error.message };
   }
 }
 
@@ -49,170 +197,302 @@ export async function loadData() {
  * Main p5.js sketch factory (instance mode) - LeWitt style
  */
 export function createVisualization(p) {
-  let drawResult = null;
-
   p.setup = function() {
     p.createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
     p.pixelDensity(1);
     p.noLoop();
+  };
 
-    // Set random seeds
-    const seed = LEWITT_CONFIG.seed || Date.now();
+  p.draw = function() {
+    const { seed, events: sessionEvents, config } = getRenderSession();
+
+    // p5's own random sources follow the session seed too
     p.randomSeed(seed);
     p.noiseSeed(seed);
-  };
 
-  p.draw = function() {
     p.background(colors.background);
 
     // Draw LeWitt grid
-    drawResult = drawLeWittGrid(p, events, CANVAS_WIDTH, CANVAS_HEIGHT, LEWITT_CONFIG);
+    previewResult = drawLeWittGrid(p, sessionEvents, CANVAS_WIDTH, CANVAS_HEIGHT, config);
+    previewListeners.forEach(listener => listener(previewResult));
 
-    console.log(`Drew grid: ${drawResult.gridSize}x${drawResult.gridSize}, ${drawResult.eventCount} events, seed: ${drawResult.seed}`);
+    console.log(`Drew grid: ${previewResult.cols}x${previewResult.rows}, ${previewResult.eventCount} events, seed: ${previewResult.seed}`);
   };
 }
 
 /**
- * Render 8 B4 tiles and combine them into a B1-sized image using LeWitt style
- * Returns a promise that resolves to the combined canvas
+ * Run a render job in its own worker (see render-worker.js) on the current render session
+ * @param job - 'b6' | 'tiles'
+ * @param spec - TILE_CONFIG for 'tiles'
+ * @param onProgress - Called with each progress message (stage, done / total cells, cell, tile)
+ * @param signal - AbortSignal; aborting terminates the worker and rejects with signal.reason (an AbortError)
+ * @returns {Promise<Uint8Array>} the file
  */
-export async function renderB1Tiles(p, progressCallback) {
-  const { cols, rows, tileWidth, tileHeight, finalWidth, finalHeight } = TILE_CONFIG;
+function runRenderJob(job, spec, { onProgress, signal } = {}) {
+  const renderSession = getRenderSession();
+  const message = { job, events: renderSession.events, config: renderSession.config, source: logSource, sourceSha256: logSourceSha256, spec };
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
 
-  // Create the final combined canvas
-  const finalCanvas = document.createElement('canvas');
-  finalCanvas.width = finalWidth;
-  finalCanvas.height = finalHeight;
-  const finalCtx = finalCanvas.getContext('2d');
+    const worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+    const abort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', abort);
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data);
+        return;
+      }
+      finish();
+      if (data.type === 'done') {
+        resolve(new Uint8Array(data.bytes));
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (evt) => {
+      finish();
+      reject(new Error(evt.message || 'Render worker failed'));
+    };
 
-  // Enable high quality image smoothing
-  finalCtx.imageSmoothingEnabled = true;
-  finalCtx.imageSmoothingQuality = 'high';
+    worker.postMessage(message);
+  });
+}
 
-  // Fill with background
-  finalCtx.fillStyle = colors.background;
-  finalCtx.fillRect(0, 0, finalWidth, finalHeight);
+/**
+ * Render the figure as print tiles, one tile per PDF page (layout from tiles.js, first page is the page map)
+ * Drawn in a worker: TILE_CONFIG.output 'vector' writes PDF paths, 'raster' draws each tile at TILE_CONFIG.dpi
+ * @param options - { onProgress, signal } (see runRenderJob)
+ * @returns {Promise<Blob>} the PDF
+ */
+export async function renderTiles(options) {
+  const bytes = await runRenderJob('tiles', TILE_CONFIG, options);
+  return new Blob([bytes], { type: 'application/pdf' });
+}
 
-  // Calculate scale factor (final size vs current preview size)
-  const scaleX = finalWidth / CANVAS_WIDTH;
-  const scaleY = finalHeight / CANVAS_HEIGHT;
-  const scale = Math.max(scaleX, scaleY);
+/**
+ * Render a B6-sized PNG (1512 × 2150 px at 300 DPI) with its provenance embedded, drawn in a worker
+ * @param options - { onProgress, signal } (see runRenderJob)
+ * @returns {Promise<Blob>} the PNG
+ */
+export async function renderB6(options) {
+  const bytes = await runRenderJob('b6', null, options);
+  return new Blob([bytes], { type: 'image/png' });
+}
 
-  // Render each tile
-  const totalTiles = cols * rows;
+/**
+ * Encode a canvas as PNG bytes
+ */
+async function canvasToPng(canvas) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  return new Uint8Array(await blob.arrayBuffer());
+}
 
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
-      const tileIndex = row * cols + col;
+/**
+ * The preview canvas as a PNG with its provenance embedded (the preview draws the current render session)
+ * @returns {Promise<Blob>}
+ */
+export async function renderPreviewPng(p) {
+  const bytes = addPngProvenance(await canvasToPng(p.canvas), getProvenance(getRenderSession(), 'preview png'));
+  return new Blob([bytes], { type: 'image/png' });
+}
 
-      if (progressCallback) {
-        progressCallback(tileIndex + 1, totalTiles);
-      }
+/**
+ * Render a time-lapse of the figure being drawn (frame schedule from animation.js)
+ * Each distinct frame is drawn once; pauses are encoded as frame durations
+ *   'webm' - MediaRecorder on the frame canvas, recorded in real time (takes as long as the animation);
+ *            WebM has no slot for the provenance, so it comes with a .provenance.json sidecar
+ *   'gif'  - gifenc, one palette taken from the finished figure so frames don't flicker; provenance as a comment
+ *   'png'  - frame sequence plus frames.ffconcat with each frame's duration (for ffmpeg); provenance in every frame
+ * @returns {Promise<{ files: Array<{ name: string, blob: Blob }>, frameCount: number, durationSec: number }>}
+ */
+export async function renderAnimation(p, format = ANIMATION_CONFIG.format, progressCallback) {
+  const { fps, frameWidth } = ANIMATION_CONFIG;
+  const width = frameWidth;
+  const height = Math.round(frameWidth * CANVAS_HEIGHT / CANVAS_WIDTH);
+  const scale = width / CANVAS_WIDTH;
 
-      // Create off-screen graphics for this tile with high pixel density
-      const tileGraphics = p.createGraphics(tileWidth, tileHeight);
-      tileGraphics.pixelDensity(2); // High resolution rendering
+  const renderSession = getRenderSession();
+  const { events: sessionEvents, config } = renderSession;
+  const plan = planAnimation(sessionEvents, width, height, config, scale);
+  const { schedule } = plan;
 
-      // Calculate the viewport offset for this tile
-      const offsetX = col * tileWidth;
-      const offsetY = row * tileHeight;
+  const g = p.createGraphics(width, height);
+  g.pixelDensity(1);
+
+  const drawSegment = async (i) => {
+    if (progressCallback) {
+      progressCallback(i + 1, schedule.length);
+    }
+    drawAnimationFrame(g, sessionEvents, width, height, plan.config, schedule[i].reveal, scale);
+    // Allow UI to update
+    await new Promise(resolve => setTimeout(resolve, 0));
+  };
 
-      // Render the tile with LeWitt style
-      renderLeWittTile(tileGraphics, offsetX, offsetY, finalWidth, finalHeight, scale);
+  const baseName = `craftlog_timelapse_${sessionId || 'render'}`;
+  const files = [];
 
-      // Draw tile to final canvas (scale down from 2x to 1x)
-      finalCtx.drawImage(
-        tileGraphics.canvas,
-        0, 0, tileWidth * 2, tileHeight * 2,  // source (2x pixel density)
-        offsetX, offsetY, tileWidth, tileHeight  // destination
-      );
+  try {
+    if (format === 'gif') {
+      drawAnimationFrame(g, sessionEvents, width, height, plan.config, schedule[schedule.length - 1].reveal, scale);
+      const palette = quantize(g.drawingContext.getImageData(0, 0, width, height).data, 256);
+      const gif = GIFEncoder();
+
+      for (let i = 0; i < schedule.length; i++) {
+        await drawSegment(i);
+        const { data } = g.drawingContext.getImageData(0, 0, width, height);
+        gif.writeFrame(applyPalette(data, palette), width, height, {
+          palette,
+          delay: schedule[i].frames * 1000 / fps
+        });
+      }
 
-      // Clean up
-      tileGraphics.remove();
+      gif.finish();
+      const bytes = addGifProvenance(gif.bytes(), getProvenance(renderSession, 'time-lapse gif'));
+      files.push({ name: `${baseName}.gif`, blob: new Blob([bytes], { type: 'image/gif' }) });
+    } else if (format === 'webm') {
+      const stream = g.canvas.captureStream(0);
+      const [track] = stream.getVideoTracks();
+      const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, { mimeType });
+      const chunks = [];
+      recorder.ondataavailable = (evt) => chunks.push(evt.data);
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+      recorder.start();
+      const start = performance.now();
+      let elapsedFrames = 0;
+
+      for (let i = 0; i < schedule.length; i++) {
+        await drawSegment(i);
+        track.requestFrame();
+        // Hold the frame on screen for its duration
+        elapsedFrames += schedule[i].frames;
+        const wait = start + elapsedFrames * 1000 / fps - performance.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      }
 
-      // Allow UI to update
-      await new Promise(resolve => setTimeout(resolve, 50));
+      recorder.stop();
+      await stopped;
+      files.push({ name: `${baseName}.webm`, blob: new Blob(chunks, { type: 'video/webm' }) });
+      const sidecar = toProvenanceSidecar(getProvenance(renderSession, 'time-lapse webm'));
+      files.push({ name: `${baseName}.provenance.json`, blob: new Blob([sidecar], { type: 'application/json' }) });
+    } else {
+      for (let i = 0; i < schedule.length; i++) {
+        await drawSegment(i);
+        const name = getFrameFileName(i);
+        const bytes = addPngProvenance(await canvasToPng(g.canvas), getProvenance(renderSession, `time-lapse ${name}`));
+        files.push({ name, blob: new Blob([bytes], { type: 'image/png' }) });
+      }
+      files.push({ name: 'frames.ffconcat', blob: new Blob([toFfconcat(schedule, fps)], { type: 'text/plain' }) });
     }
+  } finally {
+    g.remove();
   }
 
-  return finalCanvas;
+  return { files, frameCount: plan.frameCount, durationSec: plan.durationSec };
 }
 
 /**
- * Render a single tile with LeWitt style
+ * Record the LeWitt grid at a paper size as a vector display list
  */
-function renderLeWittTile(g, offsetX, offsetY, fullWidth, fullHeight, scale) {
-  // Background
+function recordLeWittGrid(paperSize, renderSession = getRenderSession()) {
+  const { width, height } = PAPER_SIZES[paperSize];
+
+  // Record drawing calls instead of rasterizing them
+  const g = new RecordingGraphics(width, height);
   g.background(colors.background);
 
-  // Translate to render the correct portion of the full image
-  g.push();
-  g.translate(-offsetX, -offsetY);
+  // Scale relative to the preview, same as tile rendering
+  const scale = Math.max(width / CANVAS_WIDTH, height / CANVAS_HEIGHT);
 
-  // Draw the LeWitt grid at full scale
-  drawLeWittGrid(g, events, fullWidth, fullHeight, {
-    ...LEWITT_CONFIG,
-    seed: LEWITT_CONFIG.seed || 12345 // Use consistent seed
-  }, scale);
+  drawLeWittGrid(g, renderSession.events, width, height, renderSession.config, scale);
 
-  g.pop();
+  return g.ops;
 }
 
 /**
- * Render a B6-sized PNG (1512 × 2150 px at 300 DPI)
- * Returns a promise that resolves to the rendered canvas
+ * Render the LeWitt grid as an SVG document at the physical size of a paper entry
+ * Every element is a vector primitive measured in mm, so prints can scale without resampling
+ * Returns the SVG markup as a string, with its provenance as <metadata>
  */
-export async function renderB6(p) {
-  const { width, height } = PAPER_SIZES.B6;
-
-  // Create off-screen graphics at B6 size with 2x pixel density for quality
-  const g = p.createGraphics(width, height);
-  g.pixelDensity(2);
-
-  // Background
-  g.background(colors.background);
-
-  // Draw the LeWitt grid at B6 size
-  drawLeWittGrid(g, events, width, height, {
-    ...LEWITT_CONFIG,
-    seed: LEWITT_CONFIG.seed || 12345
-  });
+export function renderSvg(paperSize = TILE_CONFIG.targetSize) {
+  const renderSession = getRenderSession();
+  const provenance = getProvenance(renderSession, `${paperSize} svg`);
+  return displayListToSvg(recordLeWittGrid(paperSize, renderSession), PAPER_SIZES[paperSize], provenance);
+}
 
-  // Create output canvas at native resolution
-  const outputCanvas = document.createElement('canvas');
-  outputCanvas.width = width;
-  outputCanvas.height = height;
-  const ctx = outputCanvas.getContext('2d');
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = 'high';
+/**
+ * Render the LeWitt grid as pen plotter commands
+ * Segments are grouped into pen layers and reordered to reduce pen-up travel
+ * @param format - 'hpgl' | 'gcode'
+ * @returns {{ text: string, plot: object }}
+ */
+export function renderPlotter(format, paperSize = PLOTTER_CONFIG.paperSize) {
+  const plot = preparePlot(recordLeWittGrid(paperSize), PAPER_SIZES[paperSize]);
+  const text = format === 'hpgl' ? toHpgl(plot) : toGcode(plot);
 
-  // Draw from 2x source to 1x output
-  ctx.drawImage(g.canvas, 0, 0, width * 2, height * 2, 0, 0, width, height);
+  console.log(`Plot: ${plot.layers.length} pen layers, pen-up travel ${Math.round(plot.travelBefore)}mm -> ${Math.round(plot.travelAfter)}mm`);
 
-  // Clean up
-  g.remove();
+  return { text, plot };
+}
 
-  return outputCanvas;
+/**
+ * Grid columns and rows of the preview canvas
+ * Measured with a recorded draw, so idle gaps, bins sized to the grid shape, panels and preset layouts
+ * all give the grid that is drawn
+ */
+function getGridDimensions({ events: sessionEvents, config }) {
+  const result = drawLeWittGrid(new RecordingGraphics(CANVAS_WIDTH, CANVAS_HEIGHT), sessionEvents, CANVAS_WIDTH, CANVAS_HEIGHT, config);
+  return { cols: result.cols, rows: result.rows };
 }
 
 /**
  * Generate and download instructions.txt
  */
 export function downloadInstructions() {
+  const renderSession = getRenderSession();
+  const { config: sessionConfig } = renderSession;
   const config = {
     sessionId,
-    seed: LEWITT_CONFIG.seed || Date.now(),
-    preset: LEWITT_CONFIG.preset,
+    seed: renderSession.seed,
+    logHash: renderSession.logHash,
+    configHash: renderSession.configHash,
+    logEnd: renderSession.date,
+    preset: sessionConfig.preset,
     canvasWidth: CANVAS_WIDTH,
     canvasHeight: CANVAS_HEIGHT,
-    marginRatio: LEWITT_CONFIG.marginRatio,
-    gridSize: calculateGridSize(prepareEvents(events, LEWITT_CONFIG).length, LEWITT_CONFIG),
-    order: LEWITT_CONFIG.order,
-    maxEvents: LEWITT_CONFIG.maxEvents,
-    sampling: LEWITT_CONFIG.sampling
+    marginRatio: sessionConfig.marginRatio,
+    ...getGridDimensions(renderSession),
+    gridShape: sessionConfig.gridShape,
+    order: sessionConfig.order,
+    traversal: sessionConfig.traversal,
+    maxEvents: sessionConfig.maxEvents,
+    sampling: sessionConfig.sampling,
+    aggregation: sessionConfig.aggregation,
+    panels: sessionConfig.panels,
+    growthOverlay: sessionConfig.growthOverlay,
+    idleGaps: sessionConfig.idleGaps,
+    idleThresholdMs: sessionConfig.idleThresholdMs,
+    pointConnection: sessionConfig.pointConnection,
+    neighborCount: sessionConfig.neighborCount,
+    hatching: sessionConfig.hatching,
+    motifs: sessionConfig.motifs,
+    presetOptions: sessionConfig.presetOptions
   };
 
-  const instructions = generateInstructions(config, summary, events);
+  const instructions = generateInstructions(config, generateSummary(renderSession.events, sessionId, null, sessionConfig), renderSession.events);
 
   const blob = new Blob([instructions], { type: 'text/plain' });
   const url = URL.createObjectURL(blob);
@@ -227,9 +507,20 @@ export function downloadInstructions() {
 
 /**
  * Generate and download summary.json
+ * Includes which events sampling dropped from the rendered figure
  */
 export function downloadSummary() {
-  const blob = new Blob([JSON.stringify(summary, null, 2)], { type: 'application/json' });
+  const renderSession = getRenderSession();
+  const { config } = renderSession;
+
+  // The sampling reports of a recorded draw, so sampling, aggregation bins and panel budgets match the figure
+  const { samplingReports } = drawLeWittGrid(new RecordingGraphics(CANVAS_WIDTH, CANVAS_HEIGHT), renderSession.events, CANVAS_WIDTH, CANVAS_HEIGHT, config);
+  const renderSummary = {
+    ...generateSummary(renderSession.events, sessionId, samplingReports, config),
+    render: { session: renderSession.id, seed: renderSession.seed, log_hash: renderSession.logHash, config_hash: renderSession.configHash }
+  };
+
+  const blob = new Blob([JSON.stringify(renderSummary, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -0,0 +1,120 @@
+/**
+ * 点の接続方法のテスト（src/connections.js）
+ * 固定した点集合で、mst が n−1 本の全域木であること、rng が delaunay に含まれ mst を含むこと、
+ * tour が点 0 から始まってすべての点を1回ずつ通ること、同じ点から同じ辺が出ることを確かめる
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONNECTIONS, findConnectionEdges, getConnectionEdges } from '../src/connections.js';
+import { SeededRandom } from '../src/lewitt.js';
+
+const K = 4;
+
+/**
+ * 用紙上に散らばった点（シード固定）と、等距離の辺が多い正方格子
+ */
+function randomPoints(seed, n) {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, () => ({ x: rng.range(0, 800), y: rng.range(0, 600) }));
+}
+
+const pointSets = {
+  random: randomPoints(42, 150),
+  'square grid': Array.from({ length: 64 }, (_, i) => ({ x: (i % 8) * 20, y: Math.floor(i / 8) * 20 }))
+};
+
+const key = ([i, j]) => (i < j ? `${i}-${j}` : `${j}-${i}`);
+const keys = edges => new Set(edges.map(key));
+
+function length(points, [i, j]) {
+  return Math.hypot(points[j].x - points[i].x, points[j].y - points[i].y);
+}
+
+/**
+ * 基準の最小全域木の長さ（Kruskal）
+ */
+function kruskalLength(points) {
+  const pairs = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) pairs.push([i, j]);
+  }
+  pairs.sort((a, b) => length(points, a) - length(points, b));
+
+  const parent = points.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  let total = 0;
+  for (const [i, j] of pairs) {
+    if (find(i) !== find(j)) {
+      parent[find(i)] = find(j);
+      total += length(points, [i, j]);
+    }
+  }
+  return total;
+}
+
+/**
+ * 辺でつながった点の数（点 0 から）
+ */
+function reachable(n, edges) {
+  const adjacent = Array.from({ length: n }, () => []);
+  for (const [i, j] of edges) {
+    adjacent[i].push(j);
+    adjacent[j].push(i);
+  }
+  const seen = new Set([0]);
+  const stack = [0];
+  while (stack.length > 0) {
+    for (const next of adjacent[stack.pop()]) {
+      if (!seen.has(next)) {
+        seen.add(next);
+        stack.push(next);
+      }
+    }
+  }
+  return seen.size;
+}
+
+for (const [name, points] of Object.entries(pointSets)) {
+  const n = points.length;
+
+  test(`${name}: mst is a minimum spanning tree with n-1 edges`, () => {
+    const edges = findConnectionEdges(points, 'mst', K);
+    assert.equal(edges.length, n - 1);
+    assert.equal(keys(edges).size, n - 1);
+    assert.equal(reachable(n, edges), n);
+
+    const total = edges.reduce((sum, edge) => sum + length(points, edge), 0);
+    assert.ok(Math.abs(total - kruskalLength(points)) < 1e-6, `${total} vs ${kruskalLength(points)}`);
+  });
+
+  test(`${name}: rng is a subset of delaunay and contains the mst`, () => {
+    const delaunay = keys(findConnectionEdges(points, 'delaunay', K));
+    const rng = findConnectionEdges(points, 'rng', K);
+
+    assert.ok(rng.length > 0);
+    for (const edge of rng) assert.ok(delaunay.has(key(edge)), `rng edge ${key(edge)} is not in delaunay`);
+
+    const rngKeys = keys(rng);
+    for (const edge of findConnectionEdges(points, 'mst', K)) assert.ok(rngKeys.has(key(edge)), `mst edge ${key(edge)} is not in rng`);
+  });
+
+  test(`${name}: tour starts at point 0 and visits every point once`, () => {
+    const edges = findConnectionEdges(points, 'tour', K);
+    assert.equal(edges.length, n - 1);
+    assert.equal(edges[0][0], 0);
+
+    const path = [edges[0][0], ...edges.map(([, to]) => to)];
+    edges.forEach(([from], i) => assert.equal(from, path[i], `edge ${i} does not continue the path`));
+    assert.deepEqual([...path].sort((a, b) => a - b), points.map((_, i) => i));
+  });
+
+  test(`${name}: every strategy gives the same edges twice`, () => {
+    for (const strategy of Object.keys(CONNECTIONS)) {
+      const first = findConnectionEdges(points, strategy, K);
+      const second = findConnectionEdges(points.map(p => ({ ...p })), strategy, K);
+      assert.deepEqual(second, first, strategy);
+      assert.deepEqual(getConnectionEdges(points.map(p => ({ ...p })), strategy, K), first, `${strategy} (cached)`);
+    }
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * アイドル区間のテスト（src/idle.js）
+ * モードごと（none, pause, edits）に、区間がしきい値に縮められること、時刻の順序が保たれること、
+ * none では getActiveDurationMs が実時間と一致することを確かめる
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDLE_MODES, findIdleGaps, createIdleClock, applyIdleGaps, getActiveDurationMs } from '../src/idle.js';
+
+const T0 = Date.UTC(2026, 1, 24, 9, 0, 0);
+const THRESHOLD_MS = 5 * 60 * 1000;
+
+/**
+ * ts はログ先頭からのミリ秒（elapsed_ms は結合時と同じく実時間）
+ */
+function entry(sessionId, ts, event = 'edit') {
+  return { ts: T0 + ts, session_id: sessionId, event, elapsed_ms: ts };
+}
+
+// S_a: 一時停止をはさむ / セッション間に長い空き / S_b: 一時停止なしで1時間空く
+const events = [
+  entry('S_a', 0, 'session_start'),
+  entry('S_a', 1000),
+  entry('S_a', 2000),
+  entry('S_a', 3000, 'session_pause'),
+  entry('S_a', 600000),
+  entry('S_a', 601000),
+  entry('S_a', 602000, 'session_end'),
+  entry('S_b', 5000000, 'session_start'),
+  entry('S_b', 5001000),
+  entry('S_b', 5002000, 'ai_prompt'),
+  entry('S_b', 8600000),
+  entry('S_b', 8601000, 'session_end')
+];
+
+const wallClockMs = 8601000;
+
+const expectedGaps = {
+  none: [],
+  pause: [[3000, 600000], [602000, 5000000]],
+  edits: [[2000, 600000], [601000, 5001000], [5001000, 8600000]]
+};
+
+const relative = gaps => gaps.map(({ start, end }) => [start - T0, end - T0]);
+
+test('every mode has expected gaps', () => {
+  assert.deepEqual(Object.keys(expectedGaps).sort(), Object.keys(IDLE_MODES).sort());
+});
+
+for (const mode of Object.keys(IDLE_MODES)) {
+  const options = { mode, thresholdMs: THRESHOLD_MS };
+
+  test(`${mode}: findIdleGaps finds stretches longer than the threshold`, () => {
+    const gaps = findIdleGaps(events, options);
+    assert.deepEqual(relative(gaps), expectedGaps[mode]);
+    assert.ok(gaps.every(gap => gap.end - gap.start > THRESHOLD_MS));
+
+    // ログの順序に依存しない
+    assert.deepEqual(findIdleGaps([...events].reverse(), options), gaps);
+  });
+
+  test(`${mode}: createIdleClock caps each gap at the threshold`, () => {
+    const clock = createIdleClock(events, options);
+    const gaps = findIdleGaps(events, options);
+
+    assert.equal(clock(T0), 0);
+    for (const gap of gaps) {
+      assert.equal(clock(gap.end) - clock(gap.start), THRESHOLD_MS);
+    }
+
+    const removed = gaps.reduce((sum, gap) => sum + gap.end - gap.start - THRESHOLD_MS, 0);
+    assert.equal(clock(T0 + wallClockMs), wallClockMs - removed);
+  });
+
+  test(`${mode}: active time is monotonic and never runs faster than real time`, () => {
+    const clock = createIdleClock(events, options);
+    for (let ts = T0; ts < T0 + wallClockMs; ts += 7919) {
+      const step = clock(ts + 7919) - clock(ts);
+      assert.ok(step >= 0 && step <= 7919 + 1e-6, `ts=${ts - T0} step=${step}`);
+    }
+
+    const applied = applyIdleGaps(events, options);
+    assert.equal(applied.length, events.length);
+    for (let i = 1; i < applied.length; i++) {
+      assert.ok(applied[i].elapsed_ms >= applied[i - 1].elapsed_ms, `${i}: ${applied[i - 1].elapsed_ms} -> ${applied[i].elapsed_ms}`);
+      assert.ok(applied[i].elapsed_ms - applied[i - 1].elapsed_ms <= applied[i].ts - applied[i - 1].ts);
+    }
+    assert.equal(applied.at(-1).elapsed_ms, getActiveDurationMs(events, options));
+  });
+}
+
+test('none: events and durations are wall-clock', () => {
+  const options = { mode: 'none', thresholdMs: THRESHOLD_MS };
+  assert.equal(applyIdleGaps(events, options), events);
+  assert.equal(getActiveDurationMs(events, options), wallClockMs);
+  assert.equal(getActiveDurationMs(events, { mode: 'none', thresholdMs: 1 }), wallClockMs);
+  assert.equal(getActiveDurationMs([...events].reverse(), options), wallClockMs);
+});
+
+test('pause and edits: durations shrink by the capped gaps', () => {
+  assert.equal(getActiveDurationMs(events, { mode: 'pause', thresholdMs: THRESHOLD_MS }), wallClockMs - (597000 - THRESHOLD_MS) - (4398000 - THRESHOLD_MS));
+  assert.equal(
+    getActiveDurationMs(events, { mode: 'edits', thresholdMs: THRESHOLD_MS }),
+    wallClockMs - (598000 - THRESHOLD_MS) - (4400000 - THRESHOLD_MS) - (3599000 - THRESHOLD_MS)
+  );
+});
+
+test('events without ts keep their elapsed_ms', () => {
+  const undated = { session_id: 'S_a', event: 'edit', elapsed_ms: 123 };
+  const applied = applyIdleGaps([...events, undated], { mode: 'edits', thresholdMs: THRESHOLD_MS });
+  assert.equal(applied.at(-1), undated);
+});
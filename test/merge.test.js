@@ -0,0 +1,120 @@
+/**
+ * マージ規則のテスト（src/merge.js）
+ * 再マージで elapsed_ms が膨らまないこと、validateEntries が各問題を検出すること、
+ * repairEntries の出力が検査を通ることを確かめる
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeEntries, validateEntries, repairEntries } from '../src/merge.js';
+
+const T0 = Date.UTC(2026, 1, 24, 9, 0, 0);
+
+/**
+ * セッションファイルのエントリ（elapsed_ms はセッション開始からの時間）
+ */
+function entry(sessionId, ts, elapsedMs, event = 'edit') {
+  return { ts: T0 + ts, session_id: sessionId, event, elapsed_ms: elapsedMs };
+}
+
+/**
+ * ts の間隔どおりに elapsed_ms が進むセッション
+ */
+function session(sessionId, startTs, offsets) {
+  return offsets.map(offset => entry(sessionId, startTs + offset, offset));
+}
+
+const sessionA = session('S_a', 0, [0, 1000, 5000, 20000]);
+const sessionB = session('S_b', 3600000, [0, 2000, 3000]);
+const sessionC = session('S_c', 7200000, [0, 4000]);
+
+const elapsedByKey = entries => Object.fromEntries(entries.map(e => [`${e.ts}_${e.session_id}_${e.event}`, e.elapsed_ms]));
+const types = validation => validation.issues.map(issue => issue.type);
+
+test('merging a merged log again keeps elapsed_ms', () => {
+  const once = mergeEntries([...sessionA, ...sessionB, ...sessionC]).entries;
+
+  // merge-craftlog と同じく、前回の merged.jsonl に新しいセッションファイルを足してマージし直す
+  const merged = mergeEntries([...sessionA, ...sessionB]).entries;
+  const again = mergeEntries([...merged, ...sessionC]).entries;
+  const thrice = mergeEntries([...again, ...sessionC]).entries;
+
+  assert.equal(once.at(-1).elapsed_ms, 20000 + 3000 + 4000);
+  assert.deepEqual(elapsedByKey(again), elapsedByKey(once));
+  assert.deepEqual(elapsedByKey(thrice), elapsedByKey(once));
+  assert.ok(validateEntries(thrice).ok);
+});
+
+test('a clean merge has no issues', () => {
+  const validation = validateEntries(mergeEntries([...sessionA, ...sessionB]).entries);
+  assert.ok(validation.ok);
+  assert.deepEqual(validation.issues, []);
+  assert.equal(validation.totalElapsedMs, 23000);
+});
+
+test('non_monotonic_elapsed: elapsed_ms goes backwards', () => {
+  const validation = validateEntries([entry('S_a', 0, 1000), entry('S_a', 1000, 500)]);
+  assert.equal(validation.ok, false);
+  assert.deepEqual(types(validation), ['non_monotonic_elapsed']);
+  assert.equal(validation.issues[0].index, 1);
+});
+
+test('inflated_elapsed session_gap: a session starts later than the previous one ended', () => {
+  const validation = validateEntries([
+    entry('S_a', 0, 0), entry('S_a', 10000, 10000),
+    entry('S_b', 11000, 60000), entry('S_b', 12000, 61000)
+  ]);
+  assert.equal(validation.ok, false);
+  assert.deepEqual(types(validation), ['inflated_elapsed']);
+  assert.equal(validation.issues[0].reason, 'session_gap');
+  assert.equal(validation.issues[0].session_id, 'S_b');
+  assert.equal(validation.issues[0].excess_ms, 60000 - 10000 - 1000);
+});
+
+test('inflated_elapsed session_span: elapsed_ms spans more than ts', () => {
+  const validation = validateEntries([entry('S_a', 0, 0), entry('S_a', 1000, 50000)]);
+  assert.equal(validation.ok, false);
+  assert.deepEqual(types(validation), ['inflated_elapsed']);
+  assert.equal(validation.issues[0].reason, 'session_span');
+  assert.equal(validation.issues[0].excess_ms, 49000);
+});
+
+test('duplicate_event: same ts, session_id and event twice', () => {
+  const validation = validateEntries([entry('S_a', 0, 0), entry('S_a', 1000, 1000), entry('S_a', 1000, 1000)]);
+  assert.equal(validation.ok, false);
+  assert.deepEqual(types(validation), ['duplicate_event']);
+  assert.deepEqual(validation.issues[0].indices, [1, 2]);
+});
+
+test('overlapping_sessions: a warning, not an error', () => {
+  const validation = validateEntries([
+    entry('S_a', 0, 0), entry('S_a', 10000, 10000),
+    entry('S_b', 5000, 10000), entry('S_b', 15000, 20000)
+  ]);
+  assert.ok(validation.ok);
+  assert.deepEqual(types(validation), ['overlapping_sessions']);
+  assert.equal(validation.issues[0].severity, 'warning');
+  assert.deepEqual(validation.issues[0].session_ids, ['S_a', 'S_b']);
+  assert.equal(validation.issues[0].overlap_ms, 5000);
+});
+
+test('repairEntries output passes validateEntries', () => {
+  // 水増しされた elapsed_ms・逆行・重複・不正なエントリを含むログ
+  const broken = [
+    entry('S_a', 0, 0), entry('S_a', 1000, 50000), entry('S_a', 2000, 40000), entry('S_a', 2000, 40000),
+    entry('S_b', 3600000, 900000), entry('S_b', 3601000, 901000),
+    { session_id: 'S_b', event: 'edit', elapsed_ms: 5 }
+  ];
+  const before = validateEntries(broken);
+  assert.equal(before.ok, false);
+  assert.deepEqual(Object.keys(before.counts).sort(), ['duplicate_event', 'inflated_elapsed', 'invalid_entry', 'non_monotonic_elapsed']);
+
+  const { entries, duplicateCount, droppedCount } = repairEntries(broken);
+  assert.equal(duplicateCount, 1);
+  assert.equal(droppedCount, 1);
+
+  const after = validateEntries(entries);
+  assert.ok(after.ok);
+  assert.deepEqual(after.issues, []);
+  assert.equal(after.totalElapsedMs, 2000 + 1000);
+});
@@ -0,0 +1,98 @@
+/**
+ * 近傍探索のテスト（src/neighbors.js）
+ * findNeighborEdges が総当たりの kNN と同じ辺を同じ順序で返すことを、重複点や等距離の点を含むランダムな点で確かめる
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findNeighborEdges } from '../src/neighbors.js';
+import { SeededRandom } from '../src/lewitt.js';
+
+const KS = [1, 2, 4, 8];
+
+/**
+ * 基準: 点ごとに全点への距離を測って（距離、番号）の順に並べ、近い k 個への辺を1回ずつ返す
+ */
+function bruteForceEdges(points, k) {
+  const drawn = new Set();
+  const edges = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const distances = [];
+    for (let j = 0; j < points.length; j++) {
+      if (i === j) continue;
+      const dx = points[j].x - points[i].x;
+      const dy = points[j].y - points[i].y;
+      distances.push({ index: j, dist: Math.sqrt(dx * dx + dy * dy) });
+    }
+    distances.sort((a, b) => a.dist - b.dist || a.index - b.index);
+
+    for (const neighbor of distances.slice(0, k)) {
+      const key = `${Math.min(i, neighbor.index)}-${Math.max(i, neighbor.index)}`;
+      if (!drawn.has(key)) {
+        drawn.add(key);
+        edges.push([i, neighbor.index]);
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * 0..width × 0..height に散らばった n 個の点（シード固定）
+ */
+function randomPoints(seed, n, width, height) {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, () => ({ x: rng.range(0, width), y: rng.range(0, height) }));
+}
+
+/**
+ * 小さな整数格子上の点: 重複点と等距離の点が多く出る
+ */
+function latticePoints(seed, n, size) {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, () => ({ x: rng.int(0, size), y: rng.int(0, size) }));
+}
+
+/**
+ * ランダムな点の一部を別の点の位置に重ねる
+ */
+function withDuplicates(seed, n) {
+  const rng = new SeededRandom(seed + 1);
+  const points = randomPoints(seed, n, 800, 600);
+  for (let i = 0; i < n / 4; i++) {
+    points[rng.int(0, n - 1)] = { ...points[rng.int(0, n - 1)] };
+  }
+  return points;
+}
+
+const cases = {
+  random: Array.from({ length: 5 }, (_, s) => randomPoints(s + 1, 50 + s * 100, 800, 600)),
+  'random, wide': [randomPoints(7, 300, 2000, 20)],
+  duplicates: Array.from({ length: 5 }, (_, s) => withDuplicates(s + 1, 40 + s * 60)),
+  'ties on a lattice': Array.from({ length: 5 }, (_, s) => latticePoints(s + 1, 30 + s * 80, 3 + s * 2)),
+  'regular grid': [Array.from({ length: 100 }, (_, i) => ({ x: (i % 10) * 10, y: Math.floor(i / 10) * 10 }))],
+  'one line': [Array.from({ length: 30 }, (_, i) => ({ x: (i * 7) % 30, y: 5 }))],
+  'all at one point': [Array.from({ length: 12 }, () => ({ x: 3, y: 3 }))]
+};
+
+for (const [name, pointSets] of Object.entries(cases)) {
+  test(`findNeighborEdges matches brute force: ${name}`, () => {
+    for (const points of pointSets) {
+      for (const k of KS) {
+        assert.deepEqual(findNeighborEdges(points, k), bruteForceEdges(points, k), `${points.length} points, k=${k}`);
+      }
+    }
+  });
+}
+
+test('findNeighborEdges with fewer points than k', () => {
+  assert.deepEqual(findNeighborEdges([], 4), []);
+  assert.deepEqual(findNeighborEdges([{ x: 0, y: 0 }], 4), []);
+
+  const points = randomPoints(3, 5, 100, 100);
+  for (const k of KS) {
+    assert.deepEqual(findNeighborEdges(points, k), bruteForceEdges(points, k), `k=${k}`);
+  }
+});
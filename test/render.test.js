@@ -0,0 +1,47 @@
+/**
+ * 描画の回帰テスト
+ * 固定したログ（test/fixtures/craftlog.jsonl）とシードで render-craftlog --verify を実行し、
+ * 2回の描画がバイト単位で一致すること、SVG/PDF がコミット済みのハッシュ（render-baseline.json）と一致することを確かめる
+ *
+ * 描画を意図して変えたときは baseline を消して同じコマンドで書き直し、差分と一緒にコミットする:
+ *   node render-craftlog.js test/fixtures/craftlog.jsonl --size B6 --seed 42 --verify --format svg,pdf \
+ *     --baseline test/fixtures/render-baseline.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixture = path.join(root, 'test/fixtures/craftlog.jsonl');
+const baseline = path.join(root, 'test/fixtures/render-baseline.json');
+
+/**
+ * render-craftlog を別プロセスで実行する（描画時刻は固定）
+ */
+function render(args) {
+  return spawnSync(process.execPath, [path.join(root, 'render-craftlog.js'), fixture, ...args], {
+    cwd: root,
+    encoding: 'utf8',
+    env: { ...process.env, SOURCE_DATE_EPOCH: '0' }
+  });
+}
+
+test('SVG and PDF match the committed hashes', () => {
+  // --verify は baseline が無いと書き出して通るので、コミット済みであることを先に確かめる
+  assert.ok(fs.existsSync(baseline), `missing ${path.relative(root, baseline)}`);
+
+  const result = render(['--size', 'B6', '--seed', '42', '--verify', '--format', 'svg,pdf', '--baseline', baseline]);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /svg +matches baseline/);
+  assert.match(result.stdout, /pdf +matches baseline/);
+});
+
+test('two renders of PNG, SVG and PDF are byte-identical', () => {
+  const result = render(['--size', 'B6', '--seed', '42', '--verify', '--format', 'png,svg,pdf']);
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /Verify: ok/);
+});
@@ -0,0 +1,47 @@
+/**
+ * セルの巡回順のテスト（src/traversal.js）
+ * どの巡回もすべてのセルをちょうど1回ずつ通り、hilbert は辺で隣り合うセルにしか進まないことを確かめる
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRAVERSALS, getCellOrder } from '../src/traversal.js';
+
+const MAX_SIZE = 16;
+
+/**
+ * 1×1 から MAX_SIZE×MAX_SIZE までのすべての格子
+ */
+function* grids() {
+  for (let cols = 1; cols <= MAX_SIZE; cols++) {
+    for (let rows = 1; rows <= MAX_SIZE; rows++) {
+      yield { cols, rows };
+    }
+  }
+}
+
+for (const traversal of Object.keys(TRAVERSALS)) {
+  test(`${traversal} visits every cell once`, () => {
+    for (const { cols, rows } of grids()) {
+      const order = getCellOrder(cols, rows, traversal);
+      const keys = new Set(order.map(({ col, row }) => `${col},${row}`));
+
+      assert.equal(order.length, cols * rows, `${cols}x${rows}`);
+      assert.equal(keys.size, cols * rows, `${cols}x${rows} repeats a cell`);
+      assert.ok(
+        order.every(({ col, row }) => Number.isInteger(col) && Number.isInteger(row) && col >= 0 && col < cols && row >= 0 && row < rows),
+        `${cols}x${rows} leaves the grid`
+      );
+    }
+  });
+}
+
+test('hilbert only steps to edge-adjacent cells', () => {
+  for (const { cols, rows } of grids()) {
+    const order = getCellOrder(cols, rows, 'hilbert');
+    for (let i = 1; i < order.length; i++) {
+      const step = Math.abs(order[i].col - order[i - 1].col) + Math.abs(order[i].row - order[i - 1].row);
+      assert.equal(step, 1, `${cols}x${rows} step ${i}: (${order[i - 1].col},${order[i - 1].row}) -> (${order[i].col},${order[i].row})`);
+    }
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * Craftlog ライブモード用 Vite プラグイン
+ * 開発サーバーに .craftlog のセッションファイルを tail する SSE エンドポイントを追加する
+ *
+ *   GET /__craftlog/sessions         .craftlog 内の JSONL ファイル一覧（JSON）
+ *   GET /__craftlog/live?file=<name> SSE: 'snapshot'（既存の全行）→ 'append'（追記された行）
+ *                                    ファイルが短くなった場合は 'reset' の後に 'snapshot' を送り直す
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// .craftlog 直下の JSONL ファイル名のみ許可（ディレクトリ外への参照を防ぐ）
+const FILE_NAME_PATTERN = /^[\w.-]+\.jsonl$/;
+
+/**
+ * ファイルの offset 以降を読み、改行で区切られた完全な行だけを返す
+ * 末尾の書きかけの行は remainder として次回に持ち越す
+ */
+function readAppendedLines(filePath, offset, remainder) {
+  const size = fs.statSync(filePath).size;
+  if (size <= offset) {
+    return { lines: [], offset, remainder };
+  }
+
+  const buffer = Buffer.alloc(size - offset);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const data = Buffer.concat([remainder, buffer]);
+  const lastNewline = data.lastIndexOf(0x0a);
+  if (lastNewline === -1) {
+    return { lines: [], offset: size, remainder: data };
+  }
+
+  const lines = data.subarray(0, lastNewline).toString('utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  return { lines, offset: size, remainder: data.subarray(lastNewline + 1) };
+}
+
+/**
+ * SSE イベントを1件送信する
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * @param options.dir - セッションファイルのディレクトリ（プロジェクトルートからの相対パス）
+ * @param options.pollIntervalMs - ファイル変更の確認間隔
+ */
+export default function craftlogLive({ dir = '.craftlog', pollIntervalMs = 500 } = {}) {
+  let craftlogDir = dir;
+
+  return {
+    name: 'craftlog-live',
+    apply: 'serve',
+
+    configResolved(config) {
+      craftlogDir = path.resolve(config.root, dir);
+    },
+
+    configureServer(server) {
+      // セッションファイル一覧
+      server.middlewares.use('/__craftlog/sessions', (req, res) => {
+        const files = fs.existsSync(craftlogDir)
+          ? fs.readdirSync(craftlogDir)
+            .filter(name => FILE_NAME_PATTERN.test(name))
+            .map(name => {
+              const stats = fs.statSync(path.join(craftlogDir, name));
+              return { name, size: stats.size, mtime: stats.mtimeMs };
+            })
+            .sort((a, b) => b.mtime - a.mtime)
+          : [];
+
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ dir: craftlogDir, files }));
+      });
+
+      // セッションファイルの tail（SSE）
+      server.middlewares.use('/__craftlog/live', (req, res) => {
+        const name = new URL(req.url, 'http://localhost').searchParams.get('file') || '';
+        const filePath = path.join(craftlogDir, name);
+
+        if (!FILE_NAME_PATTERN.test(name) || !fs.existsSync(filePath)) {
+          res.statusCode = 404;
+          res.end(`Unknown craftlog file: ${name}`);
+          return;
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        });
+
+        let state = { offset: 0, remainder: Buffer.alloc(0) };
+
+        const sendSnapshot = () => {
+          state = { offset: 0, remainder: Buffer.alloc(0) };
+          const { lines, offset, remainder } = readAppendedLines(filePath, 0, state.remainder);
+          state = { offset, remainder };
+          sendEvent(res, 'snapshot', { file: name, lines });
+        };
+
+        const onChange = (current) => {
+          try {
+            // 切り詰め・再作成された場合は最初から送り直す
+            if (current.size < state.offset) {
+              sendEvent(res, 'reset', { file: name });
+              sendSnapshot();
+              return;
+            }
+            const { lines, offset, remainder } = readAppendedLines(filePath, state.offset, state.remainder);
+            state = { offset, remainder };
+            if (lines.length > 0) {
+              sendEvent(res, 'append', { file: name, lines });
+            }
+          } catch (error) {
+            sendEvent(res, 'failure', { file: name, message: error.message });
+          }
+        };
+
+        sendSnapshot();
+        fs.watchFile(filePath, { interval: pollIntervalMs }, onChange);
+
+        // 接続維持のためのコメント行
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        req.on('close', () => {
+          clearInterval(keepAlive);
+          fs.unwatchFile(filePath, onChange);
+        });
+      });
+    }
+  };
+}
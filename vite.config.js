@@ -0,0 +1,9 @@
+import { defineConfig } from 'vite';
+import craftlogLive from './vite-plugin-craftlog-live.js';
+
+export default defineConfig({
+  plugins: [
+    // Live mode: tails .craftlog session files over SSE (dev server only)
+    craftlogLive({ dir: '.craftlog' })
+  ]
+});